@@ -7,10 +7,24 @@ import os from 'os';
 import { fileURLToPath } from 'url';
 import { Server as socketIO } from 'socket.io';
 import cors from 'cors';
-import { executeCode } from './src/execution/executor.js';
+import { executeCode, stopExecution } from './src/execution/executor.js';
+import { createErrorResult, createStoppedResult } from './src/execution/runResult.js';
+import { runJudge } from './src/execution/judge.js';
+import { runBenchmark } from './src/execution/benchmark.js';
+import { startDebugSession, handleDebugCommand, DEBUG_COMMANDS } from './src/execution/debugger.js';
+import { startVisualization } from './src/execution/visualizer.js';
+import { startProfiling } from './src/execution/profiler.js';
+import { startGuiRun, sendGuiInput } from './src/execution/guiDisplay.js';
+import { stopTypeCheck } from './src/execution/typescript.js';
 import dbRoutes from './src/routes/dbRoutes.js';
+import runtimeRoutes from './src/routes/runtimeRoutes.js';
+import languageRoutes from './src/routes/languageRoutes.js';
 import TerminalManager from './src/utils/TerminalManager.js';
 import StorageService from './src/services/StorageService.js';
+import PistonService from './src/services/PistonService.js';
+import ToolchainService from './src/services/ToolchainService.js';
+import ExecutionQueue from './src/services/ExecutionQueue.js';
+import { cleanupOrphanedContainers } from './src/utils/cleanup.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -42,7 +56,7 @@ const io = new socketIO(server, {
 });
 
 app.get('/health', (req, res) => {
-    res.json({ status: 'ok', timestamp: new Date().toISOString() });
+    res.json({ status: 'ok', timestamp: new Date().toISOString(), queue: ExecutionQueue.getStats() });
 });
 
 app.get('/', (req, res) => {
@@ -50,6 +64,8 @@ app.get('/', (req, res) => {
 });
 
 app.use('/api/db', dbRoutes);
+app.use('/api/runtimes', runtimeRoutes);
+app.use('/api/languages', languageRoutes);
 
 const activeSessions = new Map();
 
@@ -67,30 +83,105 @@ io.on('connection', (socket) => {
 
     activeSessions.set(socket.id, sessionData);
 
-    socket.on('execute', async (payload) => {
-        try {
-            console.log(`[${socket.id}] Execute request:`, {
-                language: payload.language,
-                fileName: payload.fileName
-            });
-
-            if (payload.language === 'terminal') {
-                if (!payload.command) {
-                    socket.emit('error', 'Missing required field: command');
+    // How a run reports its end: `execution_complete` for most, the judge and
+    // the benchmark send a report of their own
+    const executionEnd = {
+        event: 'execution_complete',
+        failed: (message) => createErrorResult(message),
+        stopped: () => createStoppedResult({ phase: 'compile' })
+    };
+    const judgeEnd = {
+        event: 'judge:complete',
+        failed: (message) => ({ cases: [], passed: 0, total: 0, error: message }),
+        stopped: () => ({ cases: [], passed: 0, total: 0, stopped: true })
+    };
+    const benchmarkEnd = {
+        event: 'benchmark:complete',
+        failed: (message) => ({ points: [], fit: null, error: message }),
+        stopped: () => ({ points: [], fit: null, stopped: true })
+    };
+
+    // Every run goes through the execution queue: normal runs (and terminal
+    // commands), judge and benchmark jobs (see execution/judge.js and
+    // execution/benchmark.js), debug sessions (see execution/debugger.js) and
+    // instrumented local runs: a step trace for the visualizer (see
+    // execution/visualizer.js), a CPU profile (see execution/profiler.js) and
+    // a virtual display for GUI programs (see execution/guiDisplay.js)
+    const queuedRuns = [
+        { event: 'execute', label: 'Execute', end: executionEnd, start: (jobSocket, payload) => executeCode(jobSocket, payload, sessionData) },
+        { event: 'judge:run', label: 'Judge', end: judgeEnd, start: (jobSocket, payload) => runJudge(jobSocket, payload, sessionData) },
+        { event: 'benchmark:run', label: 'Benchmark', end: benchmarkEnd, start: (jobSocket, payload) => runBenchmark(jobSocket, payload, sessionData) },
+        { event: 'debug:start', label: 'Debug', end: executionEnd, start: (jobSocket, payload) => startDebugSession(jobSocket, payload, userId) },
+        { event: 'visualize:run', label: 'Visualize', end: executionEnd, start: (jobSocket, payload) => startVisualization(jobSocket, payload, userId) },
+        { event: 'profile:run', label: 'Profile', end: executionEnd, start: (jobSocket, payload) => startProfiling(jobSocket, payload, userId) },
+        { event: 'gui:run', label: 'GUI', end: executionEnd, start: (jobSocket, payload) => startGuiRun(jobSocket, payload, userId) }
+    ];
+    for (const { event, label, end, start } of queuedRuns) {
+        socket.on(event, async (payload) => {
+            try {
+                console.log(`[${socket.id}] ${label} request:`, {
+                    language: payload.language,
+                    fileName: payload.fileName
+                });
+
+                // Only `execute` runs terminal commands
+                if (event === 'execute' && payload.language === 'terminal') {
+                    if (!payload.command) {
+                        socket.emit('error', 'Missing required field: command');
+                        return;
+                    }
+                } else if (!payload.language || payload.code === undefined || !payload.fileName) {
+                    socket.emit('error', 'Missing required fields: language, code, fileName');
                     return;
                 }
-            } else {
-                if (!payload.language || payload.code === undefined || !payload.fileName) {
-                    socket.emit('error', 'Missing required fields: language, code, fileName');
+
+                if (ExecutionQueue.isBusy(socket.id)) {
+                    socket.emit('output', `❌ A run is already in progress\n`);
+                    socket.emit(end.event, end.failed('A run is already in progress'));
                     return;
                 }
+
+                ExecutionQueue.submit({
+                    socket,
+                    userId,
+                    completeEvent: end.event,
+                    run: async (jobSocket) => {
+                        try {
+                            await start(jobSocket, payload);
+                        } catch (error) {
+                            console.error(`[${socket.id}] ${label} error:`, error);
+                            jobSocket.emit('error', error.message);
+                            jobSocket.emit(end.event, end.failed(error.message));
+                        }
+                    },
+                    cancel: () => {
+                        socket.emit('output', `⏹️ Removed from the queue\n`);
+                        socket.emit(end.event, end.stopped());
+                    }
+                });
+            } catch (error) {
+                console.error(`[${socket.id}] ${label} error:`, error);
+                socket.emit('error', error.message);
+                socket.emit(end.event, end.failed(error.message));
             }
+        });
+    }
 
-            await executeCode(socket, payload, sessionData);
+    // Stepping and inspection while a debug session runs (see execution/debugger.js)
+    for (const command of DEBUG_COMMANDS) {
+        socket.on(`debug:${command}`, (args) => handleDebugCommand(socket, command, args));
+    }
+
+    // Mouse and keyboard events for the program on the virtual display
+    socket.on('gui:input', (event) => sendGuiInput(socket, event));
+
+    socket.on('execute:stop', async () => {
+        try {
+            console.log(`[${socket.id}] Stop requested`);
+            await stopExecution(socket);
         } catch (error) {
-            console.error(`[${socket.id}] Execution error:`, error);
+            console.error(`[${socket.id}] Stop error:`, error);
             socket.emit('error', error.message);
-            socket.emit('execution_complete');
         }
     });
 
@@ -108,6 +199,9 @@ io.on('connection', (socket) => {
             } catch (err) {
                 console.error("Error writing to PTY:", err);
             }
+        } else if (socket._remoteSession) {
+            // Interactive Piston run: forward as stdin over its websocket
+            socket._remoteSession.write(data);
         } else {
             // Otherwise, handle as a shell command (ls, cd, etc.)
             TerminalManager.handleInput(socket.id, data, socket);
@@ -204,6 +298,9 @@ io.on('connection', (socket) => {
 
     socket.on('disconnect', async () => {
         console.log(`[${socket.id}] Client disconnected`);
+        await stopExecution(socket);
+        // stopExecution returns early for a queued job; an earlier run's type check may still be going
+        stopTypeCheck(socket);
         if (sessionData.cleanupHandler) {
             await sessionData.cleanupHandler();
         }
@@ -227,7 +324,7 @@ process.on('SIGTERM', async () => {
 
 const PORT = process.env.PORT || 3001;
 
-StorageService.init().then(() => {
+Promise.all([StorageService.init(), PistonService.init(), ToolchainService.init(), cleanupOrphanedContainers()]).then(() => {
     server.listen(PORT, () => {
         console.log(`Teachgrid Backend running on port ${PORT}`);
     });
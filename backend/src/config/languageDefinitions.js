@@ -0,0 +1,68 @@
+/**
+ * Declarative language definitions: what the IDE shows for a language (name,
+ * file extensions, icon, Monaco language id, starter code, web preview).
+ * Built-ins live in languages.json next to this file. Admins extend or
+ * override them with a JSON file of the same shape named by LANGUAGES_FILE;
+ * its entries are merged field by field over the built-ins.
+ *
+ * An entry may also carry an `execution` object with the fields of a
+ * LANGUAGES entry in languages.js (image, localCommand, piston, timeout, ...),
+ * which makes a new language runnable without code changes:
+ *
+ *   { "lua": { "name": "Lua", "extensions": ["lua"], "icon": "🌙", "editor": "lua",
+ *              "execution": { "image": "nickblah/lua:5.4", "workDir": "/workspace",
+ *                             "localCommand": ["lua", "{entry}"], "timeout": 30000,
+ *                             "piston": { "language": "lua", "version": "5.4.4" } } } }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const BUILTIN_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'languages.json');
+
+function readDefinitions(file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('expected an object keyed by language id');
+    }
+    return parsed;
+}
+
+function loadDefinitions() {
+    const definitions = readDefinitions(BUILTIN_FILE);
+
+    const extraFile = process.env.LANGUAGES_FILE;
+    if (!extraFile) return definitions;
+
+    // A broken admin file must not take the backend down; the built-ins still work
+    let extra;
+    try {
+        extra = readDefinitions(path.resolve(extraFile));
+    } catch (err) {
+        console.warn(`[Languages] Ignoring LANGUAGES_FILE ${extraFile}: ${err.message}`);
+        return definitions;
+    }
+
+    for (const [id, entry] of Object.entries(extra)) {
+        const base = definitions[id] || {};
+        definitions[id] = {
+            ...base,
+            ...entry,
+            execution: base.execution || entry.execution ? { ...base.execution, ...entry.execution } : undefined
+        };
+    }
+    console.log(`[Languages] Loaded ${Object.keys(extra).length} language definition(s) from ${extraFile}`);
+    return definitions;
+}
+
+// language id -> { name, extensions, icon, editor, starter, preview, execution }
+export const LANGUAGE_DEFINITIONS = loadDefinitions();
+
+// Language id of a file by its extension, or null
+export function languageForFile(fileName) {
+    const ext = path.extname(String(fileName)).slice(1).toLowerCase();
+    if (!ext) return null;
+    const match = Object.entries(LANGUAGE_DEFINITIONS).find(([, def]) => (def.extensions || []).includes(ext));
+    return match ? match[0] : null;
+}
@@ -1,148 +1,265 @@
+import { LANGUAGE_DEFINITIONS } from './languageDefinitions.js';
+
+/**
+ * Default resource limits for local execution.
+ * cpu: CPU seconds per process, memory: address space in MB (null = unlimited)
+ * JVM/.NET/Go runtimes reserve large virtual ranges up front, so they use null
+ * and rely on the wall-clock `timeout` instead.
+ */
+export const DEFAULT_LIMITS = { cpu: 10, memory: 512 };
+
 /**
  * Language execution configuration
  * Add new languages by adding entries to this object
+ *
+ * localCommand placeholders (filled in by localExecutor, paths relative to the run root):
+ *   {entry}     entrypoint file            {entryName} entrypoint without extension
+ *   {sources}   all project files with the entrypoint's extension
+ *   {siblings}  same, limited to the entrypoint's directory
+ *   {root}      the run root itself
+ *   {mainClass} Java class to launch (package-qualified)
+ *   {buildDir}  directory for compiler output
+ *   {debugPort} port the debugger listens on (`debugCommand` only)
+ *   {tracerDir} folder of the tracers and profilers, {workspaceDir} the workspace root
+ *   {traceFile} where the tracer writes the trace (`traceCommand` only)
+ *   {profileDir} where the profiler writes the profile (`profileCommand` only)
+ *
+ * Compiled languages split the build from the run: `compileCommand` produces
+ * artifacts in {buildDir} and `localCommand` runs them. Builds are cached per
+ * workspace (see execution/buildCache.js), keyed by the sources, the compile
+ * command and the output of `versionCommand`, so unchanged code is not recompiled.
+ * `debugCommand` starts the program under a debugger that `debugAdapter`
+ * ('debugpy' or 'node') connects to; see execution/debugger.js.
+ * `traceCommand` runs it under a tracer that records every step for the
+ * visualizer; see execution/visualizer.js. `profileCommand` runs it under a
+ * CPU profiler; see execution/profiler.js. TypeScript is transpiled with
+ * esbuild before its `localCommand` runs, and `typeCheck` has tsc check the
+ * types while it runs; see execution/typescript.js.
+ *
+ * `versionCommand` also reports the local toolchain version at startup
+ * (services/ToolchainService.js).
+ *
+ * Languages with several runtimes name the one the entry describes in
+ * `defaultVersion` and list the others in `versions`: each is merged over the
+ * entry (localCommand, versionCommand, image, piston, ...) when a workspace or
+ * run configuration pins it. Host binary paths differ between machines, so
+ * admins usually adjust these through LANGUAGES_FILE.
+ *
+ * Display metadata (name, extensions, icon, ...) lives in languages.json.
+ * An `execution` block there (or in the admin's LANGUAGES_FILE) is merged over
+ * the entry below, or adds a new one.
  */
 export const LANGUAGES = {
     python: {
+        defaultVersion: '3.11',
         image: 'python:3.11-slim',
         workDir: '/workspace',
         file: 'main.py',
         command: ['python3', '-u', 'main.py'],
-        localCommand: ['python3', '-X', 'utf8', '-u', 'main.py'],
+        localCommand: ['python3', '-X', 'utf8', '-u', '{entry}'],
+        debugCommand: ['python3', '-X', 'utf8', '-u', '-m', 'debugpy', '--listen', '127.0.0.1:{debugPort}', '--wait-for-client', '{entry}'],
+        debugAdapter: 'debugpy',
+        traceCommand: ['python3', '-X', 'utf8', '-u', '{tracerDir}/pythonTracer.py', '{traceFile}', '{workspaceDir}', '{entry}'],
+        profileCommand: ['python3', '-X', 'utf8', '-u', '{tracerDir}/pythonProfiler.py', '{profileDir}/profile.json', '{workspaceDir}', '{entry}'],
+        versionCommand: ['python3', '--version'],
         piston: { language: 'python', version: '3.10.0' },
-        timeout: 30000
+        timeout: 30000,
+        limits: { cpu: 10, memory: 512 },
+        versions: {
+            '3.8': {
+                image: 'python:3.8-slim',
+                localCommand: ['python3.8', '-X', 'utf8', '-u', '{entry}'],
+                debugCommand: ['python3.8', '-X', 'utf8', '-u', '-m', 'debugpy', '--listen', '127.0.0.1:{debugPort}', '--wait-for-client', '{entry}'],
+                traceCommand: ['python3.8', '-X', 'utf8', '-u', '{tracerDir}/pythonTracer.py', '{traceFile}', '{workspaceDir}', '{entry}'],
+                profileCommand: ['python3.8', '-X', 'utf8', '-u', '{tracerDir}/pythonProfiler.py', '{profileDir}/profile.json', '{workspaceDir}', '{entry}'],
+                versionCommand: ['python3.8', '--version'],
+                piston: { language: 'python', version: '3.8' }
+            }
+        }
     },
     javascript: {
         image: 'node:18-slim',
         workDir: '/workspace',
         file: 'main.js',
         command: ['node', 'main.js'],
-        localCommand: ['node', 'main.js'],
+        localCommand: ['node', '{entry}'],
+        debugCommand: ['node', '--inspect-brk=127.0.0.1:{debugPort}', '{entry}'],
+        debugAdapter: 'node',
+        traceCommand: ['node', '{tracerDir}/nodeTracer.js', '{traceFile}', '{workspaceDir}', '{entry}'],
+        profileCommand: ['node', '--cpu-prof', '--cpu-prof-dir={profileDir}', '{entry}'],
+        versionCommand: ['node', '--version'],
         piston: { language: 'javascript', version: '18.15.0' },
-        timeout: 30000
+        timeout: 30000,
+        limits: { cpu: 10, memory: 2048 }
     },
     typescript: {
         image: 'node:18-slim',
         workDir: '/workspace',
         file: 'main.ts',
-        command: ['bash', '-c', 'npm install -g typescript ts-node && ts-node main.ts'],
-        localCommand: ['ts-node', 'main.ts'],
+        // {entry} is the project transpiled by esbuild (see execution/typescript.js)
+        localCommand: ['node', '--enable-source-maps', '{entry}'],
+        versionCommand: ['node', '--version'],
+        // tsc --noEmit next to the run, when tsc is installed
+        typeCheck: true,
         piston: { language: 'typescript', version: '5.0.3' },
-        timeout: 45000
+        timeout: 45000,
+        limits: { cpu: 20, memory: 2048 }
     },
     java: {
+        defaultVersion: '21',
         image: 'openjdk:21-slim',
         workDir: '/workspace',
         file: 'Main.java',
         command: ['bash', '-c', 'javac Main.java && java Main'],
-        localCommand: ['javac -encoding UTF-8 Main.java && java -Dfile.encoding=UTF-8 Main'],
+        compileCommand: ['javac', '-encoding', 'UTF-8', '-d', '{buildDir}', '-sourcepath', '{root}', '{siblings}'],
+        localCommand: ['java', '-Dfile.encoding=UTF-8', '-cp', '{buildDir}', '{mainClass}'],
+        versionCommand: ['javac', '-version'],
         piston: { language: 'java', version: '15.0.2' },
-        timeout: 45000
+        timeout: 45000,
+        limits: { cpu: 20, memory: null },
+        versions: {
+            '17': {
+                image: 'eclipse-temurin:17-jdk',
+                compileCommand: ['/usr/lib/jvm/java-17-openjdk-amd64/bin/javac', '-encoding', 'UTF-8', '-d', '{buildDir}', '-sourcepath', '{root}', '{siblings}'],
+                localCommand: ['/usr/lib/jvm/java-17-openjdk-amd64/bin/java', '-Dfile.encoding=UTF-8', '-cp', '{buildDir}', '{mainClass}'],
+                versionCommand: ['/usr/lib/jvm/java-17-openjdk-amd64/bin/javac', '-version'],
+                piston: { language: 'java', version: '17' }
+            }
+        }
     },
     c: {
         image: 'gcc:12',
         workDir: '/workspace',
         file: 'main.c',
         command: ['bash', '-c', 'gcc -o main main.c && ./main'],
-        localCommand: ['gcc -o main main.c && ./main'],
+        compileCommand: ['gcc', '-o', '{buildDir}/{entryName}', '{siblings}'],
+        localCommand: ['{buildDir}/{entryName}'],
+        versionCommand: ['gcc', '--version'],
         piston: { language: 'c', version: '10.2.1' },
-        timeout: 30000
+        timeout: 30000,
+        limits: { cpu: 10, memory: 512 }
     },
     cpp: {
         image: 'gcc:12',
         workDir: '/workspace',
         file: 'main.cpp',
         command: ['bash', '-c', 'g++ -o main main.cpp && ./main'],
-        localCommand: ['g++ -o main main.cpp && ./main'],
+        compileCommand: ['g++', '-o', '{buildDir}/{entryName}', '{siblings}'],
+        localCommand: ['{buildDir}/{entryName}'],
+        versionCommand: ['g++', '--version'],
         piston: { language: 'cpp', version: '10.2.1' },
-        timeout: 30000
+        timeout: 30000,
+        limits: { cpu: 15, memory: 1024 }
     },
     csharp: {
         image: 'mcr.microsoft.com/dotnet/sdk:7.0',
         workDir: '/workspace',
         file: 'Program.cs',
         command: ['bash', '-c', 'dotnet script Program.cs'],
-        localCommand: ['dotnet', 'script', 'Program.cs'],
+        localCommand: ['dotnet', 'script', '{entry}'],
+        versionCommand: ['dotnet', '--version'],
         piston: { language: 'csharp', version: '6.12.0' },
-        timeout: 45000
+        timeout: 45000,
+        limits: { cpu: 30, memory: null }
     },
     go: {
         image: 'golang:1.21-alpine',
         workDir: '/workspace',
         file: 'main.go',
         command: ['go', 'run', 'main.go'],
-        localCommand: ['go', 'run', 'main.go'],
+        localCommand: ['go', 'run', '{siblings}'],
+        versionCommand: ['go', 'version'],
         piston: { language: 'go', version: '1.16.2' },
-        timeout: 30000
+        timeout: 30000,
+        limits: { cpu: 20, memory: null }
     },
     rust: {
         image: 'rust:1.75-slim',
         workDir: '/workspace',
         file: 'main.rs',
         command: ['bash', '-c', 'rustc main.rs && ./main'],
-        localCommand: ['rustc main.rs && ./main'],
+        compileCommand: ['rustc', '-o', '{buildDir}/{entryName}', '{entry}'],
+        localCommand: ['{buildDir}/{entryName}'],
+        versionCommand: ['rustc', '--version'],
         piston: { language: 'rust', version: '1.68.2' },
-        timeout: 45000
+        timeout: 45000,
+        limits: { cpu: 30, memory: 2048 }
     },
     php: {
         image: 'php:8.2-cli',
         workDir: '/workspace',
         file: 'main.php',
         command: ['php', 'main.php'],
-        localCommand: ['php-cgi', 'main.php'],
+        localCommand: ['php-cgi', '{entry}'],
+        versionCommand: ['php-cgi', '-v'],
         piston: { language: 'php', version: '8.2.3' },
-        timeout: 30000
+        timeout: 30000,
+        limits: { cpu: 10, memory: 512 }
     },
     ruby: {
         image: 'ruby:3.2-slim',
         workDir: '/workspace',
         file: 'main.rb',
         command: ['ruby', 'main.rb'],
-        localCommand: ['ruby', 'main.rb'],
+        localCommand: ['ruby', '{entry}'],
+        versionCommand: ['ruby', '--version'],
         piston: { language: 'ruby', version: '3.0.1' },
-        timeout: 30000
+        timeout: 30000,
+        limits: { cpu: 10, memory: 512 }
     },
     swift: {
         image: 'swift:5.9',
         workDir: '/workspace',
         file: 'main.swift',
         command: ['swift', 'main.swift'],
-        localCommand: ['swift', 'main.swift'],
+        compileCommand: ['swiftc', '-o', '{buildDir}/{entryName}', '{siblings}'],
+        localCommand: ['{buildDir}/{entryName}'],
+        versionCommand: ['swiftc', '--version'],
         piston: { language: 'swift', version: '5.3.3' },
-        timeout: 45000
+        timeout: 45000,
+        limits: { cpu: 30, memory: null }
     },
     kotlin: {
         image: 'zenika/kotlin:1.9-jdk21',
         workDir: '/workspace',
         file: 'main.kt',
         command: ['bash', '-c', 'kotlinc main.kt -include-runtime -d main.jar && java -jar main.jar'],
-        localCommand: ['kotlinc main.kt -include-runtime -d main.jar && java -jar main.jar'],
+        compileCommand: ['kotlinc', '{siblings}', '-include-runtime', '-d', '{buildDir}/{entryName}.jar'],
+        localCommand: ['java', '-jar', '{buildDir}/{entryName}.jar'],
+        versionCommand: ['kotlinc', '-version'],
         piston: { language: 'kotlin', version: '1.8.20' },
-        timeout: 45000
+        timeout: 45000,
+        limits: { cpu: 60, memory: null }
     },
     scala: {
         image: 'hseeberger/scala-sbt:11.0.16_1.8.0_2.13.10',
         workDir: '/workspace',
         file: 'Main.scala',
         command: ['scala', 'Main.scala'],
-        localCommand: ['scala', 'Main.scala'],
-        timeout: 45000
+        localCommand: ['scala', '{entry}'],
+        versionCommand: ['scala', '-version'],
+        timeout: 45000,
+        limits: { cpu: 45, memory: null }
     },
     bash: {
         image: 'bash:5.2',
         workDir: '/workspace',
         file: 'script.sh',
         command: ['bash', 'script.sh'],
-        localCommand: ['bash', 'script.sh'],
-        timeout: 30000
+        localCommand: ['bash', '{entry}'],
+        versionCommand: ['bash', '--version'],
+        timeout: 30000,
+        limits: { cpu: 10, memory: 256 }
     },
     powershell: {
         image: 'mcr.microsoft.com/powershell:latest',
         workDir: '/workspace',
         file: 'script.ps1',
         command: ['pwsh', '-File', 'script.ps1'],
-        localCommand: ['powershell', '-File', 'script.ps1'],
-        timeout: 30000
+        localCommand: ['powershell', '-File', '{entry}'],
+        versionCommand: ['powershell', '-NoProfile', '-Command', '$PSVersionTable.PSVersion.ToString()'],
+        timeout: 30000,
+        limits: { cpu: 20, memory: null }
     },
     sql: {
         image: 'postgres:16-alpine',
@@ -150,6 +267,41 @@ export const LANGUAGES = {
         file: 'query.sql',
         command: ['bash', '-c', 'psql -U postgres -f query.sql'],
         localCommand: ['echo "SQL execution requires configured database connection"'],
-        timeout: 30000
+        timeout: 30000,
+        limits: { cpu: 10, memory: 256 }
     }
 };
+
+for (const [key, definition] of Object.entries(LANGUAGE_DEFINITIONS)) {
+    if (definition.execution) {
+        LANGUAGES[key] = { ...LANGUAGES[key], ...definition.execution };
+    }
+}
+
+// Version labels a language can be pinned to, the default first
+export function listVersions(language) {
+    const config = LANGUAGES[language];
+    if (!config) return [];
+    return [config.defaultVersion, ...Object.keys(config.versions || {})].filter(Boolean);
+}
+
+/**
+ * The config a run uses: the entry itself, or with the pinned version's
+ * overrides applied. `version` is the label that was picked (null when the
+ * language declares no versions). Throws for a version it does not declare.
+ */
+export function resolveLanguageConfig(language, version) {
+    const config = LANGUAGES[language];
+    if (!config) return null;
+
+    if (!version || version === config.defaultVersion) {
+        return { ...config, version: config.defaultVersion || null };
+    }
+
+    const overrides = config.versions?.[version];
+    if (!overrides) {
+        const known = listVersions(language);
+        throw new Error(`${language} has no version ${version}` + (known.length ? ` (available: ${known.join(', ')})` : ''));
+    }
+    return { ...config, ...overrides, version };
+}
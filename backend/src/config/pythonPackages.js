@@ -0,0 +1,65 @@
+/**
+ * Which PyPI distribution provides an imported Python module, for installing
+ * detected imports (see utils/packageDetector.js). Most modules are published
+ * under their own name and need no entry; the built-ins in pythonPackages.json
+ * list the common exceptions (cv2 -> opencv-python, PIL -> pillow, ...).
+ *
+ * Keys are module paths: the longest matching prefix of an import wins, so
+ * "google.protobuf" can map differently from other google.* modules. A null
+ * value means the module is never installed. Admins extend or override the
+ * built-ins with a JSON file of the same shape named by PYTHON_PACKAGES_FILE:
+ *
+ *   { "mylab": "mylab-toolkit", "internal_tools": null }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const BUILTIN_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'pythonPackages.json');
+
+function readMapping(file) {
+    const parsed = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+        throw new Error('expected an object keyed by module name');
+    }
+    for (const [module, distribution] of Object.entries(parsed)) {
+        if (distribution !== null && typeof distribution !== 'string') {
+            throw new Error(`"${module}" must map to a distribution name or null`);
+        }
+    }
+    return parsed;
+}
+
+function loadMapping() {
+    const mapping = readMapping(BUILTIN_FILE);
+
+    const extraFile = process.env.PYTHON_PACKAGES_FILE;
+    if (!extraFile) return mapping;
+
+    // A broken admin file must not take the backend down; the built-ins still work
+    try {
+        const extra = readMapping(path.resolve(extraFile));
+        console.log(`[PythonPackages] Loaded ${Object.keys(extra).length} module mapping(s) from ${extraFile}`);
+        return { ...mapping, ...extra };
+    } catch (err) {
+        console.warn(`[PythonPackages] Ignoring PYTHON_PACKAGES_FILE ${extraFile}: ${err.message}`);
+        return mapping;
+    }
+}
+
+// module path -> distribution name, or null for modules never installed
+const PYTHON_DISTRIBUTIONS = loadMapping();
+
+/**
+ * Distribution to install for an imported module path (e.g. "google.protobuf"
+ * or "cv2"), or null when it must not be installed.
+ */
+export function distributionForModule(modulePath) {
+    const parts = modulePath.split('.');
+    for (let i = parts.length; i > 0; i--) {
+        const key = parts.slice(0, i).join('.');
+        if (Object.hasOwn(PYTHON_DISTRIBUTIONS, key)) return PYTHON_DISTRIBUTIONS[key];
+    }
+    return parts[0];
+}
@@ -0,0 +1,200 @@
+/**
+ * Run artifacts: files a local run created or changed in the workspace (a
+ * savefig() plot, an output.csv, a PPM image) and the figures plt.show()
+ * saved through ./pythonHooks/teachgrid_figures.py. The workspace is
+ * snapshotted right before the program starts and compared once it exits.
+ *
+ * Server -> client: artifacts:result { artifacts, truncated } right before
+ * execution_complete, where every artifact is
+ *
+ *   { path, name, status, size, kind, url, rows, text, previewTruncated }
+ *
+ *   path     relative to the workspace root (like the IDE's file tree), null for figures
+ *   status   'created', 'modified' or 'figure'
+ *   kind     'image' (url is a data: URL), 'csv' (rows of cells), 'text' or 'binary'
+ *
+ * Dot-folders (.teachgrid/build among them), node_modules and __pycache__
+ * are not looked at, the same as for the workspace sync in StorageService.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { netpbmToPng } from '../utils/netpbm.js';
+
+const IGNORED_DIRS = new Set(['node_modules', '__pycache__']);
+// Workspaces bigger than this are only partly compared
+const MAX_SCANNED_FILES = 5000;
+const MAX_ARTIFACTS = 20;
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+const MAX_TEXT_BYTES = 64 * 1024;
+const MAX_CSV_ROWS = 100;
+
+const IMAGE_TYPES = {
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.bmp': 'image/bmp',
+    '.webp': 'image/webp',
+    '.svg': 'image/svg+xml'
+};
+const NETPBM_EXTENSIONS = new Set(['.pbm', '.pgm', '.ppm', '.pnm']);
+const CSV_DELIMITERS = { '.csv': ',', '.tsv': '\t' };
+
+/**
+ * Size and modification time of every file below `dir`, by workspace path.
+ */
+export async function snapshotWorkspace(dir) {
+    const files = new Map();
+    const walk = async (relDir) => {
+        let entries;
+        try {
+            entries = await fs.readdir(path.join(dir, relDir), { withFileTypes: true });
+        } catch (err) {
+            return;
+        }
+        for (const entry of entries) {
+            if (files.size >= MAX_SCANNED_FILES) return;
+            if (entry.name.startsWith('.') || IGNORED_DIRS.has(entry.name)) continue;
+            const relPath = relDir ? `${relDir}/${entry.name}` : entry.name;
+            if (entry.isDirectory()) {
+                await walk(relPath);
+            } else if (entry.isFile()) {
+                try {
+                    const stat = await fs.stat(path.join(dir, relPath));
+                    files.set(relPath, { size: stat.size, mtimeMs: stat.mtimeMs });
+                } catch (err) {
+                    // Deleted while walking
+                }
+            }
+        }
+    };
+    await walk('');
+    return files;
+}
+
+// Quoted fields may contain delimiters, doubled quotes and line breaks
+function parseCsv(text, delimiter) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    for (let i = 0; i < text.length && rows.length < MAX_CSV_ROWS; i++) {
+        const ch = text[i];
+        if (quoted) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                quoted = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"' && field === '') {
+            quoted = true;
+        } else if (ch === delimiter) {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if ((field || row.length) && rows.length < MAX_CSV_ROWS) rows.push([...row, field]);
+    return rows;
+}
+
+async function readHead(file, bytes) {
+    const handle = await fs.open(file, 'r');
+    try {
+        const buffer = Buffer.alloc(bytes);
+        const { bytesRead } = await handle.read(buffer, 0, bytes, 0);
+        return buffer.subarray(0, bytesRead);
+    } finally {
+        await handle.close();
+    }
+}
+
+// UTF-8 cut off at the read limit may end in half a character, which is fine
+const looksLikeText = (buffer) => !buffer.includes(0) && !buffer.toString('utf8').slice(0, -1).includes('\uFFFD');
+
+async function describeFile(file, size) {
+    const ext = path.extname(file).toLowerCase();
+
+    if (IMAGE_TYPES[ext] || NETPBM_EXTENSIONS.has(ext)) {
+        if (size > MAX_IMAGE_BYTES) return { kind: 'image', url: null, previewTruncated: true };
+        try {
+            const data = await fs.readFile(file);
+            const png = NETPBM_EXTENSIONS.has(ext) ? netpbmToPng(data) : null;
+            return {
+                kind: 'image',
+                url: png ? `data:image/png;base64,${png.toString('base64')}` : `data:${IMAGE_TYPES[ext]};base64,${data.toString('base64')}`
+            };
+        } catch (err) {
+            // Half-written or not what its extension says
+            return { kind: 'binary' };
+        }
+    }
+
+    const head = await readHead(file, MAX_TEXT_BYTES);
+    if (!looksLikeText(head)) return { kind: 'binary' };
+    const text = head.toString('utf8');
+    const previewTruncated = size > MAX_TEXT_BYTES;
+    if (CSV_DELIMITERS[ext]) {
+        const rows = parseCsv(text, CSV_DELIMITERS[ext]);
+        return { kind: 'csv', rows, previewTruncated: previewTruncated || rows.length >= MAX_CSV_ROWS };
+    }
+    return { kind: 'text', text, previewTruncated };
+}
+
+/**
+ * Compares the workspace with `before` (from snapshotWorkspace) and reads
+ * the new and changed files plus the PNGs in `figureDir`.
+ */
+export async function collectArtifacts(workspaceDir, before, figureDir) {
+    const after = await snapshotWorkspace(workspaceDir);
+    const changed = [...after]
+        .filter(([relPath, stat]) => {
+            const old = before.get(relPath);
+            return !old || old.size !== stat.size || old.mtimeMs !== stat.mtimeMs;
+        })
+        .sort(([a], [b]) => a.localeCompare(b));
+
+    const figures = (await fs.readdir(figureDir).catch(() => []))
+        .filter(name => /^figure-\d+\.png$/.test(name))
+        .sort((a, b) => parseInt(a.slice(7), 10) - parseInt(b.slice(7), 10));
+
+    const artifacts = [];
+    for (const name of figures) {
+        if (artifacts.length >= MAX_ARTIFACTS) break;
+        const file = path.join(figureDir, name);
+        const { size } = await fs.stat(file);
+        artifacts.push({
+            path: null,
+            name: `Figure ${parseInt(name.slice(7), 10)}`,
+            status: 'figure',
+            size,
+            ...await describeFile(file, size)
+        });
+    }
+    for (const [relPath, stat] of changed) {
+        if (artifacts.length >= MAX_ARTIFACTS) break;
+        try {
+            artifacts.push({
+                path: relPath,
+                name: path.posix.basename(relPath),
+                status: before.has(relPath) ? 'modified' : 'created',
+                size: stat.size,
+                ...await describeFile(path.join(workspaceDir, relPath), stat.size)
+            });
+        } catch (err) {
+            // Removed again by a process the run left behind
+        }
+    }
+    return { artifacts, truncated: figures.length + changed.length > artifacts.length };
+}
@@ -0,0 +1,184 @@
+/**
+ * Benchmark mode: runs the program through executeCode on inputs of growing
+ * size and fits the timings against the usual complexity classes, as
+ * empirical evidence for a Big-O analysis.
+ *
+ * Inputs come from a generator script in the workspace (any runnable
+ * language, path relative to the run root). It is run once per size with n as
+ * its only argument and prints the program's stdin to stdout (stderr is
+ * not part of it):
+ *
+ *   bench/gen.py:  import sys, random
+ *                  n = int(sys.argv[1])
+ *                  print(n); print(*random.sample(range(10 * n), n))
+ *
+ * Payload: the usual `execute` payload plus
+ *   benchmark: { generator: 'bench/gen.py', sizes: [1000, 2000, ...], repeats: 3 }
+ *
+ * Each size is timed `repeats` times and the fastest run counts (the others
+ * measured noise); one untimed run before the first size does the compiling. Emits `benchmark:point` after every size and
+ * `benchmark:complete` { points, fit, error, stopped } at the end, where
+ * `fit` comes from complexity.js; the terminal gets a one-line summary per size.
+ */
+
+import { executeCode } from './executor.js';
+import { resolveProject, toSafeRelativePath } from './project.js';
+import { createCaptureSocket } from './captureSocket.js';
+import { fitComplexity } from './complexity.js';
+import { languageForFile } from '../config/languageDefinitions.js';
+
+// Largest generated input passed to the program
+const MAX_INPUT = 16 * 1024 * 1024;
+// The program's own output only matters for error messages
+const MAX_PROGRAM_OUTPUT = 64 * 1024;
+const MAX_SIZES = 20;
+const MAX_REPEATS = 10;
+
+const DEFAULT_BENCHMARK_OPTIONS = { generator: 'bench/gen.py', sizes: [1000, 2000, 4000, 8000, 16000], repeats: 3 };
+
+function resolveBenchmarkOptions(options = {}) {
+    const generator = toSafeRelativePath(options.generator ?? DEFAULT_BENCHMARK_OPTIONS.generator);
+    if (!generator) throw new Error('Missing generator script');
+
+    const rawSizes = typeof options.sizes === 'string' ? options.sizes.split(/[\s,]+/) : options.sizes ?? DEFAULT_BENCHMARK_OPTIONS.sizes;
+    const sizes = [...new Set(rawSizes.filter(s => s !== '').map(Number))].sort((a, b) => a - b);
+    if (sizes.length === 0 || sizes.some(n => !Number.isInteger(n) || n < 1)) {
+        throw new Error(`Input sizes must be positive integers: ${options.sizes}`);
+    }
+    if (sizes.length > MAX_SIZES) throw new Error(`At most ${MAX_SIZES} input sizes per benchmark`);
+
+    const repeats = Number(options.repeats ?? DEFAULT_BENCHMARK_OPTIONS.repeats);
+    if (!Number.isInteger(repeats) || repeats < 1 || repeats > MAX_REPEATS) {
+        throw new Error(`Repeats must be between 1 and ${MAX_REPEATS}`);
+    }
+    return { generator, sizes, repeats };
+}
+
+// Why a run did not produce a usable timing, or null
+function describeFailure(result, output) {
+    if (result.stopped) return 'stopped';
+    if (result.error) return result.error;
+    if (result.limitExceeded === 'time' || result.limitExceeded === 'cpu' || result.timedOut) return 'time limit exceeded';
+    if (result.limitExceeded === 'memory') return 'memory limit exceeded';
+    if (result.phase === 'compile' && (result.exitCode !== 0 || result.signal)) return 'compilation failed';
+    if (result.signal || result.exitCode !== 0) {
+        const lastLine = output.trim().split('\n').pop();
+        return `exited with ${result.signal || `code ${result.exitCode}`}${lastLine ? `: ${lastLine}` : ''}`;
+    }
+    return null;
+}
+
+async function runCaptured(socket, payload, sessionData, maxOutput) {
+    const { capture, result, getOutput, getStdout } = createCaptureSocket(socket, maxOutput);
+    try {
+        await executeCode(capture, payload, sessionData);
+    } catch (err) {
+        capture.emit('execution_complete', { error: err.message, wallTime: 0 });
+    }
+    const runResult = await result;
+    return { result: runResult, output: getOutput().output, ...getStdout() };
+}
+
+async function generateInput(socket, payload, sessionData, generator, n) {
+    const generatorPayload = {
+        ...payload,
+        language: languageForFile(generator.path),
+        version: undefined,
+        code: generator.content,
+        fileName: generator.path,
+        entrypoint: generator.path,
+        runConfig: { args: [String(n)] },
+        stdin: undefined
+    };
+    // Only its stdout is the input; warnings and stderr are not
+    const { result, output, stdout, truncated } = await runCaptured(socket, generatorPayload, sessionData, MAX_INPUT);
+    const failure = describeFailure(result, output);
+    if (failure) return { error: `generator ${failure}` };
+    if (truncated) return { error: `generated input is larger than ${MAX_INPUT / 1024 / 1024} MB` };
+    return { input: stdout };
+}
+
+export async function runBenchmark(socket, payload, sessionData) {
+    const complete = (report) => socket.emit('benchmark:complete', { points: [], fit: null, error: null, stopped: false, ...report });
+
+    let project;
+    let options;
+    try {
+        project = resolveProject(payload);
+        options = resolveBenchmarkOptions(payload.benchmark);
+    } catch (err) {
+        socket.emit('output', `❌ ${err.message}\n`);
+        complete({ error: err.message });
+        return;
+    }
+
+    const generator = project.files.find(f => f.path === options.generator);
+    const fail = (message) => {
+        socket.emit('output', `❌ ${message}\n`);
+        complete({ error: message });
+    };
+    if (!generator) {
+        return fail(`Generator script not found: ${options.generator} (it prints the input for the size given as its argument)`);
+    }
+    if (!languageForFile(generator.path)) {
+        return fail(`Cannot tell the language of the generator script ${generator.path}`);
+    }
+
+    // Runs are timed to completion, so the interactive mode is not needed
+    const mode = payload.executionMode === 'piston-stream' ? 'piston' : payload.executionMode;
+    const runPayload = { ...payload, executionMode: mode };
+    delete runPayload.benchmark;
+
+    console.log(`[Benchmark] ${project.entrypoint} at ${options.sizes.length} sizes x ${options.repeats} (${mode || 'auto'})`);
+    socket.emit('output', `📈 Benchmarking ${project.entrypoint} with inputs from ${generator.path}: n = ${options.sizes.join(', ')}\n`);
+
+    socket._stopRequested = false;
+    const points = [];
+    let error = null;
+    for (const n of options.sizes) {
+        // A stop between two runs is not seen by the next run, which resets the flag
+        if (socket._stopRequested) break;
+
+        const generated = await generateInput(socket, runPayload, sessionData, generator, n);
+        const point = { n, time: null, times: [], inputBytes: generated.input?.length ?? 0, error: generated.error || null };
+
+        // The first run also compiles the program (unless its build is cached)
+        // and warms up file caches, so it is not timed
+        if (points.length === 0 && !point.error && !socket._stopRequested) {
+            const { result, output } = await runCaptured(socket, { ...runPayload, stdin: generated.input }, sessionData, MAX_PROGRAM_OUTPUT);
+            point.error = describeFailure(result, output);
+        }
+
+        for (let i = 0; i < options.repeats && !point.error && !socket._stopRequested; i++) {
+            const { result, output } = await runCaptured(socket, { ...runPayload, stdin: generated.input }, sessionData, MAX_PROGRAM_OUTPUT);
+            point.error = describeFailure(result, output);
+            if (!point.error) point.times.push(result.wallTime);
+        }
+        if (point.times.length) point.time = Math.min(...point.times);
+        points.push(point);
+
+        socket.emit('output', point.error
+            ? `  ✖ n=${n}: ${point.error}\n`
+            : `  ✔ n=${n}: ${point.time}ms\n`);
+        socket.emit('benchmark:point', { index: points.length - 1, total: options.sizes.length, point });
+
+        // Larger inputs only take longer, and a broken program or generator stays broken
+        if (point.error) {
+            if (point.error !== 'stopped') error = `Stopped at n=${n}: ${point.error}`;
+            break;
+        }
+    }
+
+    const fit = fitComplexity(points.filter(p => p.time !== null));
+    if (fit.best) {
+        socket.emit('output', `📈 Best fit: ${fit.best.label} (R² ${fit.best.r2.toFixed(3)})\n`);
+    } else if (!error) {
+        socket.emit('output', `📈 At least 3 input sizes are needed to fit a complexity class\n`);
+    }
+    complete({
+        points,
+        fit: fit.best ? fit : null,
+        error,
+        stopped: socket._stopRequested || points.some(p => p.error === 'stopped')
+    });
+}
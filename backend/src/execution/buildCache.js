@@ -0,0 +1,98 @@
+/**
+ * Compile cache for languages with a separate `compileCommand`.
+ *
+ * Artifacts live in the user's workspace under .teachgrid/cache/<language>-<key>,
+ * where the key hashes the sources, the compile command (flags) and the
+ * toolchain version. A build counts as complete once BUILD_OK_FILE exists,
+ * which localExecutor writes when the compile step succeeded.
+ */
+
+import { execFile } from 'child_process';
+import { createHash } from 'crypto';
+import { promises as fs } from 'fs';
+import path from 'path';
+
+const CACHE_DIR = path.join('.teachgrid', 'cache');
+const BUILD_OK_FILE = '.build-ok';
+// Older builds beyond this many per workspace are removed
+const MAX_CACHED_BUILDS = 10;
+
+// language + version command -> Promise<string>, resolved once per process
+// (one language can have several versions, each with its own command)
+const toolchainVersions = new Map();
+
+export function getToolchainVersion(language, versionCommand) {
+    if (!versionCommand) return Promise.resolve('unknown');
+    const key = `${language}:${versionCommand.join(' ')}`;
+    if (!toolchainVersions.has(key)) {
+        const [cmd, ...args] = versionCommand;
+        toolchainVersions.set(key, new Promise(resolve => {
+            execFile(cmd, args, { timeout: 15000 }, (err, stdout, stderr) => {
+                // Some compilers (javac, kotlinc) print their version on stderr
+                const output = `${stdout || ''}${stderr || ''}`.trim();
+                resolve(err && !output ? 'unknown' : output.split('\n')[0]);
+            });
+        }));
+    }
+    return toolchainVersions.get(key);
+}
+
+async function pruneOldBuilds(cacheRoot, keep) {
+    let entries;
+    try {
+        entries = await fs.readdir(cacheRoot);
+    } catch (err) {
+        return;
+    }
+    if (entries.length <= MAX_CACHED_BUILDS) return;
+
+    const builds = await Promise.all(entries.filter(name => name !== keep).map(async name => {
+        const stat = await fs.stat(path.join(cacheRoot, name)).catch(() => null);
+        return { name, mtime: stat ? stat.mtimeMs : 0 };
+    }));
+    builds.sort((a, b) => a.mtime - b.mtime);
+
+    for (const build of builds.slice(0, entries.length - MAX_CACHED_BUILDS)) {
+        await fs.rm(path.join(cacheRoot, build.name), { recursive: true, force: true });
+    }
+}
+
+/**
+ * Picks the cache directory for this build.
+ * Returns { dir, cached, markBuilt } - `cached` means compilation can be skipped,
+ * `markBuilt()` records a successful compile.
+ */
+export async function prepareBuild({ workspaceDir, language, langConfig, sourceFiles, keyParts = [] }) {
+    const version = await getToolchainVersion(language, langConfig.versionCommand);
+
+    const hash = createHash('sha256');
+    hash.update(JSON.stringify([language, langConfig.compileCommand, version, ...keyParts]));
+    for (const file of [...sourceFiles].sort((a, b) => a.path.localeCompare(b.path))) {
+        hash.update(`\0${file.path}\0${file.content}`);
+    }
+    const key = `${language}-${hash.digest('hex').slice(0, 16)}`;
+
+    const cacheRoot = path.join(workspaceDir, CACHE_DIR);
+    const dir = path.join(cacheRoot, key);
+    const okFile = path.join(dir, BUILD_OK_FILE);
+
+    let cached = false;
+    try {
+        await fs.access(okFile);
+        cached = true;
+        // Keeps recently used builds out of pruning
+        const now = new Date();
+        await fs.utimes(dir, now, now);
+    } catch (err) {
+        await fs.rm(dir, { recursive: true, force: true });
+        await fs.mkdir(dir, { recursive: true });
+    }
+
+    await pruneOldBuilds(cacheRoot, key);
+
+    return {
+        dir,
+        cached,
+        markBuilt: () => fs.writeFile(okFile, version).catch(() => { })
+    };
+}
@@ -0,0 +1,52 @@
+/**
+ * A view of the socket whose `emit` is captured instead of reaching the
+ * browser, for modes that run the program several times and report on the
+ * runs themselves (judge.js, benchmark.js). Everything else (including the
+ * `_ptyProcess`/`_stopRequested` state used by execute:stop) goes to the real
+ * socket. `_realSocket` reaches the browser for output that is not the
+ * program's (pip installs).
+ *
+ * `output` is what the terminal would have shown: compiler messages, stderr
+ * and the executor's notices. What the run step printed to stdout alone is
+ * what the program is judged by; executors see `_captureStdout` (the number
+ * of characters kept) and report it as `run:stdout` { stdout, truncated }
+ * before execution_complete. Both are kept up to `maxOutput` characters.
+ */
+export function createCaptureSocket(socket, maxOutput) {
+    let output = '';
+    let outputTruncated = false;
+    let stdout = '';
+    let stdoutTruncated = false;
+    let resolveResult;
+    const result = new Promise(resolve => { resolveResult = resolve; });
+
+    const capture = new Proxy(socket, {
+        get(target, prop) {
+            if (prop === '_realSocket') return target;
+            if (prop === '_captureStdout') return maxOutput;
+            if (prop === 'emit') {
+                return (event, data) => {
+                    if (event === 'output') {
+                        if (output.length < maxOutput) output += String(data);
+                        else outputTruncated = true;
+                    } else if (event === 'run:stdout') {
+                        stdout = data.stdout.slice(0, maxOutput);
+                        stdoutTruncated = data.truncated || data.stdout.length > maxOutput;
+                    } else if (event === 'execution_complete') {
+                        resolveResult(data);
+                    }
+                    return true;
+                };
+            }
+            const value = Reflect.get(target, prop);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+
+    return {
+        capture,
+        result,
+        getOutput: () => ({ output, truncated: outputTruncated }),
+        getStdout: () => ({ stdout, truncated: stdoutTruncated })
+    };
+}
@@ -0,0 +1,65 @@
+/**
+ * Output comparison for judge mode.
+ *
+ * Options:
+ *   trim:             ignore leading/trailing blank lines and trailing spaces on each line (default on)
+ *   ignoreWhitespace: compare lines as whitespace-separated tokens and skip blank lines
+ *   floatTolerance:   numeric tokens match if they differ by at most this much
+ *                     (absolute, or relative to the expected value when it is larger than 1)
+ */
+
+export const DEFAULT_COMPARE_OPTIONS = { trim: true, ignoreWhitespace: false, floatTolerance: null };
+
+const NUMBER = /^[-+]?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?$/;
+
+export function normalizeOutput(text, options = DEFAULT_COMPARE_OPTIONS) {
+    let lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+
+    if (options.ignoreWhitespace) {
+        lines = lines.map(line => line.trim().split(/\s+/).join(' ')).filter(Boolean);
+    } else if (options.trim) {
+        lines = lines.map(line => line.trimEnd());
+        while (lines.length && lines[0] === '') lines.shift();
+        while (lines.length && lines[lines.length - 1] === '') lines.pop();
+    }
+
+    return lines;
+}
+
+function tokensMatch(actual, expected, tolerance) {
+    if (actual === expected) return true;
+    if (!NUMBER.test(actual) || !NUMBER.test(expected)) return false;
+    const a = Number(actual);
+    const e = Number(expected);
+    return Math.abs(a - e) <= tolerance * Math.max(1, Math.abs(e));
+}
+
+function linesMatch(actual, expected, options) {
+    if (actual === expected) return true;
+    if (options.floatTolerance === null || options.floatTolerance === undefined) return false;
+
+    const actualTokens = actual.trim().split(/\s+/);
+    const expectedTokens = expected.trim().split(/\s+/);
+    return actualTokens.length === expectedTokens.length
+        && actualTokens.every((token, i) => tokensMatch(token, expectedTokens[i], options.floatTolerance));
+}
+
+/**
+ * Returns { passed, actualLines, expectedLines, mismatches } where mismatches
+ * holds the indexes of differing lines (after normalisation) for the diff view.
+ */
+export function compareOutput(actual, expected, options = {}) {
+    const opts = { ...DEFAULT_COMPARE_OPTIONS, ...options };
+    const actualLines = normalizeOutput(actual, opts);
+    const expectedLines = normalizeOutput(expected, opts);
+
+    const mismatches = [];
+    for (let i = 0; i < Math.max(actualLines.length, expectedLines.length); i++) {
+        if (i >= actualLines.length || i >= expectedLines.length
+            || !linesMatch(actualLines[i], expectedLines[i], opts)) {
+            mismatches.push(i);
+        }
+    }
+
+    return { passed: mismatches.length === 0, actualLines, expectedLines, mismatches };
+}
@@ -0,0 +1,80 @@
+/**
+ * Fits benchmark timings against the usual complexity classes.
+ *
+ * Every class is fitted as time = a + b·f(n) by least squares, so `a`
+ * absorbs what does not grow with n (interpreter start-up, process creation).
+ * The simplest class that fits about as well as the best one wins: with
+ * measurement noise a steeper curve can always fit a little better.
+ */
+
+export const COMPLEXITY_CLASSES = [
+    { id: '1', label: 'O(1)', f: () => 0 },
+    { id: 'log', label: 'O(log n)', f: n => Math.log2(n) },
+    { id: 'n', label: 'O(n)', f: n => n },
+    { id: 'nlog', label: 'O(n log n)', f: n => n * Math.log2(n) },
+    { id: 'n2', label: 'O(n²)', f: n => n * n },
+    { id: 'n3', label: 'O(n³)', f: n => n * n * n },
+    // Only considered while 2^n is still a usable number
+    { id: '2n', label: 'O(2ⁿ)', f: n => 2 ** n, maxN: 64 }
+];
+
+// A class within this factor of the best residual counts as fitting as well
+const SIMPLER_TOLERANCE = 1.15;
+// Below this R² no growing class explains the timings: they are flat or noise
+const MIN_R2 = 0.6;
+const CURVE_POINTS = 40;
+
+function fitClass(cls, points) {
+    const xs = points.map(p => cls.f(p.n));
+    const ts = points.map(p => p.time);
+    const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+    const meanX = mean(xs);
+    const meanT = mean(ts);
+
+    let varX = 0;
+    let cov = 0;
+    xs.forEach((x, i) => {
+        varX += (x - meanX) ** 2;
+        cov += (x - meanX) * (ts[i] - meanT);
+    });
+    // Time does not shrink as inputs grow; a falling fit is a flat one
+    const b = varX > 0 ? Math.max(0, cov / varX) : 0;
+    const a = meanT - b * meanX;
+
+    const sse = xs.reduce((sum, x, i) => sum + (ts[i] - (a + b * x)) ** 2, 0);
+    const sst = ts.reduce((sum, t) => sum + (t - meanT) ** 2, 0);
+    return { id: cls.id, label: cls.label, a, b, sse, r2: sst > 0 ? 1 - sse / sst : 1 };
+}
+
+/**
+ * points: [{ n, time }] with distinct sizes. Returns { best, fits, curve }:
+ * `fits` for every applicable class ({ id, label, a, b, r2 }, best first),
+ * `curve` the best fit sampled across the measured range as [[n, time]].
+ * With fewer than three sizes there is nothing to fit and `best` is null.
+ */
+export function fitComplexity(points) {
+    const sizes = new Set(points.map(p => p.n));
+    if (sizes.size < 3) return { best: null, fits: [], curve: [] };
+
+    const maxN = Math.max(...sizes);
+    const minN = Math.min(...sizes);
+    const classes = COMPLEXITY_CLASSES.filter(cls => !cls.maxN || maxN <= cls.maxN);
+    const fits = classes.map(cls => fitClass(cls, points));
+
+    const minSse = Math.min(...fits.map(fit => fit.sse));
+    let best = fits.find(fit => fit.sse <= minSse * SIMPLER_TOLERANCE + Number.EPSILON);
+    if (best.r2 < MIN_R2) best = fits[0];
+
+    const cls = classes.find(c => c.id === best.id);
+    const curve = Array.from({ length: CURVE_POINTS }, (_, i) => {
+        const n = minN + ((maxN - minN) * i) / (CURVE_POINTS - 1);
+        return [n, best.a + best.b * cls.f(n)];
+    });
+
+    const strip = ({ sse, ...fit }) => fit;
+    return {
+        best: strip(best),
+        fits: [best, ...fits.filter(fit => fit !== best).sort((x, y) => x.sse - y.sse)].map(strip),
+        curve
+    };
+}
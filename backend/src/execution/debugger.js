@@ -0,0 +1,235 @@
+/**
+ * Step-through debugging for languages with a `debugCommand` (Python through
+ * debugpy, JavaScript through the Node inspector).
+ *
+ * The program runs like a local run (same PTY, terminal input and
+ * execution_complete) but is started under the debugger, and a debug adapter
+ * client connects to it. Paths exchanged with the client are relative to the
+ * workspace root, like the IDE's file tree.
+ *
+ * Client -> server: debug:start (execute payload + breakpoints { path: [line] }
+ * and watches [expression]), debug:continue, debug:stepOver, debug:stepInto,
+ * debug:stepOut, debug:pause, debug:setBreakpoints { path, lines },
+ * debug:frame { frameId }, debug:variables { reference }, debug:watches { watches }.
+ *
+ * Server -> client: debug:started, debug:paused { reason, frames, frameId,
+ * scopes, watches }, debug:continued, debug:scopes { frameId, scopes, watches },
+ * debug:variables { reference, variables }, debug:breakpoints { path, lines },
+ * debug:terminated.
+ */
+
+import net from 'net';
+import path from 'path';
+import { LANGUAGES } from '../config/languages.js';
+import { executeLocalCode } from './localExecutor.js';
+import { createErrorResult } from './runResult.js';
+import { resolveRunVersion } from './runConfig.js';
+import { isSandboxEnforced } from './sandbox.js';
+import { killProcessTree } from '../utils/helpers.js';
+import { DebugpyAdapter } from './debugpyAdapter.js';
+import { NodeInspectorAdapter } from './nodeInspectorAdapter.js';
+
+const ADAPTERS = {
+    debugpy: DebugpyAdapter,
+    node: NodeInspectorAdapter
+};
+
+// How long the debuggee may take to open its debug port (package installs run before it)
+const CONNECT_TIMEOUT = 20000;
+
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const server = net.createServer();
+        server.once('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        });
+    });
+}
+
+// debug:<command> events handled by handleDebugCommand
+export const DEBUG_COMMANDS = ['continue', 'stepOver', 'stepInto', 'stepOut', 'pause', 'setBreakpoints', 'frame', 'variables', 'watches'];
+
+const cleanLines = (lines) => [...new Set((lines || []).map(Number).filter(n => Number.isInteger(n) && n > 0))];
+
+class DebugSession {
+    constructor(socket, adapter, workspaceDir, watches) {
+        this.socket = socket;
+        this.adapter = adapter;
+        this.workspaceDir = workspaceDir;
+        this.watches = watches;
+        this.frames = [];
+        this.closed = false;
+
+        adapter.on('stopped', ({ reason }) => this.onStopped(reason));
+        adapter.on('continued', () => {
+            this.frames = [];
+            socket.emit('debug:continued');
+        });
+        adapter.on('terminated', () => this.close());
+    }
+
+    toAbsolute(workspacePath) {
+        return path.join(this.workspaceDir, ...workspacePath.split('/'));
+    }
+
+    // Workspace-relative path, or null for files outside it (runtime internals, libraries)
+    toWorkspacePath(file) {
+        if (!file || !path.isAbsolute(file)) return null;
+        const rel = path.relative(this.workspaceDir, file);
+        if (rel.startsWith('..') || path.isAbsolute(rel)) return null;
+        return rel.split(path.sep).join('/');
+    }
+
+    async onStopped(reason) {
+        try {
+            const stack = await this.adapter.getStack();
+            this.frames = stack.map(frame => ({
+                id: frame.id,
+                name: frame.name,
+                path: this.toWorkspacePath(frame.file),
+                file: frame.file ? path.basename(frame.file) : null,
+                line: frame.line
+            }));
+            const frameId = this.frames.find(frame => frame.path)?.id ?? this.frames[0]?.id ?? null;
+            this.socket.emit('debug:paused', { reason, frames: this.frames, frameId, ...await this.inspectFrame(frameId) });
+        } catch (err) {
+            console.error('[Debugger] Failed to read the paused state:', err.message);
+            this.socket.emit('debug:paused', { reason, frames: [], frameId: null, scopes: [], watches: [] });
+        }
+    }
+
+    // Scopes (with variables, except expensive ones) and watch values for a frame
+    async inspectFrame(frameId) {
+        if (frameId === null) return { scopes: [], watches: [] };
+
+        const scopes = await this.adapter.getScopes(frameId);
+        for (const scope of scopes) {
+            scope.variables = scope.expensive ? null : await this.adapter.getVariables(scope.variablesReference);
+        }
+
+        const watches = [];
+        for (const expression of this.watches) {
+            try {
+                watches.push({ expression, ...await this.adapter.evaluate(expression, frameId) });
+            } catch (err) {
+                watches.push({ expression, error: err.message });
+            }
+        }
+        return { scopes, watches };
+    }
+
+    async handle(command, args = {}) {
+        switch (command) {
+            case 'continue':
+            case 'stepOver':
+            case 'stepInto':
+            case 'stepOut':
+            case 'pause':
+                return this.adapter[command]();
+            case 'setBreakpoints': {
+                if (typeof args.path !== 'string') return;
+                const lines = await this.adapter.setBreakpoints(this.toAbsolute(args.path), cleanLines(args.lines));
+                return this.socket.emit('debug:breakpoints', { path: args.path, lines });
+            }
+            case 'frame':
+                return this.socket.emit('debug:scopes', { frameId: args.frameId, ...await this.inspectFrame(args.frameId) });
+            case 'variables':
+                return this.socket.emit('debug:variables', {
+                    reference: args.reference,
+                    variables: await this.adapter.getVariables(args.reference)
+                });
+            case 'watches':
+                this.watches = (args.watches || []).map(String);
+                if (this.frames.length && args.frameId !== undefined) {
+                    return this.socket.emit('debug:scopes', { frameId: args.frameId, ...await this.inspectFrame(args.frameId) });
+                }
+                return;
+            default:
+                throw new Error(`Unknown debug command: ${command}`);
+        }
+    }
+
+    close() {
+        if (this.closed) return;
+        this.closed = true;
+        this.adapter.close();
+        if (this.socket._debugSession === this) this.socket._debugSession = null;
+        this.socket.emit('debug:terminated');
+    }
+}
+
+/**
+ * Starts the program under the debugger. Runs as a local job: the queue,
+ * execute:stop and execution_complete work as for a normal run.
+ */
+export async function startDebugSession(socket, payload, userId) {
+    const { language } = payload;
+    const langConfig = LANGUAGES[language];
+
+    const fail = (message) => {
+        socket.emit('output', `❌ ${message}\n`);
+        socket.emit('execution_complete', createErrorResult(message));
+    };
+
+    if (!langConfig?.debugCommand) {
+        return fail(`Debugging is not supported for ${language}`);
+    }
+    // Debuggees run on the host; with SANDBOX_ENFORCE nothing may
+    if (isSandboxEnforced()) {
+        return fail('Debugging is disabled while SANDBOX_ENFORCE is set');
+    }
+
+    const port = await getFreePort();
+    const adapter = new ADAPTERS[langConfig.debugAdapter](port);
+    const version = resolveRunVersion(payload);
+    const watches = (payload.watches || []).map(String);
+    const breakpoints = payload.breakpoints || {};
+
+    await executeLocalCode(socket, { ...payload, version }, userId, {
+        debug: {
+            port,
+            onSpawn: async ({ ptyProcess, workspaceDir }) => {
+                const session = new DebugSession(socket, adapter, workspaceDir, watches);
+                socket._debugSession = session; // Commands from the client go here
+                ptyProcess.onExit(() => session.close());
+
+                const absolute = {};
+                for (const [workspacePath, lines] of Object.entries(breakpoints)) {
+                    const clean = cleanLines(lines);
+                    if (clean.length) absolute[session.toAbsolute(workspacePath)] = clean;
+                }
+
+                try {
+                    await adapter.connect(Date.now() + CONNECT_TIMEOUT);
+                    if (session.closed) return adapter.close(); // Program ended first
+                    await adapter.start(absolute);
+                    socket.emit('debug:started', { language });
+                } catch (err) {
+                    if (session.closed) return;
+                    console.error(`[Debugger] ${language} session failed:`, err.message);
+                    socket.emit('output', `\n❌ Debugger: ${err.message}\n`);
+                    session.close();
+                    killProcessTree(ptyProcess); // It would wait for the debugger forever
+                }
+            }
+        }
+    });
+}
+
+// Forwards a debug:* command from the client to the socket's session
+export async function handleDebugCommand(socket, command, args) {
+    const session = socket._debugSession;
+    if (!session) return;
+    try {
+        await session.handle(command, args);
+    } catch (err) {
+        console.error(`[Debugger] ${command} failed:`, err.message);
+        socket.emit('output', `\n⚠️ Debugger: ${err.message}\n`);
+    }
+}
+
+export function stopDebugSession(socket) {
+    if (socket._debugSession) socket._debugSession.close();
+}
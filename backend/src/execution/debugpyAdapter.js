@@ -0,0 +1,208 @@
+import net from 'net';
+import { EventEmitter } from 'events';
+
+const HEADER_END = '\r\n\r\n';
+
+/**
+ * Client for debugpy's Debug Adapter Protocol server
+ * (`python -m debugpy --listen host:port --wait-for-client file.py`).
+ * DAP messages are JSON framed by a Content-Length header.
+ *
+ * Events: 'stopped' { reason }, 'continued', 'terminated'.
+ */
+export class DebugpyAdapter extends EventEmitter {
+    constructor(port) {
+        super();
+        this.port = port;
+        this.seq = 1;
+        this.pending = new Map(); // request seq -> { resolve, reject, command }
+        this.buffer = Buffer.alloc(0);
+        this.threadId = null;
+        this.connection = null;
+        this.initialized = new Promise(resolve => { this.resolveInitialized = resolve; });
+    }
+
+    // The debuggee opens the port once the interpreter has started; retried until `deadline`
+    async connect(deadline) {
+        while (!this.connection) {
+            try {
+                this.connection = await new Promise((resolve, reject) => {
+                    const conn = net.connect(this.port, '127.0.0.1', () => resolve(conn));
+                    conn.once('error', reject);
+                });
+            } catch (err) {
+                if (Date.now() > deadline) throw new Error(`debugpy did not start listening (${err.message})`);
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+
+        this.connection.on('data', chunk => this.onData(chunk));
+        this.connection.on('close', () => this.onClose());
+        this.connection.on('error', () => {}); // 'close' follows
+    }
+
+    /**
+     * Handshake: initialize, attach, breakpoints, configurationDone. debugpy
+     * answers the attach request only after configurationDone.
+     * `breakpoints` maps absolute file paths to line numbers.
+     */
+    async start(breakpoints) {
+        await this.request('initialize', {
+            clientID: 'teachgrid',
+            adapterID: 'debugpy',
+            pathFormat: 'path',
+            linesStartAt1: true,
+            columnsStartAt1: true,
+            supportsVariableType: true
+        });
+        const attached = this.request('attach', { justMyCode: true });
+        await this.initialized;
+
+        for (const [file, lines] of Object.entries(breakpoints)) {
+            await this.setBreakpoints(file, lines);
+        }
+        await this.request('configurationDone');
+        await attached;
+    }
+
+    // Replaces the file's breakpoints; resolves with the lines debugpy accepted
+    async setBreakpoints(file, lines) {
+        const body = await this.request('setBreakpoints', {
+            source: { path: file },
+            breakpoints: lines.map(line => ({ line }))
+        });
+        return (body.breakpoints || []).filter(bp => bp.verified).map(bp => bp.line);
+    }
+
+    continue() {
+        return this.request('continue', { threadId: this.threadId });
+    }
+
+    stepOver() {
+        return this.request('next', { threadId: this.threadId });
+    }
+
+    stepInto() {
+        return this.request('stepIn', { threadId: this.threadId });
+    }
+
+    stepOut() {
+        return this.request('stepOut', { threadId: this.threadId });
+    }
+
+    pause() {
+        return this.request('pause', { threadId: this.threadId || 1 });
+    }
+
+    // [{ id, name, file, line }], innermost first
+    async getStack() {
+        const body = await this.request('stackTrace', { threadId: this.threadId, levels: 100 });
+        return body.stackFrames.map(frame => ({
+            id: frame.id,
+            name: frame.name,
+            file: frame.source?.path || null,
+            line: frame.line
+        }));
+    }
+
+    // [{ name, variablesReference, expensive }]
+    async getScopes(frameId) {
+        const body = await this.request('scopes', { frameId });
+        return body.scopes.map(({ name, variablesReference, expensive }) => ({
+            name,
+            variablesReference,
+            expensive: Boolean(expensive)
+        }));
+    }
+
+    // [{ name, value, type, variablesReference }], variablesReference 0 = not expandable
+    async getVariables(variablesReference) {
+        const body = await this.request('variables', { variablesReference });
+        return body.variables.map(({ name, value, type, variablesReference: ref }) => ({
+            name,
+            value,
+            type: type || '',
+            variablesReference: ref || 0
+        }));
+    }
+
+    // Throws with the Python error message when the expression fails
+    async evaluate(expression, frameId) {
+        const body = await this.request('evaluate', { expression, frameId, context: 'watch' });
+        return { value: body.result, type: body.type || '', variablesReference: body.variablesReference || 0 };
+    }
+
+    close() {
+        if (this.connection) this.connection.destroy();
+    }
+
+    request(command, args = {}) {
+        if (!this.connection || this.connection.destroyed) {
+            return Promise.reject(new Error('Debugger is not connected'));
+        }
+        const seq = this.seq++;
+        const json = JSON.stringify({ seq, type: 'request', command, arguments: args });
+        this.connection.write(`Content-Length: ${Buffer.byteLength(json)}${HEADER_END}${json}`);
+        return new Promise((resolve, reject) => this.pending.set(seq, { resolve, reject, command }));
+    }
+
+    onData(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+
+        for (;;) {
+            const headerEnd = this.buffer.indexOf(HEADER_END);
+            if (headerEnd === -1) return;
+
+            const header = this.buffer.subarray(0, headerEnd).toString();
+            const length = parseInt(header.match(/Content-Length:\s*(\d+)/i)?.[1], 10);
+            const start = headerEnd + HEADER_END.length;
+            if (Number.isNaN(length) || this.buffer.length < start + length) return;
+
+            const message = JSON.parse(this.buffer.subarray(start, start + length).toString());
+            this.buffer = this.buffer.subarray(start + length);
+            this.onMessage(message);
+        }
+    }
+
+    onMessage(message) {
+        if (message.type === 'response') {
+            const request = this.pending.get(message.request_seq);
+            if (!request) return;
+            this.pending.delete(message.request_seq);
+            if (message.success) {
+                request.resolve(message.body || {});
+            } else {
+                request.reject(new Error(message.body?.error?.format || message.message || `${request.command} failed`));
+            }
+            return;
+        }
+
+        if (message.type !== 'event') return;
+        const body = message.body || {};
+        switch (message.event) {
+            case 'initialized':
+                this.resolveInitialized();
+                break;
+            case 'stopped':
+                this.threadId = body.threadId ?? this.threadId;
+                this.emit('stopped', { reason: body.reason });
+                break;
+            case 'continued':
+                this.emit('continued');
+                break;
+            case 'terminated':
+                this.emit('terminated');
+                break;
+            default:
+                break;
+        }
+    }
+
+    onClose() {
+        for (const request of this.pending.values()) {
+            request.reject(new Error('Debugger disconnected'));
+        }
+        this.pending.clear();
+        this.emit('terminated');
+    }
+}
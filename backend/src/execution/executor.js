@@ -1,24 +1,62 @@
 import { executeLocalCode } from './localExecutor.js';
 import { executePistonCode } from './pistonExecutor.js';
-import { LANGUAGES } from '../config/languages.js';
+import { executePistonStreamCode } from './pistonStreamExecutor.js';
+import { LANGUAGES, resolveLanguageConfig } from '../config/languages.js';
+import { createErrorResult } from './runResult.js';
+import { resolveRunVersion } from './runConfig.js';
+import { killProcessTree } from '../utils/helpers.js';
+import TerminalManager from '../utils/TerminalManager.js';
+import ExecutionQueue from '../services/ExecutionQueue.js';
+import PistonService from '../services/PistonService.js';
+import ToolchainService from '../services/ToolchainService.js';
+import { isSandboxEnforced, killSandbox } from './sandbox.js';
+import { stopDebugSession } from './debugger.js';
+import { stopTypeCheck } from './typescript.js';
+
+// "Heavy" or locally supported languages default to Local, others to Piston (Remote)
+const LOCAL_FIRST_LANGUAGES = ['python', 'javascript', 'java', 'c', 'cpp', 'php'];
+
+/**
+ * Where "auto" mode runs a language. Each side falls back to the other when
+ * it cannot run the language: the local toolchain was not found at startup,
+ * or Piston has no runtime for it.
+ */
+export function resolveAutoMode(language, version = null) {
+    const preferLocal = LOCAL_FIRST_LANGUAGES.includes(language);
+    const localOk = ToolchainService.isAvailable(language, version);
+    const pistonOk = Boolean(PistonService.resolve(language, version));
+    if (preferLocal && !localOk && pistonOk) {
+        return 'piston';
+    }
+    if (!preferLocal && !pistonOk && localOk) {
+        return 'local';
+    }
+    return preferLocal ? 'local' : 'piston';
+}
 
 export async function executeCode(socket, payload, sessionData) {
     const { language, executionMode } = payload;
     let mode = executionMode || process.env.EXECUTION_MODE || 'auto';
 
+    const version = resolveRunVersion(payload);
+    if (version && LANGUAGES[language]) {
+        try {
+            resolveLanguageConfig(language, version);
+        } catch (err) {
+            socket.emit('output', `\n❌ Error: ${err.message}\n`);
+            socket.emit('execution_complete', createErrorResult(err.message));
+            return;
+        }
+    }
+    payload = { ...payload, version };
+
     console.log(`[Executor] 🔍 Initializing execution for ${language} in mode: ${mode}`);
 
     if (mode === 'auto') {
-<<<<<<< HEAD
-        if (['python', 'javascript', 'java', 'c', 'cpp', 'php'].includes(language)) {
-=======
-        // "Heavy" or locally supported languages default to Local.
-        // Others default to Piston (Remote).
-        if (['python', 'javascript', 'java'].includes(language)) {
->>>>>>> f56aa7769833d7fe590f81c8942a0290a924f91c
-            mode = 'local';
-        } else {
-            mode = 'piston';
+        mode = resolveAutoMode(language, version);
+        // Not sent to the client: judge runs capture 'output' as program output
+        if (mode === 'piston' && LOCAL_FIRST_LANGUAGES.includes(language)) {
+            console.log(`[Executor] ↪️ ${language} toolchain not found locally (${ToolchainService.get(language, version)?.missing.join(', ')}), falling back to Piston`);
         }
     }
 
@@ -27,6 +65,11 @@ export async function executeCode(socket, payload, sessionData) {
         mode = 'piston';
     }
 
+    // With SANDBOX_ENFORCE nothing runs directly on the host
+    if (mode === 'local' && isSandboxEnforced()) {
+        mode = 'sandbox';
+    }
+
     console.log(`[Executor] ✅ Final execution mode: ${mode.toUpperCase()}`);
 
     if (language === 'terminal') {
@@ -35,7 +78,7 @@ export async function executeCode(socket, payload, sessionData) {
 
     if (!LANGUAGES[language]) {
         socket.emit('output', `\n❌ Error: Unsupported language: ${language}\n`);
-        socket.emit('execution_complete');
+        socket.emit('execution_complete', createErrorResult(`Unsupported language: ${language}`));
         return;
     }
 
@@ -43,10 +86,60 @@ export async function executeCode(socket, payload, sessionData) {
         return executeLocalCode(socket, payload, sessionData.userId);
     }
 
+    if (mode === 'sandbox') {
+        return executeLocalCode(socket, payload, sessionData.userId, { sandbox: true });
+    }
+
     if (mode === 'piston') {
         return executePistonCode(socket, payload);
     }
 
+    if (mode === 'piston-stream') {
+        return executePistonStreamCode(socket, payload);
+    }
+
     socket.emit('output', `\n❌ Error: Unknown execution mode: ${mode}\n`);
-    socket.emit('execution_complete');
+    socket.emit('execution_complete', createErrorResult(`Unknown execution mode: ${mode}`));
+}
+
+/**
+ * Aborts whatever the socket is currently running: a job still waiting in the
+ * execution queue, the local PTY process group (and its debugger or type
+ * check), an
+ * in-flight or streaming Piston job, a package install before the run, or a
+ * shell command started from the terminal.
+ * Each executor reports the stop through its own execution_complete.
+ */
+export async function stopExecution(socket) {
+    // A queued job has not started anything yet
+    if (ExecutionQueue.cancel(socket.id)) return;
+
+    socket._stopRequested = true;
+
+    if (socket._ptyProcess) {
+        killProcessTree(socket._ptyProcess);
+    }
+
+    stopDebugSession(socket);
+    stopTypeCheck(socket);
+
+    // Killing the CLI client does not always stop the container itself
+    if (socket._sandboxContainer) {
+        killSandbox(socket._sandboxContainer);
+    }
+
+    if (socket._pistonAbort) {
+        socket._pistonAbort.abort();
+    }
+
+    // pip or npm may still be installing the run's packages
+    if (socket._installAbort) {
+        socket._installAbort.abort();
+    }
+
+    if (socket._remoteSession) {
+        socket._remoteSession.kill();
+    }
+
+    TerminalManager.stop(socket.id);
 }
@@ -0,0 +1,306 @@
+/**
+ * GUI mode: runs a program that opens windows (Swing/JavaFX, tkinter and
+ * turtle, pygame, ...) on a private virtual X display streamed to the IDE.
+ *
+ * Every run gets its own Xvfb server; -displayfd lets it pick a free display
+ * number and -fbdir keeps its framebuffer in a file (an XWD image). The file
+ * is polled a few times per second and every changed frame is sent as a PNG.
+ * Mouse and keyboard events from the browser are replayed with xdotool. The
+ * display is shut down when the run ends, however it ends.
+ *
+ * Client -> server: gui:run (execute payload), gui:input { type, x, y, button,
+ * deltaY, code } with type mousemove, mousedown, mouseup, wheel, keydown or
+ * keyup; `code` is the browser's KeyboardEvent.code.
+ * Server -> client: gui:started { width, height }, gui:frame { url } (a data:
+ * URL), gui:closed.
+ *
+ * Needs Xvfb on the backend host (Debian/Ubuntu package xvfb) and xdotool for
+ * input. The program runs on the host, so this is refused while
+ * SANDBOX_ENFORCE is set.
+ */
+
+import { spawn } from 'child_process';
+import { promises as fs } from 'fs';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import { executeLocalCode } from './localExecutor.js';
+import { createErrorResult, createStoppedResult } from './runResult.js';
+import { resolveRunVersion } from './runConfig.js';
+import { isSandboxEnforced } from './sandbox.js';
+import { encodePng } from '../utils/png.js';
+import { xwdToRgb } from '../utils/xwd.js';
+
+const DISPLAY_WIDTH = 1024;
+const DISPLAY_HEIGHT = 768;
+const FRAME_INTERVAL = 200;
+const XVFB_START_TIMEOUT = 10000;
+const MOUSE_BUTTONS = new Set([1, 2, 3]);
+
+// KeyboardEvent.code (the physical key) to X keysym; Shift is pressed and
+// released as a key of its own, so shifted characters come out right
+const KEYSYMS = {
+    Enter: 'Return', NumpadEnter: 'KP_Enter', Backspace: 'BackSpace', Tab: 'Tab', Escape: 'Escape', Space: 'space',
+    ArrowLeft: 'Left', ArrowRight: 'Right', ArrowUp: 'Up', ArrowDown: 'Down',
+    Home: 'Home', End: 'End', PageUp: 'Prior', PageDown: 'Next', Insert: 'Insert', Delete: 'Delete',
+    ShiftLeft: 'Shift_L', ShiftRight: 'Shift_R', ControlLeft: 'Control_L', ControlRight: 'Control_R',
+    AltLeft: 'Alt_L', AltRight: 'Alt_R', MetaLeft: 'Super_L', MetaRight: 'Super_R', CapsLock: 'Caps_Lock',
+    Minus: 'minus', Equal: 'equal', BracketLeft: 'bracketleft', BracketRight: 'bracketright',
+    Backslash: 'backslash', Semicolon: 'semicolon', Quote: 'apostrophe', Backquote: 'grave',
+    Comma: 'comma', Period: 'period', Slash: 'slash'
+};
+for (let i = 0; i < 26; i++) {
+    const letter = String.fromCharCode(97 + i);
+    KEYSYMS[`Key${letter.toUpperCase()}`] = letter;
+}
+for (let i = 0; i <= 9; i++) {
+    KEYSYMS[`Digit${i}`] = String(i);
+    KEYSYMS[`Numpad${i}`] = `KP_${i}`;
+}
+for (let i = 1; i <= 12; i++) {
+    KEYSYMS[`F${i}`] = `F${i}`;
+}
+
+// One run's display, by socket id
+const sessions = new Map();
+
+function startXvfb(fbDir) {
+    return new Promise((resolve, reject) => {
+        const xvfb = spawn('Xvfb', [
+            '-displayfd', '3',
+            '-screen', '0', `${DISPLAY_WIDTH}x${DISPLAY_HEIGHT}x24`,
+            '-fbdir', fbDir,
+            '-nolisten', 'tcp'
+        ], { stdio: ['ignore', 'ignore', 'pipe', 'pipe'] });
+
+        let stderr = '';
+        let announced = '';
+        const timer = setTimeout(() => {
+            xvfb.kill('SIGKILL');
+            reject(new Error('Xvfb did not start in time'));
+        }, XVFB_START_TIMEOUT);
+
+        xvfb.stderr.on('data', (data) => {
+            stderr = (stderr + data).slice(-2000);
+        });
+        // The display number is written once the server accepts connections
+        xvfb.stdio[3].on('data', (data) => {
+            announced += data;
+            const match = announced.match(/^(\d+)\n/);
+            if (match) {
+                clearTimeout(timer);
+                resolve({ xvfb, display: `:${match[1]}` });
+            }
+        });
+        xvfb.on('error', (err) => {
+            clearTimeout(timer);
+            reject(err.code === 'ENOENT' ? new Error('Xvfb is not installed on the server (package xvfb)') : err);
+        });
+        xvfb.on('exit', (code, signal) => {
+            clearTimeout(timer);
+            reject(new Error(`Xvfb exited with ${signal || `code ${code}`}: ${stderr.trim().split('\n').pop()}`));
+        });
+    });
+}
+
+// Browser input event to xdotool arguments, or null for anything unexpected
+function toXdotoolCommand(event) {
+    const x = Math.min(DISPLAY_WIDTH - 1, Math.max(0, Math.round(Number(event?.x) || 0)));
+    const y = Math.min(DISPLAY_HEIGHT - 1, Math.max(0, Math.round(Number(event?.y) || 0)));
+    const move = ['mousemove', String(x), String(y)];
+    switch (event?.type) {
+        case 'mousemove':
+            return move;
+        case 'mousedown':
+        case 'mouseup':
+            return MOUSE_BUTTONS.has(event.button) ? [...move, event.type, String(event.button)] : null;
+        case 'wheel':
+            // Buttons 4 and 5 are the scroll wheel in X
+            return [...move, 'click', Number(event.deltaY) < 0 ? '4' : '5'];
+        case 'keydown':
+        case 'keyup':
+            return KEYSYMS[event.code] ? [event.type, KEYSYMS[event.code]] : null;
+        default:
+            return null;
+    }
+}
+
+class DisplaySession {
+    constructor(socket, xvfb, display, fbDir, framebuffer, frameSize) {
+        this.socket = socket;
+        this.xvfb = xvfb;
+        this.display = display;
+        this.fbDir = fbDir;
+        this.framebuffer = framebuffer;
+        this.frame = Buffer.alloc(frameSize);
+        this.lastFrame = null;
+        this.capturing = false;
+        this.closed = false;
+        this.pendingInput = [];
+        this.inputRunning = false;
+        this.inputAvailable = true;
+        this.timer = setInterval(() => this.captureFrame(), FRAME_INTERVAL);
+    }
+
+    static async start(socket) {
+        const fbDir = await fs.mkdtemp(path.join(os.tmpdir(), 'teachgrid-display-'));
+        let xvfb = null;
+        try {
+            let display;
+            ({ xvfb, display } = await startXvfb(fbDir));
+            const fbFile = path.join(fbDir, 'Xvfb_screen0');
+            const { size } = await fs.stat(fbFile);
+            const framebuffer = await fs.open(fbFile, 'r');
+            return new DisplaySession(socket, xvfb, display, fbDir, framebuffer, size);
+        } catch (err) {
+            xvfb?.kill('SIGKILL');
+            await fs.rm(fbDir, { recursive: true, force: true });
+            throw err;
+        }
+    }
+
+    // Unchanged frames are not sent again; a slow capture skips the next tick
+    async captureFrame() {
+        if (this.capturing || this.closed) return;
+        this.capturing = true;
+        try {
+            await this.framebuffer.read(this.frame, 0, this.frame.length, 0);
+            if (this.lastFrame?.equals(this.frame)) return;
+            this.lastFrame = Buffer.from(this.frame);
+
+            const { width, height, rgb } = xwdToRgb(this.frame);
+            const png = encodePng(width, height, rgb, { level: zlib.constants.Z_BEST_SPEED });
+            if (!this.closed) {
+                this.socket.emit('gui:frame', { url: `data:image/png;base64,${png.toString('base64')}` });
+            }
+        } catch (err) {
+            console.error('[GuiDisplay] Frame capture failed:', err.message);
+        } finally {
+            this.capturing = false;
+        }
+    }
+
+    sendInput(event) {
+        const command = toXdotoolCommand(event);
+        if (!command || !this.inputAvailable || this.closed) return;
+        // Only the latest pointer position matters while xdotool is still busy
+        const last = this.pendingInput[this.pendingInput.length - 1];
+        if (command[0] === 'mousemove' && command.length === 3 && last?.[0] === 'mousemove' && last.length === 3) {
+            this.pendingInput[this.pendingInput.length - 1] = command;
+        } else {
+            this.pendingInput.push(command);
+        }
+        this.flushInput();
+    }
+
+    // Queued events go to one xdotool process, which runs its commands in order
+    flushInput() {
+        if (this.inputRunning || this.pendingInput.length === 0 || this.closed) return;
+        const args = this.pendingInput.flat();
+        this.pendingInput = [];
+        this.inputRunning = true;
+
+        let finished = false;
+        const done = () => {
+            if (finished) return;
+            finished = true;
+            this.inputRunning = false;
+            this.flushInput();
+        };
+        const xdotool = spawn('xdotool', args, { env: { ...process.env, DISPLAY: this.display }, stdio: 'ignore' });
+        xdotool.on('error', (err) => {
+            if (err.code === 'ENOENT') {
+                this.inputAvailable = false;
+                this.pendingInput = [];
+                this.socket.emit('output', `\n⚠️ xdotool is not installed on the server: mouse and keyboard input cannot reach the program\n`);
+            }
+            done();
+        });
+        xdotool.on('close', done);
+    }
+
+    async close() {
+        if (this.closed) return;
+        this.closed = true;
+        clearInterval(this.timer);
+        sessions.delete(this.socket.id);
+        this.socket.emit('gui:closed');
+
+        this.xvfb.kill('SIGTERM');
+        await this.framebuffer.close().catch(() => {});
+        await fs.rm(this.fbDir, { recursive: true, force: true }).catch(() => {});
+    }
+}
+
+/**
+ * Starts a virtual display, then runs the program as a local job with
+ * DISPLAY pointing at it: the queue, execute:stop and execution_complete
+ * work as for a normal run.
+ */
+export async function startGuiRun(socket, payload, userId) {
+    const fail = (message) => {
+        socket.emit('output', `❌ ${message}\n`);
+        socket.emit('execution_complete', createErrorResult(message));
+    };
+
+    if (process.platform === 'win32') {
+        return fail('GUI runs need Xvfb, which is not available on Windows');
+    }
+    // The display and the program run on the host; with SANDBOX_ENFORCE nothing may
+    if (isSandboxEnforced()) {
+        return fail('GUI runs are disabled while SANDBOX_ENFORCE is set');
+    }
+
+    // executeLocalCode resets the flag itself, which would lose a stop sent during the Xvfb start
+    socket._stopRequested = false;
+    let session;
+    try {
+        session = await DisplaySession.start(socket);
+    } catch (err) {
+        return fail(`Could not start a virtual display: ${err.message}`);
+    }
+    if (socket._stopRequested) {
+        await session.close();
+        socket.emit('output', `⏹️ Execution stopped\n`);
+        socket.emit('execution_complete', createStoppedResult({ phase: 'compile' }));
+        return;
+    }
+
+    sessions.set(socket.id, session);
+    console.log(`[GuiDisplay] ${payload.fileName} on display ${session.display}`);
+    socket.emit('gui:started', { width: DISPLAY_WIDTH, height: DISPLAY_HEIGHT });
+
+    // The display goes away with the run, including runs that fail before the program starts
+    const runSocket = new Proxy(socket, {
+        get(target, prop) {
+            if (prop === 'emit') {
+                return (event, data) => {
+                    if (event === 'execution_complete') session.close();
+                    return target.emit(event, data);
+                };
+            }
+            const value = Reflect.get(target, prop);
+            return typeof value === 'function' ? value.bind(target) : value;
+        }
+    });
+
+    const version = resolveRunVersion(payload);
+
+    try {
+        await executeLocalCode(runSocket, { ...payload, version }, userId, {
+            gui: {
+                // pygame programs that play sounds would fail without an audio device
+                env: { DISPLAY: session.display, SDL_AUDIODRIVER: 'dummy' }
+            }
+        });
+    } catch (err) {
+        // The job's own error handling reports it, without going through runSocket
+        await session.close();
+        throw err;
+    }
+}
+
+// gui:input: events for a display that is gone (the run just ended) are dropped
+export function sendGuiInput(socket, event) {
+    sessions.get(socket.id)?.sendInput(event);
+}
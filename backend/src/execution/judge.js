@@ -0,0 +1,186 @@
+/**
+ * Judge mode: runs the program once per test case through executeCode and
+ * compares what it prints to stdout with the expected output. Whatever the
+ * terminal would show besides (compiler messages, stderr) is the case's `log`.
+ *
+ * Cases are workspace files in the cases folder (relative to the run root):
+ *   tests/sample1.in   stdin for the case
+ *   tests/sample1.out  expected output (.ans is accepted too)
+ *
+ * Payload: the usual `execute` payload plus
+ *   judge: { casesDir: 'tests', trim, ignoreWhitespace, floatTolerance }
+ *
+ * Emits `judge:case` after every case and `judge:complete` at the end; the
+ * terminal gets a one-line summary per case.
+ */
+
+import path from 'path';
+import { executeCode } from './executor.js';
+import { resolveProject, toSafeRelativePath } from './project.js';
+import { compareOutput, DEFAULT_COMPARE_OPTIONS } from './compareOutput.js';
+import { createCaptureSocket } from './captureSocket.js';
+
+// Program output kept per case; anything beyond is dropped (and fails the comparison)
+const MAX_CAPTURE = 1024 * 1024;
+// Texts and diff lines sent back to the browser per case
+const MAX_REPORT_TEXT = 64 * 1024;
+const MAX_REPORT_LINES = 2000;
+
+const VERDICT_LABELS = {
+    passed: 'Passed',
+    wrong_answer: 'Wrong answer',
+    time_limit: 'Time limit exceeded',
+    memory_limit: 'Memory limit exceeded',
+    runtime_error: 'Runtime error',
+    compile_error: 'Compilation failed',
+    stopped: 'Stopped',
+    error: 'Error'
+};
+
+const EXPECTED_EXTENSIONS = ['.out', '.ans'];
+
+export function findTestCases(files, casesDir) {
+    const dir = toSafeRelativePath(casesDir ?? 'tests');
+    const contents = new Map(files.map(f => [f.path, f.content]));
+
+    const cases = [];
+    const missing = [];
+    for (const file of files) {
+        if (path.posix.extname(file.path) !== '.in' || path.posix.dirname(file.path) !== (dir || '.')) continue;
+
+        const base = file.path.slice(0, -'.in'.length);
+        const expectedPath = EXPECTED_EXTENSIONS.map(ext => base + ext).find(p => contents.has(p));
+        const name = path.posix.basename(base);
+        if (expectedPath) {
+            cases.push({ name, input: file.content, expected: contents.get(expectedPath) });
+        } else {
+            missing.push(name);
+        }
+    }
+
+    cases.sort((a, b) => a.name.localeCompare(b.name, undefined, { numeric: true }));
+    return { dir, cases, missing };
+}
+
+function resolveCompareOptions(options = {}) {
+    const tolerance = options.floatTolerance === '' || options.floatTolerance === null || options.floatTolerance === undefined
+        ? null
+        : Number(options.floatTolerance);
+    if (tolerance !== null && (!Number.isFinite(tolerance) || tolerance < 0)) {
+        throw new Error(`Invalid float tolerance: ${options.floatTolerance}`);
+    }
+    return {
+        trim: options.trim ?? DEFAULT_COMPARE_OPTIONS.trim,
+        ignoreWhitespace: Boolean(options.ignoreWhitespace),
+        floatTolerance: tolerance
+    };
+}
+
+function toVerdict(result, comparison) {
+    if (result.stopped) return 'stopped';
+    if (result.error) return 'error';
+    if (result.phase === 'compile' && (result.exitCode !== 0 || result.signal)) return 'compile_error';
+    if (result.limitExceeded === 'time' || result.limitExceeded === 'cpu' || result.timedOut) return 'time_limit';
+    if (result.limitExceeded === 'memory') return 'memory_limit';
+    if (result.signal || result.exitCode !== 0) return 'runtime_error';
+    return comparison.passed ? 'passed' : 'wrong_answer';
+}
+
+const clip = (text) => text.length > MAX_REPORT_TEXT ? `${text.slice(0, MAX_REPORT_TEXT)}\n… (truncated)` : text;
+
+async function runCase(socket, payload, sessionData, testCase, compareOptions) {
+    const { capture, result, getOutput, getStdout } = createCaptureSocket(socket, MAX_CAPTURE);
+
+    try {
+        await executeCode(capture, { ...payload, stdin: testCase.input }, sessionData);
+    } catch (err) {
+        capture.emit('execution_complete', { error: err.message, wallTime: 0 });
+    }
+
+    const runResult = await result;
+    // Only stdout is compared; stderr and compiler messages are shown as the log
+    const { stdout, truncated } = getStdout();
+    const actual = stdout.replace(/\r\n/g, '\n') + (truncated ? '\n… (output truncated)' : '');
+    const log = getOutput().output.replace(/\r\n/g, '\n');
+    const comparison = compareOutput(actual, testCase.expected, compareOptions);
+    const verdict = toVerdict(runResult, comparison);
+
+    return {
+        name: testCase.name,
+        verdict,
+        message: runResult.error || null,
+        exitCode: runResult.exitCode ?? null,
+        signal: runResult.signal ?? null,
+        wallTime: runResult.wallTime ?? 0,
+        input: clip(testCase.input),
+        actual: clip(actual),
+        log: clip(log),
+        // Normalised lines, which is what the mismatch indexes refer to
+        expectedLines: comparison.expectedLines.slice(0, MAX_REPORT_LINES),
+        actualLines: comparison.actualLines.slice(0, MAX_REPORT_LINES),
+        mismatches: comparison.mismatches.filter(i => i < MAX_REPORT_LINES)
+    };
+}
+
+export async function runJudge(socket, payload, sessionData) {
+    let project;
+    let compareOptions;
+    try {
+        project = resolveProject(payload);
+        compareOptions = resolveCompareOptions(payload.judge);
+    } catch (err) {
+        socket.emit('output', `❌ ${err.message}\n`);
+        socket.emit('judge:complete', { cases: [], passed: 0, total: 0, error: err.message });
+        return;
+    }
+
+    const { dir, cases, missing } = findTestCases(project.files, payload.judge?.casesDir);
+    const dirLabel = dir ? `${dir}/` : 'the run root';
+
+    if (missing.length) {
+        socket.emit('output', `⚠️ No expected output for: ${missing.join(', ')} (add .out files)\n`);
+    }
+    if (cases.length === 0) {
+        const message = `No test cases found in ${dirLabel} (expected NAME.in + NAME.out pairs)`;
+        socket.emit('output', `❌ ${message}\n`);
+        socket.emit('judge:complete', { cases: [], passed: 0, total: 0, error: message });
+        return;
+    }
+
+    // Cases run to completion one at a time, so the interactive mode is not needed
+    const mode = payload.executionMode === 'piston-stream' ? 'piston' : payload.executionMode;
+    const casePayload = { ...payload, executionMode: mode };
+    delete casePayload.judge;
+
+    console.log(`[Judge] Running ${cases.length} cases for ${project.entrypoint} (${mode || 'auto'})`);
+    socket.emit('output', `🧪 Judging ${project.entrypoint} against ${cases.length} cases from ${dirLabel}\n`);
+
+    socket._stopRequested = false;
+    const results = [];
+    for (const testCase of cases) {
+        // A stop between two cases is not seen by the next run, which resets the flag
+        if (socket._stopRequested) break;
+
+        const caseResult = await runCase(socket, casePayload, sessionData, testCase, compareOptions);
+        results.push(caseResult);
+
+        const mark = caseResult.verdict === 'passed' ? '✔' : '✖';
+        socket.emit('output', `  ${mark} ${caseResult.name}: ${VERDICT_LABELS[caseResult.verdict]} (${caseResult.wallTime}ms)\n`);
+        socket.emit('judge:case', { index: results.length - 1, total: cases.length, result: caseResult });
+
+        // The program is the same for every case, so none of these can change
+        if (['stopped', 'compile_error', 'error'].includes(caseResult.verdict)) {
+            if (caseResult.verdict === 'compile_error') socket.emit('output', caseResult.log);
+            break;
+        }
+    }
+
+    const passed = results.filter(r => r.verdict === 'passed').length;
+    socket.emit('output', `🧪 ${passed}/${cases.length} cases passed\n`);
+    socket.emit('judge:complete', {
+        cases: results,
+        passed,
+        total: cases.length,
+        stopped: socket._stopRequested || results.some(r => r.verdict === 'stopped')
+    });
+}
@@ -1,119 +1,511 @@
 import pty from 'node-pty';
-import { LANGUAGES } from '../config/languages.js';
-import { sanitizeInput } from '../utils/helpers.js';
+import { DEFAULT_LIMITS, resolveLanguageConfig } from '../config/languages.js';
+import { sanitizeInput, killProcessTree, generateContainerName } from '../utils/helpers.js';
 import { promises as fs } from 'fs';
 import path from 'path';
 import os from 'os';
-import { bundleCode, cleanupBundle } from '../utils/bundler.js';
-import { ensurePythonPackages } from '../utils/pythonPkgManager.js';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { ensurePythonEnvironment } from '../utils/pythonPkgManager.js';
+import { ensureNodePackages, isModuleProject } from '../utils/nodePkgManager.js';
+import { skipTypeCheck, startTypeCheck, transpileTypeScript } from './typescript.js';
+import { hasModuleSyntax } from './nodeHooks/moduleSyntax.mjs';
 import { ensureJavaPackages } from '../utils/javaPkgManager.js';
-import { detectPackages } from '../utils/packageDetector.js';
+import { detectPackages, findLocalPythonModules } from '../utils/packageDetector.js';
+import { createRunResult, createErrorResult, createStoppedResult, toSignalName } from './runResult.js';
+import { resolveProject } from './project.js';
+import { resolveRunConfig } from './runConfig.js';
+import { prepareBuild } from './buildCache.js';
+import { snapshotWorkspace, collectArtifacts } from './artifacts.js';
+import {
+    checkSandboxAvailable,
+    isSandboxEnforced,
+    createSandboxMounts,
+    buildSandboxCommand,
+    killSandbox,
+    finishSandbox
+} from './sandbox.js';
 
-export async function executeLocalCode(socket, payload, userId) {
-    const { language, code, fileName } = payload;
+// Scratch files (stdin) go to a dot-directory so the workspace watcher does not sync them
+const BUILD_DIR = '.teachgrid/build';
 
-    const langConfig = LANGUAGES[language];
+// Step tracers run by `traceCommand` (see visualizer.js)
+const TRACER_DIR = fileURLToPath(new URL('./tracers', import.meta.url));
+
+// On PYTHONPATH for every Python run: the matplotlib backend behind plt.show() figures
+const PYTHON_HOOKS_DIR = fileURLToPath(new URL('./pythonHooks', import.meta.url));
+
+// Preloaded by JavaScript runs whose .js files use import/export without
+// "type": "module": loads those files as ES modules
+const NODE_HOOKS_DIR = fileURLToPath(new URL('./nodeHooks', import.meta.url));
+
+// A debuggee sits at breakpoints for as long as the student needs
+const DEBUG_TIMEOUT = 30 * 60 * 1000;
+
+// A GUI program runs until its window is closed, and an event loop redrawing
+// the window keeps using CPU all along
+const GUI_LIMITS = { timeout: 10 * 60 * 1000, cpu: 120 };
+
+// SIGXCPU is raised when the soft RLIMIT_CPU is crossed; bash reports it as 128 + 24
+const SIGXCPU = 24;
+
+// Allocation failures look different in every runtime once RLIMIT_AS is hit.
+// Only looked for at the end of a failed run's output (MEMORY_ERROR_TAIL characters)
+const MEMORY_ERROR_TAIL = 2000;
+const MEMORY_ERROR_PATTERNS = /MemoryError|std::bad_alloc|OutOfMemoryError|Cannot allocate memory|heap out of memory|Failed to reserve virtual memory|memory allocation of \d+ bytes failed/i;
+
+// Private OSC sequence printed between the compile and run steps of chained
+// commands, so the exit can be attributed to the right phase. Stripped from output.
+const RUN_PHASE_MARKER = '\x1b]7777;teachgrid-run\x07';
+const RUN_PHASE_PRINTF = '\\033]7777;teachgrid-run\\007';
+
+const LIMIT_MESSAGES = {
+    time: (limits) => `⏱️ Time limit exceeded (${limits.timeout / 1000}s wall clock) - process killed`,
+    cpu: (limits) => `⏱️ CPU time limit exceeded (${limits.cpu}s) - process killed`,
+    memory: (limits) => `💾 Memory limit exceeded (${limits.memory} MB)`
+};
+
+/**
+ * Prepends ulimit calls so the limits apply to every process the shell starts.
+ * The soft CPU limit delivers SIGXCPU; the hard limit one second later is a SIGKILL
+ * backstop for programs that trap the signal.
+ */
+function buildLimitPrefix(limits) {
+    if (process.platform === 'win32') return '';
+
+    const parts = [];
+    if (limits.cpu) {
+        parts.push(`ulimit -S -t ${limits.cpu}`, `ulimit -H -t ${limits.cpu + 1}`);
+    }
+    if (limits.memory) {
+        parts.push(`ulimit -v ${limits.memory * 1024}`);
+    }
+    return parts.length ? parts.join('; ') + '; ' : '';
+}
+
+function quoteArg(arg) {
+    if (/^[\w./:=@+-]+$/.test(arg)) return arg;
+    return process.platform === 'win32'
+        ? `"${arg.replace(/"/g, '""')}"`
+        : `'${arg.replace(/'/g, `'\\''`)}'`;
+}
+
+// Package-qualified class name of a Java entrypoint, e.g. com/app/Main.java -> com.app.Main
+function getJavaMainClass(code, entrypoint) {
+    const className = path.parse(entrypoint).name;
+    const pkg = code.match(/^\s*package\s+([\w.]+)\s*;/m);
+    return pkg ? `${pkg[1]}.${className}` : className;
+}
+
+/**
+ * Chains the compile and run steps with RUN_PHASE_MARKER between them.
+ * Without a compile step (interpreted language or cached build) only the run step is left.
+ */
+function chainPhases(compile, run) {
+    if (!compile) {
+        return { command: run, hasCompileStep: false };
+    }
+    if (process.platform === 'win32') {
+        return { command: `${compile} && ${run}`, hasCompileStep: false };
+    }
+    return {
+        command: `${compile} && printf '${RUN_PHASE_PRINTF}' && ${run}`,
+        hasCompileStep: true
+    };
+}
+
+// The first `limit` bytes of the run step's stdout; no file means it never started
+async function readCapturedStdout(file, limit) {
+    let handle;
+    try {
+        handle = await fs.open(file, 'r');
+    } catch (err) {
+        return { stdout: '', truncated: false };
+    }
+    try {
+        const { size } = await handle.stat();
+        const buffer = Buffer.alloc(Math.min(size, limit));
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+        return { stdout: buffer.toString('utf-8', 0, bytesRead), truncated: size > limit };
+    } finally {
+        await handle.close();
+    }
+}
+
+/**
+ * Runs the project on this machine in a PTY. With `options.sandbox` the same
+ * command runs in a throwaway container instead (see sandbox.js).
+ * With `options.debug` ({ port, onSpawn }) the language's `debugCommand` is
+ * started instead and `onSpawn({ ptyProcess, workspaceDir })` lets the
+ * debugger attach (see debugger.js).
+ * With `options.trace` ({ onExit }) the language's `traceCommand` records the
+ * run step by step and `onExit(traceFile)` is awaited before
+ * execution_complete (see visualizer.js). `options.profile` ({ onExit }) does
+ * the same with `profileCommand` and `onExit({ profileDir, workspaceDir })`
+ * (see profiler.js).
+ * With `options.gui` ({ env }) the program runs with the environment of a
+ * virtual display and GUI_LIMITS (see guiDisplay.js).
+ * Files the run creates or changes are reported as `artifacts:result` before
+ * execution_complete (see artifacts.js); judged and benchmarked runs skip this.
+ */
+export async function executeLocalCode(socket, payload, userId, options = {}) {
+    const { language } = payload;
+    const sandboxed = Boolean(options.sandbox);
+    const debug = options.debug || null;
+    const trace = options.trace || null;
+    const profile = options.profile || null;
+    const gui = options.gui || null;
+
+    let langConfig;
+    try {
+        langConfig = resolveLanguageConfig(language, payload.version);
+    } catch (err) {
+        socket.emit('output', `❌ ${err.message}\n`);
+        socket.emit('execution_complete', createErrorResult(err.message));
+        return;
+    }
     if (!langConfig) {
         socket.emit('output', `❌ Unsupported language: ${language}\n`);
-        socket.emit('execution_complete');
+        socket.emit('execution_complete', createErrorResult(`Unsupported language: ${language}`));
         return;
     }
 
-    const sanitizedCode = sanitizeInput(code);
-    let codeToExecute = sanitizedCode;
-    let bundleTempDir = null;
+    // Reset by every run; set by stopExecution() (execute:stop)
+    socket._stopRequested = false;
+
+    let project;
+    let runConfig;
+    try {
+        project = resolveProject(payload);
+        runConfig = resolveRunConfig(payload.runConfig, project, payload.stdin);
+    } catch (err) {
+        socket.emit('output', `❌ ${err.message}\n`);
+        socket.emit('execution_complete', createErrorResult(err.message));
+        return;
+    }
+
+    if (sandboxed) {
+        const { available, reason } = await checkSandboxAvailable();
+        if (!available) {
+            socket.emit('output', `❌ Sandbox unavailable: ${reason}\n`);
+            socket.emit('execution_complete', createErrorResult(`Sandbox unavailable: ${reason}`));
+            return;
+        }
+    }
+
+    // ---------------- WORKSPACE ----------------
+    // Use the shared workspace so files are persistent and match the terminal's view.
+    // The project files are written first so unsaved editor changes are what runs.
+    const safeUserId = userId || 'anonymous';
+    const workspaceDir = path.join(os.tmpdir(), 'teachgrid-workspace', safeUserId);
+    const runDir = path.join(workspaceDir, project.root);
+    await fs.mkdir(runDir, { recursive: true });
+
+    for (const file of project.files) {
+        const target = path.join(runDir, file.path);
+        await fs.mkdir(path.dirname(target), { recursive: true });
+        await fs.writeFile(target, sanitizeInput(file.content));
+    }
+
+    const entryCode = sanitizeInput(project.files.find(f => f.path === project.entrypoint).content);
+    const entryExt = path.extname(project.entrypoint);
+    const sourceFiles = project.files.filter(f => path.extname(f.path) === entryExt);
+    // Package detection looks at every source file of the language, not just the entry
+    const allSources = sourceFiles.map(f => f.content).join('\n');
+
+    // Judged and benchmarked runs capture the program's output; an installer's goes to the terminal
+    const terminal = socket._realSocket || socket;
 
-    // ---------------- JS BUNDLING ----------------
-    if (language === 'javascript' && sanitizedCode.includes('require(')) {
+    // ---------------- NODE PACKAGES ----------------
+    // Installed into the project's node_modules, where require() and import
+    // both find them; a sandbox sees them through the workspace mount
+    if (language === 'javascript' || language === 'typescript') {
+        const installAbort = new AbortController();
+        socket._installAbort = installAbort; // So execute:stop can cancel npm
         try {
-            const bundleResult = await bundleCode(sanitizedCode, fileName);
-            if (bundleResult.bundled) {
-                codeToExecute = bundleResult.code;
-                bundleTempDir = bundleResult.tempDir;
-            }
+            await ensureNodePackages({
+                projectDir: runDir,
+                detectedPackages: detectPackages(allSources),
+                onOutput: (text) => terminal.emit('output', text),
+                signal: installAbort.signal
+            });
         } catch (err) {
-            socket.emit('output', `⚠️ Bundling failed: ${err.message}\n`);
+            if (!socket._stopRequested) {
+                terminal.emit('output', `⚠️ Package install failed: ${err.message}\n`);
+            }
+        } finally {
+            socket._installAbort = null;
         }
     }
 
+    // Node 18 loads .js files as CommonJS unless package.json says otherwise,
+    // and import/export then fail to parse
+    const moduleHooks = language === 'javascript' && entryExt === '.js'
+        && !(await isModuleProject(runDir))
+        && sourceFiles.some(f => hasModuleSyntax(f.content));
+
     // ---------------- PYTHON PACKAGES ----------------
-    if (language === 'python') {
+    // Host runs use the workspace's venv; a sandbox has only the image's packages
+    let pythonEnv = null;
+    if (language === 'python' && !sandboxed) {
+        // Imports of the project's own modules are not PyPI packages; Python
+        // finds them next to the entry file (sys.path[0])
+        const localModules = await findLocalPythonModules([path.dirname(path.join(runDir, project.entrypoint))]);
+        const installAbort = new AbortController();
+        socket._installAbort = installAbort; // So execute:stop can cancel pip
         try {
-            const pkgs = detectPackages(sanitizedCode, 'python');
-            await ensurePythonPackages(pkgs);
+            pythonEnv = await ensurePythonEnvironment({
+                workspaceDir,
+                projectDir: runDir,
+                interpreter: langConfig.localCommand[0],
+                detectedPackages: detectPackages(allSources, 'python', { localModules }),
+                // debugpy is installed into the venv like any other library
+                toolPackages: debug ? ['debugpy'] : [],
+                onOutput: (text) => terminal.emit('output', text),
+                signal: installAbort.signal
+            });
+            if (pythonEnv.error && !socket._stopRequested) {
+                terminal.emit('output', `⚠️ Package install failed: ${pythonEnv.error.message}\n`);
+            }
         } catch (err) {
-            socket.emit('output', `⚠️ Package install warning: ${err.message}\n`);
+            if (!socket._stopRequested) {
+                terminal.emit('output', `⚠️ Could not create a Python environment, using the system packages: ${err.message}\n`);
+            }
+        } finally {
+            socket._installAbort = null;
         }
     }
 
     // ---------------- JAVA PACKAGES ----------------
     if (language === 'java') {
         try {
-            const pkgs = detectPackages(sanitizedCode, 'java');
+            const pkgs = detectPackages(allSources, 'java');
             await ensureJavaPackages(pkgs);
         } catch (err) {
             socket.emit('output', `⚠️ Dependency warning: ${err.message}\n`);
         }
     }
 
-    // ---------------- WORKSPACE ----------------
-    // Use the shared workspace so files are persistent and match the terminal's view
-    const safeUserId = userId || 'anonymous';
-    const tempDir = path.join(os.tmpdir(), 'teachgrid-workspace', safeUserId);
-    await fs.mkdir(tempDir, { recursive: true });
-
-    const filePath = path.join(tempDir, fileName);
-    await fs.writeFile(filePath, codeToExecute);
+    // Stop may arrive while packages are still installing
+    if (socket._stopRequested) {
+        socket.emit('output', `\n⏹️ Execution stopped\n`);
+        socket.emit('execution_complete', createStoppedResult({ phase: 'compile' }));
+        return;
+    }
 
     // ---------------- PTY EXECUTION ----------------
 
-    const defaultFileName = langConfig.file;
-    const defaultBaseName = path.parse(defaultFileName).name;
-    const actualBaseName = path.parse(fileName).name;
+    // A run configuration may start the program from a subfolder; project paths
+    // in the command are rewritten relative to it
+    const cwd = path.join(runDir, runConfig.cwd);
+    await fs.mkdir(cwd, { recursive: true });
 
-    const commandList = (langConfig.localCommand || langConfig.command).map(part => {
-        let newPart = part;
-        if (defaultFileName) newPart = newPart.replaceAll(defaultFileName, fileName);
-        if (defaultBaseName !== actualBaseName) {
-            newPart = newPart.replaceAll(defaultBaseName, actualBaseName);
+    // In the sandbox the workspace is mounted at the image's workDir and folders
+    // outside it (the Python or Node hooks) read-only next to it
+    const sandbox = sandboxed
+        ? {
+            name: generateContainerName(socket.id),
+            ...createSandboxMounts(workspaceDir, langConfig.workDir || '/workspace', [
+                language === 'python' ? PYTHON_HOOKS_DIR : null,
+                moduleHooks ? NODE_HOOKS_DIR : null
+            ])
         }
-        return newPart;
-    });
+        : null;
+    const toRunPath = (hostPath) => (sandbox ? sandbox.toContainerPath(hostPath) : hostPath);
+
+    // Workspace paths become relative to cwd, which works on both sides of the mount
+    const fromCwd = (p) => {
+        const abs = path.isAbsolute(p) ? p : path.join(runDir, p);
+        const rel = path.relative(workspaceDir, abs);
+        if (!rel.startsWith('..') && !path.isAbsolute(rel)) {
+            return quoteArg(path.relative(cwd, abs) || '.');
+        }
+        return quoteArg(sandbox ? sandbox.toContainerPath(abs) : abs);
+    };
+
+    const entryDir = path.posix.dirname(project.entrypoint);
+    const placeholders = {
+        entry: fromCwd(project.entrypoint),
+        entryName: path.parse(project.entrypoint).name,
+        sources: sourceFiles.map(f => fromCwd(f.path)).join(' '),
+        siblings: sourceFiles
+            .filter(f => path.posix.dirname(f.path) === entryDir)
+            .map(f => fromCwd(f.path))
+            .join(' '),
+        root: fromCwd('.'),
+        mainClass: getJavaMainClass(entryCode, project.entrypoint),
+        buildDir: fromCwd(BUILD_DIR),
+        debugPort: debug ? String(debug.port) : '',
+        tracerDir: quoteArg(TRACER_DIR),
+        traceFile: fromCwd(path.join(BUILD_DIR, 'trace.json')),
+        profileDir: fromCwd(path.join(BUILD_DIR, 'profile')),
+        workspaceDir: fromCwd(workspaceDir)
+    };
+    await fs.mkdir(path.join(runDir, BUILD_DIR), { recursive: true });
+
+    // A trace or profile left by an earlier run must not be shown for this one
+    const traceFile = path.join(runDir, BUILD_DIR, 'trace.json');
+    const profileDir = path.join(runDir, BUILD_DIR, 'profile');
+    const figureDir = path.join(runDir, BUILD_DIR, 'figures');
+    if (trace) await fs.rm(traceFile, { force: true });
+    await fs.rm(figureDir, { recursive: true, force: true });
+    if (profile) {
+        await fs.rm(profileDir, { recursive: true, force: true });
+        await fs.mkdir(profileDir, { recursive: true });
+    }
+
+    // ---------------- COMPILE CACHE ----------------
+    let build = null;
+    if (langConfig.compileCommand) {
+        build = await prepareBuild({
+            workspaceDir,
+            language,
+            langConfig,
+            sourceFiles,
+            // Host and image toolchains produce different binaries
+            keyParts: [project.entrypoint, placeholders.mainClass, sandbox ? langConfig.image : 'host']
+        });
+        placeholders.buildDir = fromCwd(build.dir);
+        if (build.cached) {
+            console.log(`[LocalExecutor] ⚡ Reusing cached ${language} build ${path.basename(build.dir)}`);
+        }
+    }
 
-    const finalCommand = commandList.join(' ');
+    const limits = {
+        ...DEFAULT_LIMITS,
+        ...langConfig.limits,
+        timeout: debug ? DEBUG_TIMEOUT : langConfig.timeout || 30000,
+        ...(gui ? GUI_LIMITS : {})
+    };
 
-    const shell = process.platform === 'win32' ? 'cmd.exe' : 'bash';
-    const args = process.platform === 'win32' ? ['/C', finalCommand] : ['-c', finalCommand];
+    // ---------------- TYPESCRIPT ----------------
+    // Transpiled without type checks, which tsc does while the program runs.
+    // Judged and benchmarked runs repeat the program; normal runs check its types.
+    // tsc (possibly the project's own node_modules/.bin/tsc) runs on the host,
+    // under the same CPU and memory limits as the program
+    if (language === 'typescript') {
+        if (langConfig.typeCheck && !socket._realSocket) {
+            if (sandboxed || isSandboxEnforced()) {
+                skipTypeCheck(socket, 'types are not checked for sandboxed runs');
+            } else {
+                await startTypeCheck(socket, {
+                    workspaceDir,
+                    runDir,
+                    sourceFiles: sourceFiles.map(f => f.path),
+                    limitPrefix: buildLimitPrefix(limits)
+                });
+            }
+        }
+        try {
+            const outfile = await transpileTypeScript({ runDir, entrypoint: project.entrypoint, buildDir: path.join(runDir, BUILD_DIR) });
+            placeholders.entry = fromCwd(outfile);
+        } catch (err) {
+            socket.emit('output', `❌ TypeScript could not be transpiled:\n${err.message}\n`);
+            socket.emit('execution_complete', createRunResult({ exitCode: 1, phase: 'compile', error: 'TypeScript could not be transpiled' }));
+            return;
+        }
+    }
 
-    // Set encoding for Python to handle Unicode characters on Windows
+    // Program arguments and stdin redirection apply to the run step only
+    let runSuffix = runConfig.args.map(quoteArg).map(a => ` ${a}`).join('');
+    if (runConfig.stdin !== null) {
+        const stdinFile = path.join(runDir, BUILD_DIR, 'stdin.txt');
+        await fs.writeFile(stdinFile, runConfig.stdin);
+        runSuffix += ` < ${fromCwd(stdinFile)}`;
+    }
+    // Judged and benchmarked runs are compared by the run step's stdout alone,
+    // so it goes to a file; stderr and the compiler still reach the terminal
+    const stdoutFile = socket._captureStdout ? path.join(runDir, BUILD_DIR, 'stdout.txt') : null;
+    if (stdoutFile) {
+        await fs.rm(stdoutFile, { force: true });
+        runSuffix += ` > ${fromCwd(stdoutFile)}`;
+    }
+
+    const fillCommand = (parts) => parts
+        .map(part => part.replace(/\{(\w+)\}/g, (match, key) => placeholders[key] ?? match))
+        .join(' ');
+
+    const { command: phasedCommand, hasCompileStep } = chainPhases(
+        build && !build.cached ? fillCommand(langConfig.compileCommand) : null,
+        fillCommand(debug ? langConfig.debugCommand
+            : trace ? langConfig.traceCommand
+                : profile ? langConfig.profileCommand
+                    : langConfig.localCommand || langConfig.command)
+    );
+    // The container enforces memory itself (cgroup), ulimit -v only applies on the host
+    const finalCommand = buildLimitPrefix(sandbox ? { ...limits, memory: null } : limits) + phasedCommand + runSuffix;
+
+    // Set encoding for Python to handle Unicode characters on Windows.
+    // Only these variables reach a sandbox; host runs inherit the backend's environment.
     const env = {
-        ...process.env,
         LANG: 'C.UTF-8',
-        LC_ALL: 'C.UTF-8'
+        LC_ALL: 'C.UTF-8',
+        ...gui?.env,
+        ...runConfig.env
     };
 
     if (language === 'python') {
         env.PYTHONIOENCODING = 'utf-8';
         env.PYTHONUTF8 = '1';
-    } else if (language === 'java') {
-        env.JAVA_TOOL_OPTIONS = '-Dfile.encoding=UTF-8';
+        // plt.show() saves the figures for the artifacts panel (see pythonHooks/teachgrid_figures.py);
+        // on a virtual display matplotlib opens its windows instead
+        if (!gui) env.MPLBACKEND ??= 'module://teachgrid_figures';
+        env.TEACHGRID_FIGURE_DIR = toRunPath(figureDir);
+        env.PYTHONPATH = [
+            toRunPath(PYTHON_HOOKS_DIR),
+            env.PYTHONPATH ?? (sandbox ? null : process.env.PYTHONPATH)
+        ].filter(Boolean).join(path.delimiter);
+        // What activating the venv would do
+        if (pythonEnv) {
+            env.VIRTUAL_ENV = pythonEnv.venvDir;
+            env.PATH = [pythonEnv.binDir, env.PATH ?? process.env.PATH].filter(Boolean).join(path.delimiter);
+        }
+    } else if (moduleHooks) {
+        // The container's paths are POSIX whatever the host is
+        const register = path.join(NODE_HOOKS_DIR, 'register.mjs');
+        env.NODE_OPTIONS = [
+            env.NODE_OPTIONS ?? (sandbox ? null : process.env.NODE_OPTIONS),
+            `--import=${sandbox ? `file://${toRunPath(register)}` : pathToFileURL(register).href}`
+        ].filter(Boolean).join(' ');
+        // The step tracer then import()s the entry instead of require()ing it
+        env.TEACHGRID_MODULE_HOOKS = '1';
     } else if (language === 'php') {
         // Inject Common Gateway Interface (CGI) variables for scripts that expect them
         env.REQUEST_METHOD = 'GET';
         env.REQUEST_METHOD = 'GET';
         env.REDIRECT_STATUS = '200'; // Required for php-cgi
-        env.SCRIPT_FILENAME = fileName; // Required for some php-cgi configurations
+        env.SCRIPT_FILENAME = project.entrypoint; // Required for some php-cgi configurations
         // You can add more mock variables here if needed
         // env.SERVER_NAME = 'localhost';
         // env.SERVER_PORT = '80';
     }
 
+    let shell = process.platform === 'win32' ? 'cmd.exe' : 'bash';
+    let args = process.platform === 'win32' ? ['/C', finalCommand] : ['-c', finalCommand];
+    if (sandbox) {
+        ({ file: shell, args } = buildSandboxCommand({
+            name: sandbox.name,
+            image: langConfig.image,
+            mounts: sandbox.mounts,
+            cwd: sandbox.toContainerPath(cwd),
+            env,
+            shellCommand: finalCommand,
+            limits
+        }));
+        socket._sandboxContainer = sandbox.name; // Killed by execute:stop
+        console.log(`[LocalExecutor] 📦 Sandbox ${sandbox.name} (${langConfig.image})`);
+    }
+
+    // Taken last so the project files and the build are not reported as artifacts.
+    // Judged and benchmarked runs repeat the program and report nothing of the kind
+    const workspaceBefore = socket._realSocket ? null : await snapshotWorkspace(workspaceDir);
+
+    const startTime = Date.now();
     const ptyProcess = pty.spawn(shell, args, {
         name: 'xterm-color',
         cols: 80,
         rows: 30,
-        cwd: tempDir,
-        env: env
+        cwd: cwd,
+        env: sandbox ? process.env : { ...process.env, ...env }
     });
 
     let initialOutputReceived = false;
@@ -132,10 +524,29 @@ export async function executeLocalCode(socket, payload, userId) {
         return cleanedData;
     };
 
+    let limitExceeded = null;
+    let phase = hasCompileStep ? 'compile' : 'run';
+    // The last output of the current phase, where a failed allocation is reported
+    let outputTail = '';
+
+    // Wall-clock limit: kill the whole process group, not just the shell
+    const timeoutHandle = setTimeout(() => {
+        limitExceeded = 'time';
+        killProcessTree(ptyProcess);
+        if (sandbox) killSandbox(sandbox.name);
+    }, limits.timeout);
+
     // Stream output
     ptyProcess.onData(data => {
         let cleaned = filterOutput(data);
 
+        if (cleaned.includes(RUN_PHASE_MARKER)) {
+            phase = 'run';
+            cleaned = cleaned.replace(RUN_PHASE_MARKER, '');
+            outputTail = '';
+        }
+        outputTail = (outputTail + cleaned).slice(-MEMORY_ERROR_TAIL);
+
         // --- ECHO SUPPRESSION ---
         // If the PTY data starts with the last sent input, it's likely an echo.
         // Strip it to prevent double-display in the custom terminal.
@@ -152,19 +563,83 @@ export async function executeLocalCode(socket, payload, userId) {
     // Notify frontend that terminal is busy (program running)
     socket.emit('terminal:status', { busy: true });
 
-    ptyProcess.onExit(async () => {
+    ptyProcess.onExit(async ({ exitCode, signal }) => {
+        clearTimeout(timeoutHandle);
         socket._ptyProcess = null; // CRITICAL: Clear the reference so subsequent inputs go to shell
-        socket.emit('execution_complete');
-        socket.emit('terminal:status', { busy: false });
+
+        // execution_complete frees the job's queue slot, so it is sent whatever fails here
+        let result;
         try {
-            // DO NOT delete tempDir (workspace), as it is shared. 
-            // Only clean up bundled temp dirs if they exist.
-            if (bundleTempDir) await cleanupBundle(bundleTempDir);
-        } catch (e) {
-            console.error('Cleanup error:', e);
+            if (sandbox) {
+                socket._sandboxContainer = null;
+                const { oomKilled } = await finishSandbox(sandbox.name);
+                if (oomKilled && !limitExceeded) limitExceeded = 'memory';
+            }
+
+            if (!limitExceeded && (signal === SIGXCPU || exitCode === 128 + SIGXCPU)) {
+                limitExceeded = 'cpu';
+            }
+            // A program that prints or catches MemoryError and exits normally did not hit the limit
+            const failed = Boolean(signal) || exitCode !== 0;
+            if (!limitExceeded && limits.memory && failed && MEMORY_ERROR_PATTERNS.test(outputTail)) {
+                limitExceeded = 'memory';
+            }
+            const stopped = socket._stopRequested && !limitExceeded;
+
+            // The run phase only starts once the compiler succeeded
+            if (build && !build.cached && phase === 'run') {
+                await build.markBuilt();
+            }
+            if (limitExceeded) {
+                // Make sure nothing the program forked outlives it
+                killProcessTree(ptyProcess);
+                socket.emit('output', `\n${LIMIT_MESSAGES[limitExceeded](limits)}\n`);
+            } else if (stopped) {
+                socket.emit('output', `\n⏹️ Execution stopped\n`);
+            }
+
+            if (trace) {
+                await trace.onExit(traceFile);
+            }
+            if (profile) {
+                await profile.onExit({ profileDir, workspaceDir });
+            }
+            if (workspaceBefore) {
+                try {
+                    socket.emit('artifacts:result', await collectArtifacts(workspaceDir, workspaceBefore, figureDir));
+                } catch (err) {
+                    console.error('[LocalExecutor] Artifact collection failed:', err.message);
+                }
+            }
+
+            if (stdoutFile) {
+                socket.emit('run:stdout', await readCapturedStdout(stdoutFile, socket._captureStdout));
+            }
+
+            result = createRunResult({
+                // node-pty reports exitCode 0 for signal deaths
+                exitCode: signal ? null : exitCode,
+                signal: toSignalName(signal, exitCode),
+                wallTime: Date.now() - startTime,
+                phase,
+                killed: limitExceeded !== null || stopped,
+                stopped,
+                timedOut: limitExceeded === 'time',
+                limitExceeded
+            });
+        } catch (err) {
+            console.error('[LocalExecutor] Finishing the run failed:', err);
+            result = createErrorResult(`Could not finish the run: ${err.message}`);
+        } finally {
+            socket.emit('execution_complete', result);
+            socket.emit('terminal:status', { busy: false });
         }
     });
 
     // Attach PTY to socket so frontend can send user input
     socket._ptyProcess = ptyProcess;
+
+    if (debug) {
+        debug.onSpawn({ ptyProcess, workspaceDir });
+    }
 }
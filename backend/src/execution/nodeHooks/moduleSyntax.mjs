@@ -0,0 +1,42 @@
+/**
+ * Module hooks for JavaScript runs, registered with
+ *
+ *     NODE_OPTIONS=--import=<this folder>/register.mjs
+ *
+ * when the project's .js files use import/export without "type": "module"
+ * in a package.json. Node would load those as CommonJS and fail with
+ * "Cannot use import statement outside a module" (Node 18 has no syntax
+ * detection of its own), so workspace files that only parse as a module are
+ * loaded as one. Files keep their paths, so stack traces, the debugger and
+ * the tracer see the real files. Needs Node 18.19 or later (module.register).
+ */
+
+import { readFile } from 'fs/promises';
+import vm from 'vm';
+
+// The errors a module-only construct raises when parsed as a CommonJS function body
+const MODULE_SYNTAX_ERRORS = /Cannot use import statement|Unexpected token 'export'|import\.meta|await is only valid/;
+
+/**
+ * Whether `source` is an ES module rather than a CommonJS script: it does not
+ * compile as a CommonJS function body, for a reason only a module can have.
+ * Also used by the backend to decide whether the hooks are needed.
+ */
+export function hasModuleSyntax(source) {
+    try {
+        new vm.Script(`(function (exports, require, module, __filename, __dirname) {${source}\n})`);
+        return false;
+    } catch (err) {
+        return MODULE_SYNTAX_ERRORS.test(err.message);
+    }
+}
+
+export async function load(url, context, nextLoad) {
+    const result = await nextLoad(url, context);
+    if (result.format !== 'commonjs' || !url.startsWith('file:') || url.includes('/node_modules/')) {
+        return result;
+    }
+    // Newer Node versions leave the source of CommonJS files to the CommonJS loader
+    const source = String(result.source ?? await readFile(new URL(url)));
+    return hasModuleSyntax(source) ? { format: 'module', source, shortCircuit: true } : result;
+}
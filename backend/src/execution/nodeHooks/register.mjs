@@ -0,0 +1,4 @@
+// Preloaded with --import; see moduleSyntax.mjs
+import { register } from 'module';
+
+register('./moduleSyntax.mjs', import.meta.url);
@@ -0,0 +1,259 @@
+import http from 'http';
+import { EventEmitter } from 'events';
+import { fileURLToPath } from 'url';
+import WebSocket from 'ws';
+
+// Scopes too large to expand on every pause
+const EXPENSIVE_SCOPES = new Set(['global', 'script', 'module']);
+
+function fetchTargets(port) {
+    return new Promise((resolve, reject) => {
+        const req = http.get({ host: '127.0.0.1', port, path: '/json/list', timeout: 2000 }, res => {
+            let data = '';
+            res.on('data', chunk => { data += chunk; });
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(data));
+                } catch (err) {
+                    reject(err);
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error('timeout')));
+        req.on('error', reject);
+    });
+}
+
+// Display string for a CDP RemoteObject
+function describe(remote) {
+    if (remote.type === 'undefined') return 'undefined';
+    if (remote.subtype === 'null') return 'null';
+    if (remote.type === 'string') return JSON.stringify(remote.value);
+    if ('value' in remote && remote.type !== 'object') return String(remote.value);
+    if (remote.unserializableValue) return remote.unserializableValue;
+    return remote.description || remote.type;
+}
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+const toFile = (url) => (url && url.startsWith('file://') ? fileURLToPath(url) : url || null);
+
+/**
+ * Client for the Node inspector (`node --inspect-brk=host:port file.js`),
+ * which speaks the Chrome DevTools Protocol over a websocket. Exposes the
+ * same methods as DebugpyAdapter; frame ids are indexes into the current
+ * pause's call frames and variable references are only valid until resume.
+ *
+ * Events: 'stopped' { reason }, 'continued', 'terminated'.
+ */
+export class NodeInspectorAdapter extends EventEmitter {
+    constructor(port) {
+        super();
+        this.port = port;
+        this.seq = 1;
+        this.pending = new Map(); // message id -> { resolve, reject }
+        this.ws = null;
+        this.callFrames = [];
+        this.objectIds = new Map(); // variablesReference -> objectId
+        this.breakpointIds = new Map(); // file -> [breakpointId]
+        this.scriptUrls = new Map(); // scriptId -> url (call frames leave `url` empty)
+        this.startedRunning = false;
+    }
+
+    // The inspector opens the port once node has started; retried until `deadline`
+    async connect(deadline) {
+        let target = null;
+        while (!target) {
+            try {
+                [target] = await fetchTargets(this.port);
+            } catch (err) {
+                if (Date.now() > deadline) throw new Error(`Node inspector did not start listening (${err.message})`);
+                await new Promise(resolve => setTimeout(resolve, 200));
+            }
+        }
+
+        this.ws = new WebSocket(target.webSocketDebuggerUrl);
+        await new Promise((resolve, reject) => {
+            this.ws.once('open', resolve);
+            this.ws.once('error', reject);
+        });
+        this.ws.on('message', data => this.onMessage(JSON.parse(data.toString())));
+        this.ws.on('close', () => this.onClose());
+        this.ws.on('error', () => {}); // 'close' follows
+    }
+
+    /**
+     * Enables the domains, sets the breakpoints and releases the program,
+     * which --inspect-brk holds before the first line. `breakpoints` maps
+     * absolute file paths to line numbers.
+     */
+    async start(breakpoints) {
+        await this.send('Runtime.enable');
+        await this.send('Debugger.enable');
+        for (const [file, lines] of Object.entries(breakpoints)) {
+            await this.setBreakpoints(file, lines);
+        }
+        await this.send('Runtime.runIfWaitingForDebugger');
+    }
+
+    // Replaces the file's breakpoints; resolves with the lines that were set
+    async setBreakpoints(file, lines) {
+        for (const breakpointId of this.breakpointIds.get(file) || []) {
+            await this.send('Debugger.removeBreakpoint', { breakpointId });
+        }
+
+        // CommonJS scripts report a path or a file:// URL depending on the Node version
+        const escaped = file.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const urlRegex = `^(file://)?${escaped.replace(/\\\\/g, '[\\\\/]')}$`;
+
+        const ids = [];
+        const verified = [];
+        for (const line of lines) {
+            try {
+                const { breakpointId } = await this.send('Debugger.setBreakpointByUrl', { lineNumber: line - 1, urlRegex });
+                ids.push(breakpointId);
+                verified.push(line);
+            } catch (err) {
+                // Duplicate or invalid location
+            }
+        }
+        this.breakpointIds.set(file, ids);
+        return verified;
+    }
+
+    continue() {
+        return this.send('Debugger.resume');
+    }
+
+    stepOver() {
+        return this.send('Debugger.stepOver');
+    }
+
+    stepInto() {
+        return this.send('Debugger.stepInto');
+    }
+
+    stepOut() {
+        return this.send('Debugger.stepOut');
+    }
+
+    pause() {
+        return this.send('Debugger.pause');
+    }
+
+    async getStack() {
+        return this.callFrames.map((frame, index) => ({
+            id: index,
+            name: frame.functionName || '(anonymous)',
+            file: toFile(frame.url || this.scriptUrls.get(frame.location.scriptId)),
+            line: frame.location.lineNumber + 1
+        }));
+    }
+
+    async getScopes(frameId) {
+        const frame = this.callFrames[frameId];
+        if (!frame) return [];
+        return frame.scopeChain.map(scope => ({
+            name: scope.name ? `${capitalize(scope.type)}: ${scope.name}` : capitalize(scope.type),
+            variablesReference: this.reference(scope.object.objectId),
+            expensive: EXPENSIVE_SCOPES.has(scope.type)
+        }));
+    }
+
+    async getVariables(variablesReference) {
+        const objectId = this.objectIds.get(variablesReference);
+        if (!objectId) return [];
+        const { result } = await this.send('Runtime.getProperties', { objectId, ownProperties: true });
+        return result
+            .filter(prop => prop.value && prop.enumerable !== false)
+            .map(prop => ({
+                name: prop.name,
+                value: describe(prop.value),
+                type: prop.value.subtype || prop.value.type,
+                variablesReference: prop.value.objectId ? this.reference(prop.value.objectId) : 0
+            }));
+    }
+
+    // Throws with the exception text when the expression fails
+    async evaluate(expression, frameId) {
+        const frame = this.callFrames[frameId];
+        const { result, exceptionDetails } = frame
+            ? await this.send('Debugger.evaluateOnCallFrame', { callFrameId: frame.callFrameId, expression })
+            : await this.send('Runtime.evaluate', { expression });
+        if (exceptionDetails) {
+            throw new Error(exceptionDetails.exception?.description?.split('\n')[0] || exceptionDetails.text);
+        }
+        return {
+            value: describe(result),
+            type: result.subtype || result.type,
+            variablesReference: result.objectId ? this.reference(result.objectId) : 0
+        };
+    }
+
+    close() {
+        if (this.ws) this.ws.close();
+    }
+
+    reference(objectId) {
+        const ref = this.objectIds.size + 1;
+        this.objectIds.set(ref, objectId);
+        return ref;
+    }
+
+    send(method, params = {}) {
+        if (!this.ws || this.ws.readyState !== WebSocket.OPEN) {
+            return Promise.reject(new Error('Debugger is not connected'));
+        }
+        const id = this.seq++;
+        this.ws.send(JSON.stringify({ id, method, params }));
+        return new Promise((resolve, reject) => this.pending.set(id, { resolve, reject }));
+    }
+
+    onMessage(message) {
+        if (message.id) {
+            const request = this.pending.get(message.id);
+            if (!request) return;
+            this.pending.delete(message.id);
+            if (message.error) request.reject(new Error(message.error.message));
+            else request.resolve(message.result || {});
+            return;
+        }
+
+        switch (message.method) {
+            case 'Debugger.scriptParsed':
+                this.scriptUrls.set(message.params.scriptId, message.params.url);
+                break;
+            case 'Debugger.paused':
+                // --inspect-brk stops before the first line; only user breakpoints and steps count
+                if (!this.startedRunning && message.params.reason === 'Break on start') {
+                    this.startedRunning = true;
+                    this.send('Debugger.resume').catch(() => {});
+                    return;
+                }
+                this.startedRunning = true;
+                this.callFrames = message.params.callFrames;
+                this.objectIds.clear();
+                this.emit('stopped', { reason: message.params.hitBreakpoints?.length ? 'breakpoint' : message.params.reason });
+                break;
+            case 'Debugger.resumed':
+                this.callFrames = [];
+                this.objectIds.clear();
+                if (this.startedRunning) this.emit('continued');
+                break;
+            case 'Runtime.executionContextDestroyed':
+                // Node keeps the process alive until the inspector disconnects
+                this.close();
+                break;
+            default:
+                break;
+        }
+    }
+
+    onClose() {
+        for (const request of this.pending.values()) {
+            request.reject(new Error('Debugger disconnected'));
+        }
+        this.pending.clear();
+        this.emit('terminated');
+    }
+}
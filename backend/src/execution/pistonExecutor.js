@@ -1,31 +1,67 @@
 import axios from 'axios';
-import { LANGUAGES } from '../config/languages.js';
-
-const PISTON_URL = 'https://emkc.org/api/v2/piston/execute';
+import { createRunResult, createErrorResult, createStoppedResult } from './runResult.js';
+import PistonService from '../services/PistonService.js';
+import { resolveProject, toPistonFiles } from './project.js';
+import { resolveRunConfig } from './runConfig.js';
 
 export async function executePistonCode(socket, payload) {
-    const { language, code, fileName } = payload;
-    const langConfig = LANGUAGES[language];
+    const { language } = payload;
+    const runtime = PistonService.resolve(language, payload.version);
 
-    if (!langConfig || !langConfig.piston) {
-        socket.emit('output', `❌ Piston does not support: ${language}\n`);
-        socket.emit('execution_complete');
+    if (!runtime) {
+        const label = payload.version ? `${language} ${payload.version}` : language;
+        socket.emit('output', `❌ Piston does not support: ${label}\n`);
+        socket.emit('execution_complete', createErrorResult(`Piston does not support: ${label}`));
         return;
     }
 
+    let files;
+    let runConfig;
     try {
-        const response = await axios.post(PISTON_URL, {
-            language: langConfig.piston.language,
-            version: langConfig.piston.version,
-            files: [
-                {
-                    name: fileName,
-                    content: code
-                }
-            ]
-        });
-
-        const { run } = response.data;
+        const project = resolveProject(payload);
+        files = toPistonFiles(project);
+        runConfig = resolveRunConfig(payload.runConfig, project, payload.stdin);
+    } catch (err) {
+        socket.emit('output', `❌ ${err.message}\n`);
+        socket.emit('execution_complete', createErrorResult(err.message));
+        return;
+    }
+
+    if (Object.keys(runConfig.env).length > 0 || runConfig.cwd) {
+        socket.emit('output', `ℹ️ Piston does not support env or cwd; ignoring them from "${runConfig.name}"\n`);
+    }
+
+    const startTime = Date.now();
+    const abortController = new AbortController();
+    socket._stopRequested = false;
+    socket._pistonAbort = abortController; // Aborted by execute:stop
+
+    try {
+        const response = await axios.post(PistonService.executeUrl, {
+            language: runtime.language,
+            version: runtime.version,
+            files,
+            args: runConfig.args,
+            stdin: runConfig.stdin ?? ''
+        }, { signal: abortController.signal });
+
+        const { compile, run } = response.data;
+
+        // Compiled languages report a separate compile stage; stop there if it failed
+        if (compile && (compile.code !== 0 || compile.signal)) {
+            if (compile.stdout) socket.emit('output', compile.stdout);
+            if (compile.stderr) socket.emit('output', compile.stderr);
+
+            socket.emit('execution_complete', createRunResult({
+                exitCode: compile.code,
+                signal: compile.signal || null,
+                wallTime: Date.now() - startTime,
+                phase: 'compile',
+                killed: Boolean(compile.signal),
+                timedOut: compile.status === 'TO'
+            }));
+            return;
+        }
 
         if (run.stdout) {
             socket.emit('output', run.stdout);
@@ -37,12 +73,31 @@ export async function executePistonCode(socket, payload) {
         if (!run.stdout && !run.stderr && run.signal) {
             socket.emit('output', `Process terminated with signal: ${run.signal}\n`);
         }
+        // Judged and benchmarked runs are compared by stdout alone (see captureSocket.js)
+        if (socket._captureStdout) {
+            socket.emit('run:stdout', { stdout: run.stdout ?? '', truncated: false });
+        }
 
-        socket.emit('execution_complete');
+        socket.emit('execution_complete', createRunResult({
+            exitCode: run.code,
+            signal: run.signal || null,
+            wallTime: run.wall_time ?? Date.now() - startTime,
+            phase: 'run',
+            killed: Boolean(run.signal),
+            timedOut: run.status === 'TO',
+            limitExceeded: run.status === 'TO' ? 'time' : null
+        }));
 
     } catch (err) {
+        if (axios.isCancel(err)) {
+            socket.emit('output', `\n⏹️ Execution stopped\n`);
+            socket.emit('execution_complete', createStoppedResult({ wallTime: Date.now() - startTime }));
+            return;
+        }
         console.error('[PistonExecutor] Error:', err.message);
         socket.emit('output', `❌ Remote execution error: ${err.message}\n`);
-        socket.emit('execution_complete');
+        socket.emit('execution_complete', createErrorResult(`Remote execution error: ${err.message}`));
+    } finally {
+        socket._pistonAbort = null;
     }
 }
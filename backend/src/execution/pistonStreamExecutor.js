@@ -0,0 +1,165 @@
+import WebSocket from 'ws';
+import { LANGUAGES, DEFAULT_LIMITS } from '../config/languages.js';
+import { createRunResult, createErrorResult } from './runResult.js';
+import PistonService from '../services/PistonService.js';
+import { resolveProject, toPistonFiles } from './project.js';
+import { resolveRunConfig } from './runConfig.js';
+
+/**
+ * Interactive remote execution over Piston's websocket API (/connect).
+ * Output chunks are streamed as they arrive and `terminal:input` is forwarded
+ * as stdin, so input()/Scanner programs behave like they do in the local PTY.
+ *
+ * Protocol: we send `init`, then `data` (stdin) and `signal` messages; Piston
+ * replies with `runtime`, `stage`, `data` (stdout/stderr), `exit` and `error`.
+ */
+export async function executePistonStreamCode(socket, payload) {
+    const { language } = payload;
+    const langConfig = LANGUAGES[language];
+    const runtime = PistonService.resolve(language, payload.version);
+
+    if (!runtime) {
+        const label = payload.version ? `${language} ${payload.version}` : language;
+        socket.emit('output', `❌ Piston does not support: ${label}\n`);
+        socket.emit('execution_complete', createErrorResult(`Piston does not support: ${label}`));
+        return;
+    }
+
+    let files;
+    let runConfig;
+    try {
+        const project = resolveProject(payload);
+        files = toPistonFiles(project);
+        runConfig = resolveRunConfig(payload.runConfig, project, payload.stdin);
+    } catch (err) {
+        socket.emit('output', `❌ ${err.message}\n`);
+        socket.emit('execution_complete', createErrorResult(err.message));
+        return;
+    }
+
+    if (Object.keys(runConfig.env).length > 0 || runConfig.cwd) {
+        socket.emit('output', `ℹ️ Piston does not support env or cwd; ignoring them from "${runConfig.name}"\n`);
+    }
+
+    const limits = { ...DEFAULT_LIMITS, ...langConfig.limits };
+    const runTimeout = langConfig.timeout || 30000;
+    const startTime = Date.now();
+
+    let stage = 'run';
+    let exitCode = null;
+    let exitSignal = null;
+    let errorMessage = null;
+    let finished = false;
+
+    socket._stopRequested = false;
+
+    const ws = new WebSocket(PistonService.connectUrl);
+
+    const finish = () => {
+        if (finished) return;
+        finished = true;
+        socket._remoteSession = null;
+        socket.emit('terminal:status', { busy: false });
+
+        const wallTime = Date.now() - startTime;
+        const stopped = socket._stopRequested;
+        const timedOut = !stopped && exitSignal === 'SIGKILL' && wallTime >= runTimeout;
+
+        if (stopped) {
+            socket.emit('output', `\n⏹️ Execution stopped\n`);
+        } else if (timedOut) {
+            socket.emit('output', `\n⏱️ Time limit exceeded (${runTimeout / 1000}s wall clock) - process killed\n`);
+        }
+
+        socket.emit('execution_complete', createRunResult({
+            exitCode,
+            signal: exitSignal,
+            wallTime,
+            phase: stage,
+            killed: Boolean(exitSignal) || stopped,
+            stopped,
+            timedOut,
+            limitExceeded: timedOut ? 'time' : null,
+            error: errorMessage
+        }));
+    };
+
+    ws.on('open', () => {
+        ws.send(JSON.stringify({
+            type: 'init',
+            language: runtime.language,
+            version: runtime.version,
+            files,
+            args: runConfig.args,
+            compile_timeout: runTimeout,
+            run_timeout: runTimeout,
+            run_memory_limit: limits.memory ? limits.memory * 1024 * 1024 : -1
+        }));
+        // stdin from the Input panel or run configuration is sent up front; typing can add more
+        if (runConfig.stdin !== null) {
+            ws.send(JSON.stringify({ type: 'data', stream: 'stdin', data: runConfig.stdin }));
+        }
+        socket.emit('terminal:status', { busy: true });
+    });
+
+    ws.on('message', (raw) => {
+        let msg;
+        try {
+            msg = JSON.parse(raw.toString());
+        } catch (err) {
+            return;
+        }
+
+        switch (msg.type) {
+            case 'stage':
+                stage = msg.stage;
+                break;
+            case 'data':
+                socket.emit('output', msg.data);
+                break;
+            case 'exit':
+                exitCode = msg.code;
+                exitSignal = msg.signal || null;
+                // A failed compile stage ends the job; a successful one is followed by 'run'
+                if (msg.stage === 'compile' && (msg.code !== 0 || msg.signal)) {
+                    stage = 'compile';
+                }
+                break;
+            case 'error':
+                errorMessage = msg.message;
+                socket.emit('output', `❌ Remote execution error: ${msg.message}\n`);
+                break;
+            default:
+                break;
+        }
+    });
+
+    ws.on('error', (err) => {
+        console.error('[PistonStreamExecutor] Error:', err.message);
+        if (!errorMessage && !socket._stopRequested) {
+            errorMessage = `Remote execution error: ${err.message}`;
+            socket.emit('output', `❌ ${errorMessage}\n`);
+        }
+    });
+
+    ws.on('close', finish);
+
+    // Read by terminal:input and stopExecution()
+    socket._remoteSession = {
+        write(data) {
+            if (ws.readyState !== WebSocket.OPEN) return;
+            // The frontend sends CRLF for PTY compatibility; programs expect LF.
+            // Piston does not echo stdin, so echo it like a PTY would.
+            socket.emit('output', data);
+            ws.send(JSON.stringify({ type: 'data', stream: 'stdin', data: data.replace(/\r\n/g, '\n') }));
+        },
+        kill() {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(JSON.stringify({ type: 'signal', signal: 'SIGKILL' }));
+                ws.close();
+            } else {
+                ws.terminate();
+            }
+        }
+    };
+}
@@ -0,0 +1,253 @@
+/**
+ * Profile mode for languages with a `profileCommand`: Python runs under
+ * cProfile (through ./tracers/pythonProfiler.py), JavaScript under Node's
+ * `--cpu-prof`. The program runs like a local run (same PTY, terminal input
+ * and execution_complete); afterwards the profile is read from the workspace
+ * and sent to the client right before execution_complete.
+ *
+ * Client -> server: profile:run (execute payload).
+ * Server -> client: profile:result { total, root, functions, error }, where
+ *
+ *   root       call tree for the flame graph: { name, file, path, line, self,
+ *              total, children } starting at a '(program)' node
+ *   functions  the most expensive functions by self time:
+ *              [{ name, file, path, line, self, total, calls }]
+ *
+ * Times are in milliseconds. `path` is relative to the workspace root (like
+ * the IDE's file tree) or null outside it, where `file` still names the
+ * library or runtime module. `calls` is null for JavaScript: Node samples
+ * the stack instead of counting calls.
+ */
+
+import { promises as fs } from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { LANGUAGES } from '../config/languages.js';
+import { executeLocalCode } from './localExecutor.js';
+import { createErrorResult } from './runResult.js';
+import { resolveRunVersion } from './runConfig.js';
+import { isSandboxEnforced } from './sandbox.js';
+
+const MAX_FUNCTIONS = 100;
+const MAX_DEPTH = 64;
+// Tree nodes below this share of the run are dropped from the flame graph
+const MIN_SHARE = 0.001;
+
+// Sampler pseudo-frames that are not the program's time
+const IGNORED_NODES = new Set(['(root)', '(program)', '(idle)']);
+
+const rootNode = (children) => ({
+    name: '(program)',
+    file: null,
+    path: null,
+    line: null,
+    self: 0,
+    total: children.reduce((sum, child) => sum + child.total, 0),
+    children
+});
+
+const pruneTree = (node, minTotal, depth = 0) => {
+    node.children = depth >= MAX_DEPTH ? [] : node.children
+        .filter(child => child.total >= minTotal)
+        .sort((a, b) => b.total - a.total);
+    for (const child of node.children) pruneTree(child, minTotal, depth + 1);
+    return node;
+};
+
+const topFunctions = (functions) => functions
+    .sort((a, b) => b.self - a.self)
+    .slice(0, MAX_FUNCTIONS);
+
+/**
+ * cProfile only keeps totals per caller, not whole stacks, so the tree is
+ * rebuilt from them: below the first level, a function's time is split
+ * between its callees in the proportions cProfile recorded overall.
+ */
+export function fromPythonProfile({ root, functions }) {
+    const ms = (seconds) => seconds * 1000;
+    const callees = functions.map(() => []);
+    functions.forEach((fn, index) => {
+        for (const [caller, , , total] of fn.callers) callees[caller].push({ index, total });
+    });
+
+    // Small calls are left out while building: the caller graph has far more paths than a run has stacks
+    const minTotal = root === null || root === undefined ? 0 : functions[root].total * MIN_SHARE;
+    const buildNode = (index, total, stack) => {
+        const fn = functions[index];
+        const scale = fn.total > 0 ? Math.min(1, total / fn.total) : 0;
+        stack.add(index);
+        const children = stack.size > MAX_DEPTH ? [] : callees[index]
+            // Recursion stays in the caller's box
+            .filter(callee => !stack.has(callee.index) && callee.total * scale >= minTotal)
+            .map(callee => buildNode(callee.index, callee.total * scale, stack));
+        stack.delete(index);
+        const childTotal = children.reduce((sum, child) => sum + child.total, 0);
+        return {
+            name: fn.name,
+            file: fn.file,
+            path: fn.path,
+            line: fn.line,
+            self: Math.max(0, ms(total) - childTotal),
+            total: ms(total),
+            children
+        };
+    };
+
+    const tree = rootNode(root === null || root === undefined ? [] : [buildNode(root, functions[root].total, new Set())]);
+    return {
+        total: tree.total,
+        root: pruneTree(tree, tree.total * MIN_SHARE),
+        functions: topFunctions(functions.map(fn => ({
+            name: fn.name,
+            file: fn.file,
+            path: fn.path,
+            line: fn.line,
+            self: ms(fn.self),
+            total: ms(fn.total),
+            calls: fn.calls
+        })))
+    };
+}
+
+/**
+ * Converts a V8 .cpuprofile. The flame graph starts at the topmost workspace
+ * frames (the entry module, then callbacks it scheduled), merged by function;
+ * runtime startup is left out. Self time is the time until the next sample.
+ */
+export function fromCpuProfile(profile, workspaceDir) {
+    const nodes = new Map(profile.nodes.map(node => [node.id, node]));
+    const selfTime = new Map();
+    const ends = [...profile.timeDeltas.slice(1), Math.max(0, profile.endTime - profile.startTime - profile.timeDeltas.reduce((a, b) => a + b, 0))];
+    profile.samples.forEach((id, i) => selfTime.set(id, (selfTime.get(id) || 0) + ends[i] / 1000));
+
+    const describe = ({ callFrame: frame }) => {
+        let file = frame.url || null;
+        let workspacePath = null;
+        if (file?.startsWith('file://')) {
+            const rel = path.relative(workspaceDir, fileURLToPath(file));
+            if (!rel.startsWith('..') && !path.isAbsolute(rel) && !rel.split(path.sep).includes('node_modules')) {
+                workspacePath = rel.split(path.sep).join('/');
+            }
+            file = workspacePath || path.basename(fileURLToPath(file));
+        }
+        const topLevel = !frame.functionName && frame.lineNumber === 0 && frame.columnNumber === 0;
+        return {
+            key: `${frame.url}:${frame.functionName}:${frame.lineNumber}:${frame.columnNumber}`,
+            name: frame.functionName || (topLevel ? '(module)' : '(anonymous)'),
+            file,
+            path: workspacePath,
+            line: frame.lineNumber >= 0 ? frame.lineNumber + 1 : null
+        };
+    };
+
+    // Per function: self time, and total time not counted twice through recursion
+    const functions = new Map();
+    const onStack = new Map();
+    const tops = [];
+
+    const visit = (id, inWorkspace) => {
+        const node = nodes.get(id);
+        const info = describe(node);
+        const self = selfTime.get(id) || 0;
+        const depth = onStack.get(info.key) || 0;
+        onStack.set(info.key, depth + 1);
+        const children = (node.children || []).map(child => visit(child, inWorkspace || info.path !== null));
+        onStack.set(info.key, depth);
+
+        const treeNode = {
+            ...info,
+            self,
+            total: self + children.reduce((sum, child) => sum + child.total, 0),
+            children
+        };
+        if (!IGNORED_NODES.has(info.name)) {
+            const fn = functions.get(info.key) || { ...info, self: 0, total: 0, calls: null };
+            fn.self += self;
+            if (depth === 0) fn.total += treeNode.total;
+            functions.set(info.key, fn);
+        }
+        if (!inWorkspace && info.path !== null) tops.push(treeNode);
+        return treeNode;
+    };
+    visit(profile.nodes[0].id, false);
+
+    // The same function reached through different runtime paths becomes one box
+    const merge = (list) => {
+        const byKey = new Map();
+        for (const node of list) {
+            const existing = byKey.get(node.key);
+            if (existing) {
+                existing.self += node.self;
+                existing.total += node.total;
+                existing.children.push(...node.children);
+            } else {
+                byKey.set(node.key, { ...node, children: [...node.children] });
+            }
+        }
+        return [...byKey.values()].map(node => {
+            const { key, ...rest } = node;
+            return { ...rest, children: merge(node.children) };
+        });
+    };
+
+    const tree = rootNode(merge(tops));
+    return {
+        total: tree.total,
+        root: pruneTree(tree, tree.total * MIN_SHARE),
+        functions: topFunctions([...functions.values()].map(({ key, ...fn }) => fn))
+    };
+}
+
+// Node names its .cpuprofile after the process; pythonProfiler.py writes profile.json
+async function readProfile(profileDir, workspaceDir) {
+    const files = await fs.readdir(profileDir).catch(() => []);
+    const cpuProfile = files.find(f => f.endsWith('.cpuprofile'));
+    if (cpuProfile) {
+        return fromCpuProfile(JSON.parse(await fs.readFile(path.join(profileDir, cpuProfile), 'utf8')), workspaceDir);
+    }
+    if (files.includes('profile.json')) {
+        return fromPythonProfile(JSON.parse(await fs.readFile(path.join(profileDir, 'profile.json'), 'utf8')));
+    }
+    return null;
+}
+
+/**
+ * Runs the program under its language's profiler. Runs as a local job: the
+ * queue, execute:stop and execution_complete work as for a normal run.
+ */
+export async function startProfiling(socket, payload, userId) {
+    const { language } = payload;
+    const langConfig = LANGUAGES[language];
+
+    const fail = (message) => {
+        socket.emit('output', `❌ ${message}\n`);
+        socket.emit('execution_complete', createErrorResult(message));
+    };
+
+    if (!langConfig?.profileCommand) {
+        return fail(`Profiling is not supported for ${language}`);
+    }
+    // The profilers run on the host; with SANDBOX_ENFORCE nothing may
+    if (isSandboxEnforced()) {
+        return fail('Profiling is disabled while SANDBOX_ENFORCE is set');
+    }
+
+    const version = resolveRunVersion(payload);
+
+    await executeLocalCode(socket, { ...payload, version }, userId, {
+        profile: {
+            onExit: async ({ profileDir, workspaceDir }) => {
+                let result = null;
+                try {
+                    result = await readProfile(profileDir, workspaceDir);
+                } catch (err) {
+                    console.error(`[Profiler] Unreadable ${language} profile:`, err.message);
+                }
+                // Missing when the run was stopped, killed by a limit, or failed before the profiler started
+                socket.emit('profile:result', result
+                    ? { ...result, error: null }
+                    : { total: 0, root: null, functions: [], error: 'No profile was recorded' });
+            }
+        }
+    });
+}
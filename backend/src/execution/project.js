@@ -0,0 +1,57 @@
+/**
+ * Normalizes the project part of an `execute` payload.
+ *
+ * Payload shape:
+ *   root:       folder the run starts from, relative to the user's workspace ('' = workspace root)
+ *   entrypoint: file to run, relative to root
+ *   files:      [{ path, content }] relative to root (the whole folder, not just the active tab)
+ *
+ * Older clients only send { code, fileName }; that is treated as a one-file project.
+ */
+
+import path from 'path';
+
+// Keeps user-supplied paths inside the folder they are resolved against
+export function toSafeRelativePath(p) {
+    const normalized = path.posix.normalize(String(p || '').replace(/\\/g, '/')).replace(/^\/+/, '');
+    if (normalized === '.' || normalized === '') return '';
+    if (normalized === '..' || normalized.startsWith('../')) {
+        throw new Error(`Invalid path outside the workspace: ${p}`);
+    }
+    return normalized;
+}
+
+export function resolveProject(payload) {
+    const { code, fileName } = payload;
+
+    const root = toSafeRelativePath(payload.root);
+    const entrypoint = toSafeRelativePath(payload.entrypoint || fileName);
+    if (!entrypoint) {
+        throw new Error('Missing entrypoint');
+    }
+
+    const files = (Array.isArray(payload.files) ? payload.files : [])
+        .filter(f => f && typeof f.content === 'string')
+        .map(f => ({ path: toSafeRelativePath(f.path), content: f.content }))
+        .filter(f => f.path);
+
+    // The entry file always carries the editor's current content
+    const entryFile = files.find(f => f.path === entrypoint);
+    if (entryFile) {
+        if (code !== undefined) entryFile.content = code;
+    } else {
+        files.push({ path: entrypoint, content: code ?? '' });
+    }
+
+    return { root, entrypoint, files };
+}
+
+/**
+ * Piston runs the first file it is given, so the entrypoint goes first.
+ * Nested paths are kept as file names; Piston creates the directories.
+ */
+export function toPistonFiles(project) {
+    const entry = project.files.find(f => f.path === project.entrypoint);
+    const rest = project.files.filter(f => f.path !== project.entrypoint);
+    return [entry, ...rest].map(f => ({ name: f.path, content: f.content }));
+}
@@ -0,0 +1,33 @@
+"""
+Matplotlib backend for runs in the IDE, selected with
+
+    MPLBACKEND=module://teachgrid_figures
+
+There is no window to open, so plt.show() saves every open figure as
+figure-N.png into $TEACHGRID_FIGURE_DIR and closes it. The backend reports
+those files as run artifacts (src/execution/artifacts.js). Rendering is Agg's,
+so savefig() and everything else behave as with MPLBACKEND=Agg.
+"""
+
+import os
+
+from matplotlib._pylab_helpers import Gcf
+from matplotlib.backend_bases import FigureManagerBase
+from matplotlib.backends.backend_agg import FigureCanvasAgg
+
+FigureCanvas = FigureCanvasAgg
+FigureManager = FigureManagerBase
+
+_saved = 0
+
+
+def show(*args, **kwargs):
+    global _saved
+    directory = os.environ.get("TEACHGRID_FIGURE_DIR")
+    managers = Gcf.get_all_fig_managers()
+    if directory and managers:
+        os.makedirs(directory, exist_ok=True)
+        for manager in managers:
+            _saved += 1
+            manager.canvas.figure.savefig(os.path.join(directory, "figure-%d.png" % _saved), bbox_inches="tight")
+    Gcf.destroy_all()
@@ -0,0 +1,73 @@
+/**
+ * Run configurations (launch profiles) live in the workspace at
+ * .teachgrid/launch.json and are picked in the IDE; the selected one is sent
+ * as `runConfig` in the execute payload:
+ *
+ *   { name, program, args: ['--n', '5'], env: { DEBUG: '1' }, cwd: 'data',
+ *     stdin: 'inputs/case1.txt', executionMode: 'local', version: '3.8' }
+ *
+ * `program` and `executionMode` are applied by the frontend (entrypoint and
+ * mode of the request), `version` by resolveRunVersion (runtime version, see
+ * `versions` in config/languages.js). Paths are relative to the run root.
+ *
+ * Text from the IDE's Input panel arrives as `stdin` on the payload and takes
+ * precedence over the configuration's stdin file.
+ */
+
+import { toSafeRelativePath } from './project.js';
+import { languageForFile } from '../config/languageDefinitions.js';
+import { listVersions } from '../config/languages.js';
+
+const ENV_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+export function resolveRunConfig(config, project, stdinText) {
+    const resolved = { name: null, args: [], env: {}, cwd: '', stdin: null };
+    if (typeof stdinText === 'string' && stdinText !== '') {
+        resolved.stdin = stdinText;
+    }
+    if (!config || typeof config !== 'object') return resolved;
+
+    resolved.name = config.name || null;
+
+    if (Array.isArray(config.args)) {
+        resolved.args = config.args.map(String);
+    } else if (typeof config.args === 'string') {
+        resolved.args = config.args.split(/\s+/).filter(Boolean);
+    }
+
+    for (const [key, value] of Object.entries(config.env || {})) {
+        if (!ENV_NAME.test(key)) {
+            throw new Error(`Invalid environment variable name in run configuration: ${key}`);
+        }
+        resolved.env[key] = String(value);
+    }
+
+    resolved.cwd = toSafeRelativePath(config.cwd);
+
+    if (config.stdin && resolved.stdin === null) {
+        const stdinPath = toSafeRelativePath(config.stdin);
+        const file = project.files.find(f => f.path === stdinPath);
+        if (!file) {
+            throw new Error(`stdin file not found in project: ${config.stdin}`);
+        }
+        resolved.stdin = file.content;
+    }
+
+    return resolved;
+}
+
+/**
+ * The runtime version a run uses: the run configuration's `version` when it
+ * is meant for the language being run, else the workspace pin the client
+ * sends as `version`. A configuration naming a `program` is meant for that
+ * file's language; one without is used with whatever file is open, so its
+ * version only applies to languages that have it.
+ */
+export function resolveRunVersion(payload) {
+    const { language, runConfig: config } = payload;
+    const pinned = config?.version ? String(config.version) : null;
+    const applies = config?.program
+        ? languageForFile(config.program) === language
+        : listVersions(language).includes(pinned);
+    return (applies && pinned) || payload.version || null;
+}
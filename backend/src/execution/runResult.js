@@ -0,0 +1,50 @@
+import os from 'os';
+
+const SIGNAL_NAMES = Object.fromEntries(
+    Object.entries(os.constants.signals).map(([name, num]) => [num, name])
+);
+
+/**
+ * Payload of the `execution_complete` event, shared by every executor so the
+ * frontend can tell success from failure without parsing terminal output.
+ *
+ * phase: 'compile' if the run stopped while compiling, otherwise 'run'
+ * signal: signal name (e.g. 'SIGKILL') or null
+ * wallTime: milliseconds from start to exit
+ * stopped: the user aborted the run (execute:stop)
+ */
+export function createRunResult(fields = {}) {
+    return {
+        exitCode: null,
+        signal: null,
+        wallTime: 0,
+        phase: 'run',
+        killed: false,
+        stopped: false,
+        timedOut: false,
+        limitExceeded: null,
+        error: null,
+        ...fields
+    };
+}
+
+export function createErrorResult(message) {
+    return createRunResult({ exitCode: 1, error: message });
+}
+
+export function createStoppedResult(fields = {}) {
+    return createRunResult({ killed: true, stopped: true, signal: 'SIGKILL', ...fields });
+}
+
+/**
+ * Normalizes a signal to its name. Accepts numbers (node-pty), names (Piston)
+ * or shell style exit codes above 128.
+ */
+export function toSignalName(signal, exitCode) {
+    if (typeof signal === 'string' && signal) return signal;
+    if (typeof signal === 'number' && signal > 0) return SIGNAL_NAMES[signal] || `SIG${signal}`;
+    if (process.platform !== 'win32' && exitCode > 128 && SIGNAL_NAMES[exitCode - 128]) {
+        return SIGNAL_NAMES[exitCode - 128];
+    }
+    return null;
+}
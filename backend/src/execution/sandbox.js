@@ -0,0 +1,130 @@
+/**
+ * Sandboxed local execution: the command localExecutor builds runs inside a
+ * throwaway container created from the language's `image`, with only the
+ * user's workspace mounted at the language's `workDir`.
+ *
+ * Environment:
+ *   SANDBOX_RUNTIME=docker    container CLI (podman works too)
+ *   SANDBOX_NETWORK=none      docker network for jobs; networking is off by default
+ *   SANDBOX_ENFORCE=true      run every local job in the sandbox
+ */
+
+import { execFile } from 'child_process';
+import path from 'path';
+
+export const SANDBOX_LABEL = 'teachgrid.sandbox';
+
+// Read-only host folders (e.g. the Python hooks) are mounted below this path
+const EXTRA_MOUNT_ROOT = '/teachgrid';
+
+const runtime = () => process.env.SANDBOX_RUNTIME || 'docker';
+
+export const isSandboxEnforced = () => process.env.SANDBOX_ENFORCE === 'true';
+
+function runCli(args, timeout = 15000) {
+    return new Promise((resolve) => {
+        execFile(runtime(), args, { timeout }, (err, stdout, stderr) => {
+            resolve({ ok: !err, stdout: String(stdout || '').trim(), stderr: String(stderr || '').trim(), err });
+        });
+    });
+}
+
+let availability = null;
+
+// Checked once; the CLI missing or the daemon being down both count as unavailable
+export function checkSandboxAvailable() {
+    if (!availability) {
+        availability = runCli(['version', '--format', '{{.Server.Version}}']).then(({ ok, stderr, err }) => {
+            if (!ok) {
+                availability = null; // Retry on the next run, the daemon may come up later
+                return { available: false, reason: err?.code === 'ENOENT' ? `${runtime()} is not installed` : stderr || err?.message };
+            }
+            return { available: true };
+        });
+    }
+    return availability;
+}
+
+/**
+ * Translates host paths into container paths: the workspace is mounted at
+ * `workDir` and every extra (read-only) folder below EXTRA_MOUNT_ROOT.
+ */
+export function createSandboxMounts(workspaceDir, workDir, extraDirs = []) {
+    const mounts = [{ host: workspaceDir, container: workDir, readOnly: false }];
+    extraDirs.filter(Boolean).forEach((dir, i) => {
+        mounts.push({ host: dir, container: `${EXTRA_MOUNT_ROOT}/mount${i}`, readOnly: true });
+    });
+
+    const toContainerPath = (hostPath) => {
+        for (const mount of mounts) {
+            const rel = path.relative(mount.host, hostPath);
+            if (!rel.startsWith('..') && !path.isAbsolute(rel)) {
+                return path.posix.join(mount.container, ...rel.split(path.sep));
+            }
+        }
+        return null;
+    };
+
+    return { mounts, toContainerPath };
+}
+
+/**
+ * Arguments for `<runtime> run ...` that start `shellCommand` in the container.
+ * The container is not removed automatically so finishSandbox() can check
+ * whether it was OOM-killed first.
+ */
+export function buildSandboxCommand({ name, image, mounts, cwd, env, shellCommand, limits }) {
+    const args = [
+        'run', '-i', '-t',
+        '--name', name,
+        '--label', `${SANDBOX_LABEL}=1`,
+        '--network', process.env.SANDBOX_NETWORK || 'none',
+        '--cap-drop', 'ALL',
+        '--security-opt', 'no-new-privileges',
+        '--pids-limit', '256',
+        '--read-only',
+        '--tmpfs', '/tmp:exec',
+        '-w', cwd,
+        '-e', 'HOME=/tmp'
+    ];
+
+    // Files created in the workspace stay owned by the backend user
+    if (typeof process.getuid === 'function') {
+        args.push('--user', `${process.getuid()}:${process.getgid()}`);
+    }
+    if (limits.memory) {
+        args.push('--memory', `${limits.memory}m`, '--memory-swap', `${limits.memory}m`);
+    }
+    for (const mount of mounts) {
+        args.push('-v', `${mount.host}:${mount.container}${mount.readOnly ? ':ro' : ''}`);
+    }
+    for (const [key, value] of Object.entries(env)) {
+        args.push('-e', `${key}=${value}`);
+    }
+
+    // Slim images do not all ship bash
+    args.push(image, 'sh', '-c', shellCommand);
+    return { file: runtime(), args };
+}
+
+export async function killSandbox(name) {
+    await runCli(['kill', name]);
+}
+
+// Removes the container and reports whether the kernel OOM-killed the job
+export async function finishSandbox(name) {
+    const { stdout } = await runCli(['inspect', '-f', '{{.State.OOMKilled}}', name]);
+    await runCli(['rm', '-f', name]);
+    return { oomKilled: stdout === 'true' };
+}
+
+// Names of every sandbox container this backend started, running or not
+export async function listSandboxes() {
+    const { ok, stdout } = await runCli(['ps', '-a', '--filter', `label=${SANDBOX_LABEL}`, '--format', '{{.Names}}']);
+    return ok && stdout ? stdout.split('\n').map((name) => name.trim()).filter(Boolean) : [];
+}
+
+export async function removeSandboxes(names) {
+    if (names.length === 0) return;
+    await runCli(['rm', '-f', ...names], 60000);
+}
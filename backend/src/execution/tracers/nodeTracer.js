@@ -0,0 +1,277 @@
+/**
+ * Records a step-by-step trace of a JavaScript program for the IDE's visualizer.
+ *
+ *     node nodeTracer.js TRACE_FILE WORKSPACE_DIR ENTRY [ARGS...]
+ *
+ * The main thread runs the program. A worker thread attached to it through
+ * the inspector (Session.connectToMainThread) steps through every statement
+ * in a workspace file and snapshots the call stack with each frame's locals,
+ * the objects they reference and the output so far. Runtime internals and
+ * node_modules are stepped over. Only the synchronous run of the program is
+ * traced: callbacks that run later (timers, promises) are not. Same JSON
+ * format as pythonTracer.py (see src/execution/visualizer.js).
+ */
+
+import { Worker, isMainThread, parentPort, workerData } from 'worker_threads';
+import { Session } from 'inspector';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+import fs from 'fs';
+import path from 'path';
+
+const MAX_STEPS = 1000;
+const MAX_ITEMS = 100; // Elements shown per array or object
+const MAX_VALUE = 200;
+const FLUSH_TIMEOUT = 5000;
+const TRACER_PATH = fileURLToPath(import.meta.url);
+
+// Set on the program's global object, where the worker can reach them while paused
+const OUTPUT_KEY = 'teachgrid.stdout';
+const OBJECT_ID_KEY = 'teachgrid.objectId';
+
+// Scopes that hold a frame's own variables; closures and globals are left out
+const FRAME_SCOPES = new Set(['local', 'block', 'catch', 'module', 'eval']);
+// Parameters of the CommonJS module wrapper
+const MODULE_WRAPPER_NAMES = new Set(['exports', 'require', 'module', '__filename', '__dirname']);
+
+async function runMain() {
+    const [traceFile, workspaceDir, entry, ...args] = process.argv.slice(2);
+    if (!entry) {
+        process.stderr.write('usage: nodeTracer.js TRACE_FILE WORKSPACE_DIR ENTRY [ARGS...]\n');
+        process.exit(2);
+    }
+    const entryPath = path.resolve(entry);
+    process.argv = [process.argv[0], entryPath, ...args];
+
+    // Output is written through and kept for the trace
+    const output = [];
+    globalThis[Symbol.for(OUTPUT_KEY)] = output;
+    const write = process.stdout.write.bind(process.stdout);
+    process.stdout.write = (chunk, ...rest) => {
+        output.push(String(chunk));
+        return write(chunk, ...rest);
+    };
+
+    // Stable ids so the same object is one heap entry across steps
+    const ids = new WeakMap();
+    let nextId = 1;
+    globalThis[Symbol.for(OBJECT_ID_KEY)] = (value) => {
+        if (!ids.has(value)) ids.set(value, nextId++);
+        return ids.get(value);
+    };
+
+    // flag[0] becomes 1 once the worker has written the trace
+    const flag = new Int32Array(new SharedArrayBuffer(4));
+    const worker = new Worker(new URL(import.meta.url), {
+        workerData: { traceFile, workspaceDir: path.resolve(workspaceDir), flag }
+    });
+    await new Promise((resolve, reject) => {
+        worker.once('message', resolve);
+        worker.once('error', reject);
+    });
+    worker.unref();
+
+    // Blocks until the worker has written the trace; its thread keeps running meanwhile
+    let programError = null;
+    process.on('exit', () => {
+        worker.postMessage({ flush: true, error: programError });
+        Atomics.wait(flag, 0, 0, FLUSH_TIMEOUT);
+    });
+
+    try {
+        // The worker steps in from here until the program's first statement
+        debugger; // eslint-disable-line no-debugger
+        // TEACHGRID_MODULE_HOOKS: the .js files are ES modules (see nodeHooks/moduleSyntax.mjs)
+        if (path.extname(entryPath) === '.mjs' || process.env.TEACHGRID_MODULE_HOOKS) {
+            await import(pathToFileURL(entryPath).href);
+        } else {
+            createRequire(entryPath)(entryPath);
+        }
+    } catch (err) {
+        programError = err instanceof Error ? `${err.name}: ${err.message}` : `Uncaught ${String(err)}`;
+        // Reported like an uncaught exception, without the loader's and tracer's frames
+        const stack = String(err?.stack ?? err).split('\n')
+            .filter(line => !line.includes('node:internal') && !line.includes(TRACER_PATH));
+        process.stderr.write(`${stack.join('\n')}\n`);
+        process.exitCode = 1;
+    }
+}
+
+async function runWorker() {
+    const { traceFile, workspaceDir, flag } = workerData;
+    const session = new Session();
+    session.connectToMainThread();
+
+    const post = (method, params = {}) => new Promise((resolve, reject) => {
+        session.post(method, params, (err, result) => (err ? reject(err) : resolve(result)));
+    });
+
+    const steps = [];
+    const scriptUrls = new Map(); // scriptId -> url (call frames may leave `url` empty)
+    let truncated = false;
+
+    // Sent by the main thread as the process exits, with the program's uncaught error
+    parentPort.on('message', message => {
+        if (!message?.flush) return;
+        session.disconnect();
+        fs.writeFileSync(traceFile, JSON.stringify({ steps, truncated, error: message.error }));
+        Atomics.store(flag, 0, 1);
+        Atomics.notify(flag, 0);
+    });
+
+    const workspacePath = (url) => {
+        const file = url && url.startsWith('file://') ? fileURLToPath(url) : url;
+        if (!file || !path.isAbsolute(file)) return null;
+        const rel = path.relative(workspaceDir, file);
+        if (rel.startsWith('..') || path.isAbsolute(rel) || rel.split(path.sep).includes('node_modules')) return null;
+        return rel.split(path.sep).join('/');
+    };
+    const frameUrl = (frame) => frame.url || scriptUrls.get(frame.location.scriptId);
+    const isUserFrame = (frame) => workspacePath(frameUrl(frame)) !== null;
+
+    const truncate = (text) => (text.length > MAX_VALUE ? `${text.slice(0, MAX_VALUE)}...` : text);
+
+    // Encodes a RemoteObject: primitives inline, objects as references into `heap`
+    const encode = async (remote, heap) => {
+        if (remote.type !== 'object' && remote.type !== 'function') {
+            const value = remote.type === 'string' ? JSON.stringify(remote.value)
+                : remote.unserializableValue || remote.description || String(remote.value);
+            return { type: remote.type, value: truncate(value) };
+        }
+        if (remote.subtype === 'null') return { type: 'null', value: 'null' };
+
+        const { result } = await post('Runtime.callFunctionOn', {
+            objectId: remote.objectId,
+            functionDeclaration: `function () { return globalThis[Symbol.for(${JSON.stringify(OBJECT_ID_KEY)})](this); }`,
+            returnByValue: true
+        });
+        const ref = String(result.value);
+        if (!(ref in heap)) {
+            heap[ref] = null; // Reserved first: cycles point back at it
+            heap[ref] = await describe(remote, heap);
+        }
+        return { ref };
+    };
+
+    const describe = async (remote, heap) => {
+        if (remote.type === 'function') {
+            return { type: 'function', name: remote.description.match(/^(?:async\s+)?(?:function\*?|class)\s*([\w$]*)/)?.[1] || '(anonymous)' };
+        }
+        if (!['array', undefined].includes(remote.subtype)) {
+            // Maps, sets, dates, regexps...: their description is enough to follow along
+            return { type: remote.subtype, value: truncate(remote.description || remote.className) };
+        }
+
+        const { result } = await post('Runtime.getProperties', { objectId: remote.objectId, ownProperties: true });
+        const props = result.filter(prop => prop.enumerable && prop.value);
+        const shown = props.slice(0, MAX_ITEMS);
+        if (remote.subtype === 'array') {
+            const items = [];
+            for (const prop of shown) items.push(await encode(prop.value, heap));
+            return { type: 'array', items, truncated: props.length > MAX_ITEMS };
+        }
+        const fields = [];
+        for (const prop of shown) fields.push([prop.name, await encode(prop.value, heap)]);
+        return remote.className === 'Object'
+            ? { type: 'object', fields, truncated: props.length > MAX_ITEMS }
+            : { type: 'instance', name: remote.className, fields, truncated: props.length > MAX_ITEMS };
+    };
+
+    const frameLocals = async (frame, heap, isModule) => {
+        const names = {};
+        for (const scope of frame.scopeChain) {
+            if (!FRAME_SCOPES.has(scope.type)) break;
+            const { result } = await post('Runtime.getProperties', { objectId: scope.object.objectId, ownProperties: true });
+            for (const prop of result) {
+                if (!prop.value || prop.name in names || (isModule && MODULE_WRAPPER_NAMES.has(prop.name))) continue;
+                names[prop.name] = await encode(prop.value, heap);
+            }
+        }
+        return names;
+    };
+
+    const record = async (params) => {
+        const userFrames = params.callFrames.filter(isUserFrame).reverse();
+
+        const heap = {};
+        const frames = [];
+        for (const [index, frame] of userFrames.entries()) {
+            const isModule = index === 0 && !frame.functionName;
+            frames.push({
+                name: isModule ? 'Global frame' : frame.functionName || '(anonymous)',
+                path: workspacePath(frameUrl(frame)),
+                line: frame.location.lineNumber + 1,
+                locals: await frameLocals(frame, heap, isModule)
+            });
+        }
+
+        const top = userFrames[userFrames.length - 1];
+        let event = 'line';
+        if (params.reason === 'exception') event = 'exception';
+        else if (top === params.callFrames[0] && top.returnValue) event = 'return';
+        else if (steps.length && frames.length > steps[steps.length - 1].frames.length) event = 'call';
+
+        const { result: stdout } = await post('Runtime.evaluate', {
+            expression: `globalThis[Symbol.for(${JSON.stringify(OUTPUT_KEY)})].join('')`,
+            returnByValue: true
+        });
+
+        const step = {
+            event,
+            path: workspacePath(frameUrl(top)),
+            line: top.location.lineNumber + 1,
+            frames,
+            heap,
+            stdout: stdout.value
+        };
+        if (event === 'return') frames[frames.length - 1].returnValue = await encode(top.returnValue, heap);
+        if (event === 'exception') {
+            step.exception = params.data?.description?.split('\n')[0] || String(params.data?.value);
+        }
+        steps.push(step);
+    };
+
+    session.on('Debugger.scriptParsed', ({ params }) => scriptUrls.set(params.scriptId, params.url));
+    let started = false;
+    let finished = false; // Later callbacks can still pause on exceptions
+    session.on('Debugger.paused', async ({ params }) => {
+        try {
+            if (finished) return await post('Debugger.resume');
+            const inProgram = params.callFrames.some(isUserFrame);
+            if (!isUserFrame(params.callFrames[0])) {
+                // Out of runtime code the program called, in towards its first
+                // statement, or on to the end once it has finished
+                if (inProgram) await post('Debugger.stepOut');
+                else if (!started) await post('Debugger.stepInto');
+                else {
+                    finished = true;
+                    await post('Debugger.resume');
+                }
+                return;
+            }
+            started = true;
+
+            if (steps.length >= MAX_STEPS) {
+                // Like the Python tracer: the program ends at the step limit
+                truncated = true;
+                await post('Runtime.evaluate', { expression: 'process.exit(0)' });
+                return;
+            }
+            await record(params);
+            await post('Debugger.stepInto');
+        } catch (err) {
+            // The program has ended or the session closed
+        }
+    });
+
+    await post('Debugger.enable');
+    // The tracer catches the program's errors, so none count as uncaught
+    await post('Debugger.setPauseOnExceptions', { state: 'all' });
+    parentPort.postMessage('ready');
+}
+
+if (isMainThread) {
+    await runMain();
+} else {
+    await runWorker();
+}
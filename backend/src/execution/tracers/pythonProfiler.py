@@ -0,0 +1,103 @@
+"""
+Profiles a Python program with cProfile for the IDE's profiler.
+
+    python pythonProfiler.py PROFILE_FILE WORKSPACE_DIR ENTRY [ARGS...]
+
+The program runs normally (its output still reaches the terminal). When it
+ends, the cProfile statistics are written to PROFILE_FILE as JSON:
+
+    {"root": index, "functions": [{"name", "file", "path", "line", "calls",
+                                   "self", "total", "callers": [[index, calls, self, total]]}]}
+
+Times are in seconds. `path` is relative to WORKSPACE_DIR, or null for
+functions outside it; `callers` and `root` (the entry module's code) refer to
+other entries by index. The call tree and the flame graph are built from them
+in src/execution/profiler.js.
+"""
+
+import cProfile
+import json
+import os
+import runpy
+import sys
+import traceback
+
+# The profiler's own frames, left out of the statistics (runpy is frozen from 3.11 on)
+OWN_FILES = {os.path.realpath(__file__), os.path.realpath(cProfile.__file__), os.path.realpath(runpy.__file__), "<frozen runpy>"}
+
+
+class Profiler:
+    def __init__(self, profile_file, workspace, entry):
+        self.profile_file = profile_file
+        self.workspace = os.path.realpath(workspace)
+        self.entry = os.path.realpath(entry)
+
+    def workspace_path(self, filename):
+        if not filename or filename.startswith(("<", "~")):
+            return None
+        real = os.path.realpath(filename)
+        if not real.startswith(self.workspace + os.sep):
+            return None
+        return os.path.relpath(real, self.workspace).replace(os.sep, "/")
+
+    def describe(self, func):
+        filename, line, name = func
+        path = self.workspace_path(filename)
+        if filename == "~":
+            # Built-ins: name is like "<built-in method builtins.print>"
+            return {"name": name.strip("<>"), "file": None, "path": None, "line": None}
+        return {
+            "name": name,
+            "file": path or os.path.basename(filename),
+            "path": path,
+            "line": line,
+        }
+
+    def write(self, profiler):
+        profiler.create_stats()
+        stats = {func: data for func, data in profiler.stats.items()
+                 if func[0] not in OWN_FILES and os.path.realpath(func[0]) not in OWN_FILES}
+        index = {func: i for i, func in enumerate(stats)}
+
+        functions = []
+        for func, (primitive_calls, calls, self_time, total_time, callers) in stats.items():
+            entry = self.describe(func)
+            entry.update({
+                "calls": calls,
+                "self": self_time,
+                "total": total_time,
+                "callers": [[index[caller], c[1], c[2], c[3]] for caller, c in callers.items() if caller in index],
+            })
+            functions.append(entry)
+
+        with open(self.profile_file, "w", encoding="utf-8") as handle:
+            json.dump({"root": index.get((self.entry, 1, "<module>")), "functions": functions}, handle)
+
+    def run(self, args):
+        """Runs the program under cProfile and writes the statistics; returns the exit code."""
+        sys.argv = [self.entry] + args
+        sys.path[0] = os.path.dirname(self.entry)  # Not this script's folder
+
+        profiler = cProfile.Profile()
+        exit_code = 0
+        try:
+            profiler.runcall(runpy.run_path, self.entry, run_name="__main__")
+        except SystemExit:
+            raise
+        except BaseException as exc:
+            # The profiler's and runpy's frames are left out of the traceback
+            tb = exc.__traceback__
+            while tb is not None and self.workspace_path(tb.tb_frame.f_code.co_filename) is None:
+                tb = tb.tb_next
+            traceback.print_exception(type(exc), exc, tb)
+            exit_code = 1
+        finally:
+            self.write(profiler)
+        return exit_code
+
+
+if __name__ == "__main__":
+    if len(sys.argv) < 4:
+        sys.stderr.write("usage: pythonProfiler.py PROFILE_FILE WORKSPACE_DIR ENTRY [ARGS...]\n")
+        sys.exit(2)
+    sys.exit(Profiler(sys.argv[1], sys.argv[2], sys.argv[3]).run(sys.argv[4:]))
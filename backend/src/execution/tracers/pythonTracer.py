@@ -0,0 +1,221 @@
+"""
+Records a step-by-step trace of a Python program for the IDE's visualizer.
+
+    python pythonTracer.py TRACE_FILE WORKSPACE_DIR ENTRY [ARGS...]
+
+The program runs normally (its output still reaches the terminal) under a
+sys.settrace hook that snapshots every line executed in a workspace file:
+the call stack with each frame's locals, the objects they reference and the
+output so far. The trace is written to TRACE_FILE as JSON when the program
+ends; the format is documented in src/execution/visualizer.js.
+"""
+
+import json
+import os
+import runpy
+import sys
+import traceback
+import types
+
+MAX_STEPS = 1000
+MAX_ITEMS = 100  # Elements shown per list, dict or object
+MAX_REPR = 200
+
+PRIMITIVES = (type(None), bool, int, float, complex, str, bytes)
+SEQUENCES = (list, tuple, set, frozenset)
+
+
+class StepLimitReached(BaseException):
+    """Raised from the trace hook; BaseException so `except Exception` in the program cannot swallow it."""
+
+
+class TeeOutput:
+    """Writes through to the real stream and keeps a copy for the trace."""
+
+    def __init__(self, stream, chunks):
+        self.stream = stream
+        self.chunks = chunks
+
+    def write(self, text):
+        self.chunks.append(text)
+        return self.stream.write(text)
+
+    def __getattr__(self, name):
+        return getattr(self.stream, name)
+
+
+def short_repr(value):
+    try:
+        text = repr(value)
+    except Exception:  # A broken __repr__ in the program
+        text = "<%s object>" % type(value).__name__
+    return text if len(text) <= MAX_REPR else text[:MAX_REPR] + "..."
+
+
+class Tracer:
+    def __init__(self, trace_file, workspace, entry):
+        self.trace_file = trace_file
+        self.workspace = os.path.realpath(workspace)
+        self.entry = os.path.realpath(entry)
+        self.steps = []
+        self.stdout = []
+        self.truncated = False
+        self.file_cache = {}
+
+    # Workspace-relative path of a code object's file, or None outside the workspace
+    def workspace_path(self, filename):
+        if filename not in self.file_cache:
+            path = None
+            if filename and not filename.startswith("<"):
+                real = os.path.realpath(filename)
+                if real.startswith(self.workspace + os.sep):
+                    path = os.path.relpath(real, self.workspace).replace(os.sep, "/")
+            self.file_cache[filename] = path
+        return self.file_cache[filename]
+
+    def encode(self, value, heap):
+        if isinstance(value, PRIMITIVES) and not (isinstance(value, (str, bytes)) and len(value) > MAX_REPR):
+            return {"type": type(value).__name__, "value": short_repr(value)}
+
+        ref = str(id(value))
+        if ref not in heap:
+            heap[ref] = None  # Reserved first: cycles point back at it
+            heap[ref] = self.describe(value, heap)
+        return {"ref": ref}
+
+    def describe(self, value, heap):
+        kind = type(value).__name__
+        if isinstance(value, SEQUENCES):
+            items = list(value)
+            return {
+                "type": kind,
+                "items": [self.encode(item, heap) for item in items[:MAX_ITEMS]],
+                "truncated": len(items) > MAX_ITEMS,
+            }
+        if isinstance(value, dict):
+            entries = list(value.items())
+            return {
+                "type": "dict",
+                "entries": [[self.encode(k, heap), self.encode(v, heap)] for k, v in entries[:MAX_ITEMS]],
+                "truncated": len(entries) > MAX_ITEMS,
+            }
+        if isinstance(value, (types.FunctionType, types.BuiltinFunctionType, types.MethodType)):
+            return {"type": "function", "name": getattr(value, "__qualname__", kind)}
+        if isinstance(value, type):
+            return {"type": "class", "name": value.__qualname__}
+        if isinstance(value, types.ModuleType):
+            return {"type": "module", "name": value.__name__}
+        fields = getattr(value, "__dict__", None)
+        if isinstance(fields, dict):
+            entries = [(k, v) for k, v in fields.items() if not k.startswith("__")]
+            return {
+                "type": "instance",
+                "name": kind,
+                "fields": [[k, self.encode(v, heap)] for k, v in entries[:MAX_ITEMS]],
+                "truncated": len(entries) > MAX_ITEMS,
+            }
+        return {"type": kind, "value": short_repr(value)}
+
+    def frame_locals(self, frame, heap):
+        names = {}
+        for name, value in frame.f_locals.items():
+            # Module-level noise: dunders and imported modules
+            if name.startswith("__") or isinstance(value, types.ModuleType):
+                continue
+            names[name] = self.encode(value, heap)
+        return names
+
+    def record(self, frame, event, arg):
+        if len(self.steps) >= MAX_STEPS:
+            self.truncated = True
+            raise StepLimitReached()
+
+        stack = []
+        current = frame
+        while current is not None:
+            path = self.workspace_path(current.f_code.co_filename)
+            if path is not None:
+                stack.append(current)
+            current = current.f_back
+        stack.reverse()
+
+        heap = {}
+        frames = []
+        for item in stack:
+            name = item.f_code.co_name
+            frames.append({
+                "name": "Global frame" if name == "<module>" else name,
+                "path": self.workspace_path(item.f_code.co_filename),
+                "line": item.f_lineno,
+                "locals": self.frame_locals(item, heap),
+            })
+
+        step = {
+            "event": event,
+            "path": self.workspace_path(frame.f_code.co_filename),
+            "line": frame.f_lineno,
+            "frames": frames,
+            "heap": heap,
+            "stdout": "".join(self.stdout),
+        }
+        if event == "return":
+            frames[-1]["returnValue"] = self.encode(arg, heap)
+        elif event == "exception":
+            exc_type, exc_value, _ = arg
+            step["exception"] = "%s: %s" % (exc_type.__name__, exc_value)
+        self.steps.append(step)
+
+    def trace(self, frame, event, arg):
+        # Library and interpreter frames are not traced line by line
+        if self.workspace_path(frame.f_code.co_filename) is None:
+            return None
+        # A module's first line follows right away; only function calls get a step
+        if frame.f_code.co_name != "<module>":
+            self.record(frame, event, arg)
+        return self.trace_local
+
+    def trace_local(self, frame, event, arg):
+        if event in ("line", "return", "exception"):
+            self.record(frame, event, arg)
+        return self.trace_local
+
+    def run(self, args):
+        """Runs the program and writes the trace; returns the exit code."""
+        sys.argv = [self.entry] + args
+        sys.path[0] = os.path.dirname(self.entry)  # Not this script's folder
+        sys.stdout = TeeOutput(sys.stdout, self.stdout)
+
+        error = None
+        exit_code = 0
+        sys.settrace(self.trace)
+        try:
+            runpy.run_path(self.entry, run_name="__main__")
+        except StepLimitReached:
+            pass
+        except SystemExit:
+            raise
+        except BaseException as exc:
+            sys.settrace(None)
+            error = "%s: %s" % (type(exc).__name__, exc)
+            # The tracer's and runpy's frames are left out of the traceback
+            tb = exc.__traceback__
+            while tb is not None and self.workspace_path(tb.tb_frame.f_code.co_filename) is None:
+                tb = tb.tb_next
+            traceback.print_exception(type(exc), exc, tb)
+            exit_code = 1
+        finally:
+            sys.settrace(None)
+            sys.stdout = sys.stdout.stream
+            self.write(error)
+        return exit_code
+
+    def write(self, error):
+        with open(self.trace_file, "w", encoding="utf-8") as handle:
+            json.dump({"steps": self.steps, "truncated": self.truncated, "error": error}, handle)
+
+
+if __name__ == "__main__":
+    if len(sys.argv) < 4:
+        sys.stderr.write("usage: pythonTracer.py TRACE_FILE WORKSPACE_DIR ENTRY [ARGS...]\n")
+        sys.exit(2)
+    sys.exit(Tracer(sys.argv[1], sys.argv[2], sys.argv[3]).run(sys.argv[4:]))
@@ -0,0 +1,210 @@
+/**
+ * TypeScript runs without ts-node: the project is transpiled with esbuild
+ * into the build folder and Node runs the output with --enable-source-maps,
+ * so stack traces point at the .ts lines. Types are not checked on the way;
+ * when tsc is available it type-checks the project next to the running
+ * program and streams what it finds to the PROBLEMS panel.
+ *
+ * Server -> client: diagnostics { source: 'tsc', status, diagnostics,
+ * message }, sent whenever new diagnostics arrive. status is 'running',
+ * 'done' or 'unavailable' (tsc is not installed, the run is sandboxed or
+ * was stopped; `message` says why). Each
+ * diagnostic is { path, line, column, severity, code, message } with `path`
+ * relative to the workspace root like the IDE's file tree (null for errors
+ * about the configuration), `severity` 'error' or 'warning' and `code` e.g.
+ * 'TS2322'.
+ */
+
+import { spawn } from 'child_process';
+import { build } from 'esbuild';
+import { existsSync, promises as fs } from 'fs';
+import path from 'path';
+import { isModuleProject } from '../utils/nodePkgManager.js';
+
+const OUTPUT_DIR = 'ts';
+const TYPECHECK_TIMEOUT = 60000;
+// tsc's compiler options when the project has no tsconfig.json; --module
+// follows the output format transpileTypeScript picks
+const DEFAULT_TSC_OPTIONS = [
+    '--target', 'es2022', '--moduleResolution', 'node', '--esModuleInterop', '--skipLibCheck'
+];
+
+// socket id -> cancel(reason) of its type check; a new run replaces the previous one's
+const typeChecks = new Map();
+
+/**
+ * Bundles the project's own files from `entrypoint` into one script under
+ * `buildDir` with a source map next to it; npm packages stay imports and are
+ * loaded from node_modules at run time. Returns the script's path. Throws
+ * with esbuild's errors listed as file:line:column: message.
+ */
+export async function transpileTypeScript({ runDir, entrypoint, buildDir }) {
+    const outDir = path.join(buildDir, OUTPUT_DIR);
+    await fs.rm(outDir, { recursive: true, force: true });
+    const outfile = path.join(outDir, `${path.parse(entrypoint).name}.js`);
+
+    try {
+        await build({
+            absWorkingDir: runDir,
+            entryPoints: [entrypoint],
+            outfile,
+            bundle: true,
+            packages: 'external',
+            platform: 'node',
+            // The sandbox image's Node version
+            target: 'node18',
+            // package.json's type decides, as it would for .js files
+            format: await isModuleProject(runDir) ? 'esm' : 'cjs',
+            sourcemap: 'linked',
+            sourcesContent: false,
+            logLevel: 'silent'
+        });
+    } catch (err) {
+        if (!err.errors) throw err;
+        throw new Error(err.errors.map(({ text, location }) => (location
+            ? `${location.file}:${location.line}:${location.column + 1}: ${text}`
+            : text)).join('\n'));
+    }
+    return outfile;
+}
+
+// tsc installed with the project's packages wins over a global one
+function findTsc(runDir) {
+    const local = path.join(runDir, 'node_modules', '.bin', process.platform === 'win32' ? 'tsc.cmd' : 'tsc');
+    return existsSync(local) ? local : process.platform === 'win32' ? 'tsc.cmd' : 'tsc';
+}
+
+// file(line,col): error TS2322: message, followed by indented continuation lines
+const DIAGNOSTIC_LINE = /^(.+?)\((\d+),(\d+)\): (error|warning) (TS\d+): (.*)$/;
+const GLOBAL_DIAGNOSTIC_LINE = /^(error|warning) (TS\d+): (.*)$/;
+
+/**
+ * Type-checks the project with `tsc --noEmit` (its tsconfig.json if there is
+ * one, else `sourceFiles` with default options) while the program runs,
+ * emitting `diagnostics` events. `limitPrefix` holds the run's ulimit
+ * commands, which tsc is started under. Never throws; tsc's own failures end
+ * up as status 'unavailable'. Resolves once tsc has been started.
+ */
+export async function startTypeCheck(socket, { workspaceDir, runDir, sourceFiles, limitPrefix = '' }) {
+    const moduleKind = await isModuleProject(runDir) ? 'esnext' : 'commonjs';
+    typeChecks.get(socket.id)?.(null);
+
+    const hasConfig = existsSync(path.join(runDir, 'tsconfig.json'));
+    const args = ['--noEmit', '--pretty', 'false', ...(hasConfig
+        ? ['-p', '.']
+        : [...DEFAULT_TSC_OPTIONS, '--module', moduleKind, ...sourceFiles])];
+    const tsc = findTsc(runDir);
+
+    const diagnostics = [];
+    let status = 'running';
+    let message = null;
+    const report = () => socket.emit('diagnostics', { source: 'tsc', status, diagnostics: [...diagnostics], message });
+    report();
+
+    // npm's .cmd shims can only be started through a shell; elsewhere bash
+    // applies the limits and execs tsc with the arguments unquoted
+    const proc = process.platform === 'win32'
+        ? spawn(tsc, args, { cwd: runDir, stdio: ['ignore', 'pipe', 'pipe'], shell: true })
+        : spawn('bash', ['-c', `${limitPrefix}exec "$0" "$@"`, tsc, ...args], { cwd: runDir, stdio: ['ignore', 'pipe', 'pipe'] });
+    let timedOut = false;
+    const timer = setTimeout(() => {
+        timedOut = true;
+        proc.kill('SIGKILL');
+    }, TYPECHECK_TIMEOUT);
+
+    let pending = '';
+    let stderr = '';
+    const parseLines = (lines) => {
+        const before = diagnostics.length;
+        for (const line of lines) {
+            const located = line.match(DIAGNOSTIC_LINE);
+            const global = located ? null : line.match(GLOBAL_DIAGNOSTIC_LINE);
+            if (located) {
+                const [, file, lineNo, column, severity, code, text] = located;
+                const rel = path.relative(workspaceDir, path.resolve(runDir, file));
+                diagnostics.push({
+                    path: rel.startsWith('..') || path.isAbsolute(rel) ? null : rel.split(path.sep).join('/'),
+                    line: Number(lineNo),
+                    column: Number(column),
+                    severity,
+                    code,
+                    message: text
+                });
+            } else if (global) {
+                const [, severity, code, text] = global;
+                diagnostics.push({ path: null, line: null, column: null, severity, code, message: text });
+            } else if (/^\s/.test(line) && diagnostics.length > 0) {
+                // Longer explanations (e.g. why two types are incompatible)
+                diagnostics[diagnostics.length - 1].message += `\n${line.trim()}`;
+            }
+        }
+        return diagnostics.length > before;
+    };
+
+    proc.stdout.on('data', (data) => {
+        if (finished) return;
+        const lines = (pending + data).split(/\r?\n/);
+        pending = lines.pop();
+        // Every report has the full list, so a message that grows later is sent again
+        if (parseLines(lines)) report();
+    });
+    proc.stderr.on('data', (data) => {
+        stderr = (stderr + data).slice(-2000);
+    });
+
+    let finished = false;
+    const settle = () => {
+        if (finished) return false;
+        finished = true;
+        clearTimeout(timer);
+        if (typeChecks.get(socket.id) === cancel) typeChecks.delete(socket.id);
+        return true;
+    };
+    const finish = (nextStatus, nextMessage = null) => {
+        if (!settle()) return;
+        status = nextStatus;
+        message = nextMessage;
+        report();
+    };
+    // Superseded checks end silently (reason null), the newer one reports in their place
+    const cancel = (reason) => {
+        if (finished) return;
+        proc.kill('SIGTERM');
+        if (reason) finish('unavailable', reason);
+        else settle();
+    };
+    typeChecks.set(socket.id, cancel);
+
+    const notFound = 'tsc was not found: add typescript to package.json or install it on the server (npm install -g typescript)';
+    proc.on('error', (err) => {
+        finish('unavailable', err.code === 'ENOENT' ? notFound : `tsc could not be started: ${err.message}`);
+    });
+    proc.on('close', (code, signal) => {
+        parseLines([pending]);
+        if (timedOut) {
+            finish('unavailable', `Type checking took longer than ${TYPECHECK_TIMEOUT / 1000}s`);
+        } else if (signal) {
+            // SIGXCPU/SIGKILL from the CPU limit, or an abort when memory ran out
+            finish('unavailable', `tsc went over the run's CPU or memory limit (${signal})`);
+        } else if (code === 127 && diagnostics.length === 0) {
+            // bash's exit code for a command it could not find
+            finish('unavailable', notFound);
+        } else if (code !== 0 && diagnostics.length === 0) {
+            // A broken tsconfig.json or tsc install rather than type errors
+            finish('unavailable', (stderr.trim() || `tsc exited with code ${code}`).split('\n').pop());
+        } else {
+            finish('done');
+        }
+    });
+}
+
+// execute:stop and disconnects end a type check that is still running
+export function stopTypeCheck(socket) {
+    typeChecks.get(socket.id)?.('Type checking was stopped');
+}
+
+// A run that is not type-checked still replaces the previous run's diagnostics
+export function skipTypeCheck(socket, message) {
+    typeChecks.get(socket.id)?.(null);
+    socket.emit('diagnostics', { source: 'tsc', status: 'unavailable', diagnostics: [], message });
+}
@@ -0,0 +1,77 @@
+/**
+ * Visualize mode (Python Tutor style) for languages with a `traceCommand`:
+ * the program runs like a local run (same PTY, terminal input and
+ * execution_complete) under a tracer from ./tracers that records every step,
+ * and the recorded trace is sent to the client right before execution_complete.
+ *
+ * Client -> server: visualize:run (execute payload).
+ * Server -> client: visualize:trace { steps, truncated, error }, where each step is
+ *
+ *   { event: 'line' | 'call' | 'return' | 'exception', path, line,
+ *     frames: [{ name, path, line, locals: { name: value }, returnValue? }],
+ *     heap: { id: object }, stdout, exception? }
+ *
+ * Frames run from the outermost ('Global frame') to the current one and only
+ * cover workspace files; `path` is relative to the workspace root, like the
+ * IDE's file tree, and `stdout` is all output up to that step. A value is
+ * { type, value } for primitives (value is its source representation) or
+ * { ref } pointing into the step's heap. Heap objects are one of
+ *
+ *   { type: 'list' | 'tuple' | 'set' | 'array' | ..., items: [value], truncated }
+ *   { type: 'dict', entries: [[key, value]], truncated }
+ *   { type: 'object', fields: [[name, value]], truncated }
+ *   { type: 'instance', name, fields: [[name, value]], truncated }
+ *   { type: 'function' | 'class' | 'module', name }
+ *   { type, value }   anything else, by its representation
+ *
+ * Traces stop after 1000 steps (`truncated`); `error` is the uncaught
+ * exception the program ended with, if any.
+ */
+
+import { promises as fs } from 'fs';
+import { LANGUAGES } from '../config/languages.js';
+import { executeLocalCode } from './localExecutor.js';
+import { createErrorResult } from './runResult.js';
+import { resolveRunVersion } from './runConfig.js';
+import { isSandboxEnforced } from './sandbox.js';
+
+/**
+ * Runs the program under its language's tracer. Runs as a local job: the
+ * queue, execute:stop and execution_complete work as for a normal run.
+ */
+export async function startVisualization(socket, payload, userId) {
+    const { language } = payload;
+    const langConfig = LANGUAGES[language];
+
+    const fail = (message) => {
+        socket.emit('output', `❌ ${message}\n`);
+        socket.emit('execution_complete', createErrorResult(message));
+    };
+
+    if (!langConfig?.traceCommand) {
+        return fail(`Visualization is not supported for ${language}`);
+    }
+    // The tracers run on the host; with SANDBOX_ENFORCE nothing may
+    if (isSandboxEnforced()) {
+        return fail('Visualization is disabled while SANDBOX_ENFORCE is set');
+    }
+
+    const version = resolveRunVersion(payload);
+
+    await executeLocalCode(socket, { ...payload, version }, userId, {
+        trace: {
+            onExit: async (traceFile) => {
+                try {
+                    const trace = JSON.parse(await fs.readFile(traceFile, 'utf8'));
+                    socket.emit('visualize:trace', trace);
+                } catch (err) {
+                    // Stopped, killed by a limit, or failed before the tracer started
+                    if (err.code !== 'ENOENT') {
+                        console.error(`[Visualizer] Unreadable ${language} trace:`, err.message);
+                    }
+                    socket.emit('visualize:trace', { steps: [], truncated: false, error: 'No trace was recorded' });
+                }
+            }
+        }
+    });
+}
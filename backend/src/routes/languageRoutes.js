@@ -0,0 +1,50 @@
+import express from 'express';
+import { LANGUAGES, listVersions } from '../config/languages.js';
+import { LANGUAGE_DEFINITIONS } from '../config/languageDefinitions.js';
+import PistonService from '../services/PistonService.js';
+import ToolchainService from '../services/ToolchainService.js';
+import { resolveAutoMode } from '../execution/executor.js';
+
+const router = express.Router();
+
+/**
+ * Language registry for the IDE: the definitions from languages.json (plus
+ * LANGUAGES_FILE), which engines can run each language, the local toolchain
+ * found at startup, the runtime versions it can be pinned to and where "auto"
+ * mode sends it. Languages that only have
+ * an execution config still get an entry named after their id.
+ */
+router.get('/', (req, res) => {
+    const { languages: runtimes } = PistonService.getRuntimes();
+    const ids = new Set([...Object.keys(LANGUAGE_DEFINITIONS), ...Object.keys(LANGUAGES)]);
+
+    const languages = {};
+    for (const id of ids) {
+        const { execution, ...definition } = LANGUAGE_DEFINITIONS[id] || {};
+        languages[id] = {
+            name: id,
+            extensions: [],
+            icon: '📄',
+            editor: 'plaintext',
+            starter: '',
+            preview: false,
+            ...definition,
+            engines: {
+                local: ToolchainService.isAvailable(id),
+                sandbox: Boolean(LANGUAGES[id]?.image),
+                piston: Boolean(runtimes[id]?.available)
+            },
+            toolchain: ToolchainService.get(id),
+            defaultVersion: LANGUAGES[id]?.defaultVersion || null,
+            versions: listVersions(id),
+            autoMode: LANGUAGES[id] ? resolveAutoMode(id) : null,
+            debuggable: Boolean(LANGUAGES[id]?.debugCommand),
+            visualizable: Boolean(LANGUAGES[id]?.traceCommand),
+            profilable: Boolean(LANGUAGES[id]?.profileCommand)
+        };
+    }
+
+    res.json({ languages });
+});
+
+export default router;
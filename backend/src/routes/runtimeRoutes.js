@@ -0,0 +1,11 @@
+import express from 'express';
+import PistonService from '../services/PistonService.js';
+
+const router = express.Router();
+
+// Which languages the remote (Piston) engine can run, and at which version
+router.get('/', (req, res) => {
+    res.json(PistonService.getRuntimes());
+});
+
+export default router;
@@ -0,0 +1,178 @@
+import os from 'os';
+
+/**
+ * Global execution queue.
+ *
+ * At most EXECUTION_WORKERS jobs run at once on the box and at most
+ * EXECUTION_PER_USER_LIMIT per user (several tabs share a user id). Waiting jobs
+ * are served round-robin across users, least recently served first, so one
+ * user's backlog cannot starve the others. A socket has at most one job queued
+ * or running.
+ *
+ * Client events: `execution:queued` { jobId, ahead } whenever the position
+ * changes, `execution:started` { jobId } when the job leaves the queue.
+ */
+class ExecutionQueue {
+    constructor() {
+        this.workers = parseInt(process.env.EXECUTION_WORKERS, 10) || os.cpus().length;
+        this.perUserLimit = parseInt(process.env.EXECUTION_PER_USER_LIMIT, 10) || 1;
+        this.pending = new Map(); // userId -> [job], oldest first (Map order = arrival order)
+        this.lastServed = new Map(); // userId -> sequence number of their last started job
+        this.running = new Map(); // jobId -> job
+        this.nextId = 1;
+        this.served = 0;
+    }
+
+    /**
+     * Queues a job. `run(socket)` starts it with a socket view that reports
+     * completion; the job counts as running until `completeEvent` is emitted.
+     * `cancel()` is called instead of `run` if the job is removed from the queue,
+     * and must emit the completion event itself.
+     */
+    submit({ socket, userId, completeEvent, run, cancel }) {
+        const job = { id: this.nextId++, socket, userId, completeEvent, run, cancel, lastAhead: null };
+
+        if (!this.pending.has(userId)) this.pending.set(userId, []);
+        this.pending.get(userId).push(job);
+
+        this.schedule();
+        return job.id;
+    }
+
+    // True while the socket has a job waiting or running
+    isBusy(socketId) {
+        for (const job of this.running.values()) {
+            if (job.socket.id === socketId) return true;
+        }
+        return this.findPending(socketId) !== null;
+    }
+
+    /**
+     * Removes the socket's queued job, if any. Running jobs are not affected;
+     * those are stopped through stopExecution().
+     */
+    cancel(socketId) {
+        const job = this.findPending(socketId);
+        if (!job) return false;
+
+        const jobs = this.pending.get(job.userId);
+        jobs.splice(jobs.indexOf(job), 1);
+        if (jobs.length === 0) this.pending.delete(job.userId);
+
+        console.log(`[ExecutionQueue] Job ${job.id} cancelled while queued`);
+        job.cancel();
+        this.broadcastPositions();
+        return true;
+    }
+
+    getStats() {
+        let queued = 0;
+        for (const jobs of this.pending.values()) queued += jobs.length;
+        return { workers: this.workers, perUserLimit: this.perUserLimit, running: this.running.size, queued };
+    }
+
+    findPending(socketId) {
+        for (const jobs of this.pending.values()) {
+            const job = jobs.find(j => j.socket.id === socketId);
+            if (job) return job;
+        }
+        return null;
+    }
+
+    // Users with waiting jobs, least recently served first
+    userRotation() {
+        return [...this.pending.keys()]
+            .sort((a, b) => (this.lastServed.get(a) || 0) - (this.lastServed.get(b) || 0));
+    }
+
+    runningCount(userId) {
+        let count = 0;
+        for (const job of this.running.values()) {
+            if (job.userId === userId) count++;
+        }
+        return count;
+    }
+
+    // Oldest job of the first user in the rotation who is under the per-user limit
+    takeNext() {
+        for (const userId of this.userRotation()) {
+            if (this.runningCount(userId) >= this.perUserLimit) continue;
+
+            const jobs = this.pending.get(userId);
+            const job = jobs.shift();
+            if (jobs.length === 0) this.pending.delete(userId);
+            this.lastServed.set(userId, ++this.served);
+            return job;
+        }
+        return null;
+    }
+
+    schedule() {
+        while (this.running.size < this.workers) {
+            const job = this.takeNext();
+            if (!job) break;
+            this.start(job);
+        }
+        this.broadcastPositions();
+    }
+
+    start(job) {
+        this.running.set(job.id, job);
+        job.socket.emit('execution:started', { jobId: job.id });
+
+        let finished = false;
+        const finish = () => {
+            if (finished) return;
+            finished = true;
+            this.running.delete(job.id);
+            if (!this.pending.has(job.userId) && this.runningCount(job.userId) === 0) {
+                this.lastServed.delete(job.userId);
+            }
+            this.schedule();
+        };
+
+        // Forwards everything to the real socket and frees the worker on completion
+        const tracked = new Proxy(job.socket, {
+            get(target, prop) {
+                if (prop === 'emit') {
+                    return (event, ...args) => {
+                        const result = target.emit(event, ...args);
+                        if (event === job.completeEvent) finish();
+                        return result;
+                    };
+                }
+                const value = Reflect.get(target, prop);
+                return typeof value === 'function' ? value.bind(target) : value;
+            }
+        });
+
+        Promise.resolve()
+            .then(() => job.run(tracked))
+            .catch(err => {
+                console.error(`[ExecutionQueue] Job ${job.id} failed:`, err);
+                finish();
+            });
+    }
+
+    /**
+     * Predicted start order: round-robin over users in rotation order, one
+     * job per user per round. Sends each waiting socket its position when it changed.
+     */
+    broadcastPositions() {
+        const queues = this.userRotation().map(userId => this.pending.get(userId));
+        const order = [];
+        for (let round = 0; order.length < queues.reduce((n, q) => n + q.length, 0); round++) {
+            for (const jobs of queues) {
+                if (jobs[round]) order.push(jobs[round]);
+            }
+        }
+
+        order.forEach((job, ahead) => {
+            if (job.lastAhead === ahead) return;
+            job.lastAhead = ahead;
+            job.socket.emit('execution:queued', { jobId: job.id, ahead });
+        });
+    }
+}
+
+export default new ExecutionQueue();
@@ -0,0 +1,133 @@
+import axios from 'axios';
+import { LANGUAGES } from '../config/languages.js';
+
+// Public instance by default. A self-hosted Piston container serves the same API
+// under /api/v2, e.g. PISTON_URL=http://piston:2000/api/v2
+const DEFAULT_PISTON_URL = 'https://emkc.org/api/v2/piston';
+
+function compareVersions(a, b) {
+    const pa = a.split('.').map(n => parseInt(n, 10) || 0);
+    const pb = b.split('.').map(n => parseInt(n, 10) || 0);
+    for (let i = 0; i < Math.max(pa.length, pb.length); i++) {
+        const diff = (pa[i] || 0) - (pb[i] || 0);
+        if (diff !== 0) return diff;
+    }
+    return 0;
+}
+
+class PistonService {
+    constructor() {
+        this.baseUrl = (process.env.PISTON_URL || DEFAULT_PISTON_URL).replace(/\/+$/, '');
+        this.discovered = false;
+        // language key -> { language, version, pinnedVersion, available }
+        this.runtimes = this.fromConfig();
+    }
+
+    get executeUrl() {
+        return `${this.baseUrl}/execute`;
+    }
+
+    // Interactive websocket endpoint (self-hosted Piston only)
+    get connectUrl() {
+        return `${this.baseUrl.replace(/^http/, 'ws')}/connect`;
+    }
+
+    // Pinned versions from languages.js, used until (or if) discovery succeeds
+    fromConfig() {
+        const fromPiston = (piston) => piston
+            ? { ...piston, pinnedVersion: piston.version, available: true }
+            : { language: null, version: null, pinnedVersion: null, available: false };
+
+        const runtimes = {};
+        for (const [key, config] of Object.entries(LANGUAGES)) {
+            runtimes[key] = { ...fromPiston(config.piston), versions: {} };
+            for (const [label, overrides] of Object.entries(config.versions || {})) {
+                runtimes[key].versions[label] = fromPiston(overrides.piston);
+            }
+        }
+        return runtimes;
+    }
+
+    /**
+     * Asks the Piston instance which runtimes are installed and validates the
+     * pinned versions against them. A pinned version that is not installed is
+     * replaced by the newest installed one; the extra `versions` of a language
+     * are not replaced, a course that pins one must get exactly that one.
+     * Never throws: if the instance is unreachable the pinned config is kept.
+     */
+    async init() {
+        console.log(`[PistonService] Discovering runtimes at ${this.baseUrl}...`);
+
+        let installed;
+        try {
+            const response = await axios.get(`${this.baseUrl}/runtimes`, { timeout: 10000 });
+            installed = response.data;
+        } catch (err) {
+            console.warn(`[PistonService] Runtime discovery failed (${err.message}). Using pinned versions.`);
+            return;
+        }
+
+        const runtimes = {};
+        for (const [key, config] of Object.entries(LANGUAGES)) {
+            runtimes[key] = { ...this.match(installed, key, config.piston, true), versions: {} };
+            for (const [label, overrides] of Object.entries(config.versions || {})) {
+                runtimes[key].versions[label] = this.match(installed, `${key} ${label}`, overrides.piston, false);
+            }
+        }
+
+        this.runtimes = runtimes;
+        this.discovered = true;
+        const available = Object.values(runtimes).filter(r => r.available).length;
+        console.log(`[PistonService] ${available} languages available remotely`);
+    }
+
+    // Picks the installed runtime for one pinned { language, version }.
+    // "3.8" matches 3.8.x; without a match `fallback` takes the newest one.
+    match(installed, label, piston, fallback) {
+        if (!piston) {
+            return { language: null, version: null, pinnedVersion: null, available: false };
+        }
+
+        const { language, version: pinnedVersion } = piston;
+        const candidates = installed
+            .filter(r => r.language === language || (r.aliases || []).includes(language))
+            .sort((a, b) => compareVersions(b.version, a.version));
+
+        if (candidates.length === 0) {
+            console.warn(`[PistonService] ${label}: no '${language}' runtime installed`);
+            return { language, version: null, pinnedVersion, available: false };
+        }
+
+        const pinned = candidates.find(r => r.version === pinnedVersion || r.version.startsWith(`${pinnedVersion}.`));
+        if (!pinned && !fallback) {
+            console.warn(`[PistonService] ${label}: ${language} ${pinnedVersion} not installed`);
+            return { language, version: null, pinnedVersion, available: false };
+        }
+
+        const selected = pinned || candidates[0];
+        if (!pinned) {
+            console.warn(`[PistonService] ${label}: ${language} ${pinnedVersion} not installed, using ${selected.version}`);
+        }
+        return { language: selected.language, version: selected.version, pinnedVersion, available: true };
+    }
+
+    // Returns { language, version } for the request payload, or null if unavailable.
+    // `version` is a label from the language's `versions` (null = the default).
+    resolve(languageKey, version = null) {
+        const base = this.runtimes[languageKey];
+        const runtime = version && version !== LANGUAGES[languageKey]?.defaultVersion
+            ? base?.versions?.[version]
+            : base;
+        if (!runtime || !runtime.available) return null;
+        return { language: runtime.language, version: runtime.version };
+    }
+
+    getRuntimes() {
+        return {
+            discovered: this.discovered,
+            languages: this.runtimes
+        };
+    }
+}
+
+export default new PistonService();
@@ -0,0 +1,91 @@
+import fs from 'fs';
+import path from 'path';
+import { LANGUAGES } from '../config/languages.js';
+import { getToolchainVersion } from '../execution/buildCache.js';
+
+// Executables a language needs on this machine: the compiler and the runner.
+// Commands starting with a placeholder run a build artifact, not a tool.
+function requiredBinaries(config) {
+    const binaries = [config.compileCommand, config.localCommand || config.command]
+        .filter(Boolean)
+        .map(command => command[0].split(/\s+/)[0])
+        .filter(bin => bin && !bin.startsWith('{'));
+    return [...new Set(binaries)];
+}
+
+function isExecutable(file) {
+    try {
+        fs.accessSync(file, fs.constants.X_OK);
+        return fs.statSync(file).isFile();
+    } catch (err) {
+        return false;
+    }
+}
+
+// Looks the binary up on PATH the way the shell would, without running it
+function findOnPath(bin) {
+    if (bin.includes('/') || bin.includes(path.sep)) return isExecutable(bin);
+
+    const extensions = process.platform === 'win32'
+        ? ['', ...(process.env.PATHEXT || '.EXE;.CMD;.BAT').split(';')]
+        : [''];
+    const dirs = (process.env.PATH || '').split(path.delimiter).filter(Boolean);
+    return dirs.some(dir => extensions.some(ext => isExecutable(path.join(dir, bin + ext))));
+}
+
+class ToolchainService {
+    constructor() {
+        this.probed = false;
+        // language key -> { available, version, missing, versions: { label -> same } }
+        this.toolchains = {};
+    }
+
+    /**
+     * Checks which compilers/interpreters the local engine can use. Never
+     * throws; until it has run every language counts as available so routing
+     * behaves as before.
+     */
+    async init() {
+        console.log('[ToolchainService] Probing local toolchains...');
+
+        const probe = async (key, config) => {
+            const missing = requiredBinaries(config).filter(bin => !findOnPath(bin));
+            if (missing.length > 0) {
+                return { available: false, version: null, missing };
+            }
+            const version = await getToolchainVersion(key, config.versionCommand);
+            return { available: true, version: version === 'unknown' ? null : version, missing: [] };
+        };
+
+        const entries = await Promise.all(Object.entries(LANGUAGES).map(async ([key, config]) => {
+            const versions = {};
+            for (const [label, overrides] of Object.entries(config.versions || {})) {
+                versions[label] = await probe(key, { ...config, ...overrides });
+            }
+            return [key, { ...await probe(key, config), versions }];
+        }));
+
+        this.toolchains = Object.fromEntries(entries);
+        this.probed = true;
+
+        const available = entries.filter(([, t]) => t.available).map(([key]) => key);
+        console.log(`[ToolchainService] ${available.length} languages available locally: ${available.join(', ') || 'none'}`);
+    }
+
+    // `version` is a label from the language's `versions` (null = the default)
+    isAvailable(languageKey, version = null) {
+        if (!this.probed) return Boolean(LANGUAGES[languageKey]);
+        return Boolean(this.get(languageKey, version)?.available);
+    }
+
+    // { available, version, missing } or null if not probed (yet)
+    get(languageKey, version = null) {
+        const toolchain = this.toolchains[languageKey];
+        if (version && version !== LANGUAGES[languageKey]?.defaultVersion) {
+            return toolchain?.versions?.[version] || null;
+        }
+        return toolchain || null;
+    }
+}
+
+export default new ToolchainService();
@@ -2,6 +2,7 @@ import { spawn } from 'child_process';
 import path from 'path';
 import fs from 'fs';
 import os from 'os';
+import { killProcessTree } from './helpers.js';
 
 class TerminalManager {
     constructor() {
@@ -75,21 +76,6 @@ class TerminalManager {
 
         if (!trimmedCmd) return;
 
-<<<<<<< HEAD
-        // --- Aliases for Windows CMD ---
-        const aliases = {
-            'ls': 'dir',
-            'dir': 'dir',
-            'll': 'dir',
-            'cat': 'type',
-            'rm': 'del',
-            'clear': 'cls'
-        };
-        const parts = trimmedCmd.split(' ');
-        if (aliases[parts[0]]) {
-            parts[0] = aliases[parts[0]];
-            trimmedCmd = parts.join(' ');
-=======
         // --- Aliases ---
         if (process.platform === 'win32') {
             const aliases = {
@@ -106,7 +92,6 @@ class TerminalManager {
                 parts[0] = aliases[parts[0]];
                 trimmedCmd = parts.join(' ');
             }
->>>>>>> f56aa7769833d7fe590f81c8942a0290a924f91c
         }
 
         // --- Handle 'cd' internally ---
@@ -158,7 +143,8 @@ class TerminalManager {
             const proc = spawn(trimmedCmd, [], {
                 cwd: session.cwd,
                 shell: true,
-                stdio: ['pipe', 'pipe', 'pipe']
+                stdio: ['pipe', 'pipe', 'pipe'],
+                detached: process.platform !== 'win32' // Own process group so stop() reaches children
             });
 
             session.process = proc; // Track active process for kill/stdin
@@ -210,11 +196,21 @@ class TerminalManager {
         // Not applicable for spawn, but kept for API compatibility
     }
 
+    // Kill the running command (and its children) but keep the session
+    stop(socketId) {
+        const session = this.sessions[socketId];
+        if (session && session.process) {
+            killProcessTree(session.process);
+            return true;
+        }
+        return false;
+    }
+
     kill(socketId) {
         const session = this.sessions[socketId];
         if (session) {
             if (session.process) {
-                session.process.kill();
+                killProcessTree(session.process);
             }
             delete this.sessions[socketId];
         }
@@ -1,6 +1,17 @@
+import { checkSandboxAvailable, listSandboxes, removeSandboxes } from '../execution/sandbox.js';
+
+/**
+ * Removes sandbox containers left behind by a previous backend process
+ * (crash or restart mid-run). Call before accepting connections: every
+ * labelled container is an orphan at that point.
+ */
 export async function cleanupOrphanedContainers() {
-    // Docker logic removed as we reverted to Piston API.
-    // This function is kept as a stub to prevent import errors if still referenced.
-    // In a high-traffic Piston setup, we might add Piston-specific cleanup here if needed.
-    return;
+    const { available } = await checkSandboxAvailable();
+    if (!available) return;
+
+    const orphans = await listSandboxes();
+    if (orphans.length === 0) return;
+
+    await removeSandboxes(orphans);
+    console.log(`[Cleanup] 🧹 Removed ${orphans.length} orphaned sandbox container(s)`);
 }
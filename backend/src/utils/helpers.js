@@ -12,3 +12,27 @@ export function generateContainerName(socketId) {
     const random = crypto.randomBytes(4).toString('hex');
     return `teachgrid_` + socketId.substring(0, 8) + `_` + timestamp + `_` + random;
 }
+
+/**
+ * Kills a spawned process together with everything it started.
+ * node-pty (and spawn with detached: true) makes the child a process group
+ * leader on POSIX, so signalling -pid reaches compilers, shells and the program.
+ */
+export function killProcessTree(proc, signal = 'SIGKILL') {
+    if (!proc || !proc.pid) return;
+
+    if (process.platform !== 'win32') {
+        try {
+            process.kill(-proc.pid, signal);
+            return;
+        } catch (err) {
+            // Group already gone or not a group leader - fall back to the single process
+        }
+    }
+
+    try {
+        proc.kill(process.platform === 'win32' ? undefined : signal);
+    } catch (err) {
+        // Process already exited
+    }
+}
@@ -0,0 +1,59 @@
+/**
+ * Helpers shared by the package managers that install a run's dependencies
+ * into the workspace (pythonPkgManager.js, nodePkgManager.js).
+ */
+
+import { spawn } from 'child_process';
+
+// key -> Promise of the install in progress
+const pending = new Map();
+
+/**
+ * Runs `task()` once every earlier task with the same key has settled, so
+ * runs of one workspace never install into the same place at the same time.
+ */
+export async function runExclusive(key, task) {
+    const previous = pending.get(key) || Promise.resolve();
+    const current = previous.catch(() => {}).then(task);
+    pending.set(key, current);
+    try {
+        return await current;
+    } finally {
+        if (pending.get(key) === current) pending.delete(key);
+    }
+}
+
+/**
+ * Runs a command, passing its stdout and stderr to `onOutput` as they
+ * arrive. Rejects on a non-zero exit with the last line of output; `label`
+ * names the command in the error. `signal` kills it (execute:stop).
+ */
+export function runStreamed(label, cmd, args, { onOutput, signal, cwd, shell = false }) {
+    return new Promise((resolve, reject) => {
+        const proc = spawn(cmd, args, { stdio: ['ignore', 'pipe', 'pipe'], signal, cwd, shell });
+        let tail = '';
+        const forward = (data) => {
+            const text = data.toString();
+            tail = (tail + text).slice(-2000);
+            onOutput(text);
+        };
+        proc.stdout.on('data', forward);
+        proc.stderr.on('data', forward);
+
+        proc.on('error', (err) => {
+            if (err.name === 'AbortError') {
+                reject(new Error('Cancelled'));
+            } else {
+                reject(new Error(err.code === 'ENOENT' ? `${cmd} was not found` : `Failed to start ${cmd}: ${err.message}`));
+            }
+        });
+        proc.on('close', (code) => {
+            if (code === 0) {
+                resolve();
+            } else {
+                const lastLine = tail.trim().split('\n').pop();
+                reject(new Error(`${label} failed with code ${code}${lastLine ? `: ${lastLine}` : ''}`));
+            }
+        });
+    });
+}
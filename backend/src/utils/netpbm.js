@@ -0,0 +1,82 @@
+/**
+ * Netpbm (PBM/PGM/PPM, P1-P6) to PNG, so images written by C/C++/Java
+ * programs without an image library can be shown by the browser.
+ */
+
+import { encodePng } from './png.js';
+
+/**
+ * Decodes a Netpbm file into a PNG, or throws for anything that is not one.
+ * `maxPixels` guards against headers that promise huge images.
+ */
+export function netpbmToPng(buffer, maxPixels = 4096 * 4096) {
+    let pos = 0;
+    const nextToken = () => {
+        // Whitespace and # comments may appear between any header fields
+        for (;;) {
+            while (pos < buffer.length && /\s/.test(String.fromCharCode(buffer[pos]))) pos++;
+            if (buffer[pos] !== 0x23) break;
+            while (pos < buffer.length && buffer[pos] !== 0x0a) pos++;
+        }
+        const start = pos;
+        while (pos < buffer.length && !/\s/.test(String.fromCharCode(buffer[pos]))) pos++;
+        return buffer.toString('ascii', start, pos);
+    };
+    const nextNumber = () => {
+        const token = nextToken();
+        if (!/^\d+$/.test(token)) throw new Error('Not a Netpbm image');
+        return Number(token);
+    };
+
+    const magic = nextToken();
+    if (!/^P[1-6]$/.test(magic)) throw new Error('Not a Netpbm image');
+    const format = Number(magic[1]);
+    const bitmap = format === 1 || format === 4;
+    const channels = format === 3 || format === 6 ? 3 : 1;
+
+    const width = nextNumber();
+    const height = nextNumber();
+    const maxValue = bitmap ? 1 : nextNumber();
+    if (!width || !height || width * height > maxPixels) throw new Error(`Unsupported image size ${width}x${height}`);
+    if (maxValue < 1 || maxValue > 65535) throw new Error(`Unsupported maximum value ${maxValue}`);
+
+    // Raw formats: a single whitespace character separates the header from the pixels
+    pos++;
+    const samples = width * height * channels;
+    const values = new Uint16Array(samples);
+    if (format <= 3) {
+        for (let i = 0; i < samples; i++) {
+            // P1 digits need not be separated
+            if (format === 1) {
+                while (pos < buffer.length && buffer[pos] !== 0x30 && buffer[pos] !== 0x31) pos++;
+                values[i] = buffer[pos++] === 0x31 ? 1 : 0;
+            } else {
+                values[i] = nextNumber();
+            }
+        }
+    } else if (format === 4) {
+        const rowBytes = Math.ceil(width / 8);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const byte = buffer[pos + y * rowBytes + (x >> 3)] ?? 0;
+                values[y * width + x] = (byte >> (7 - (x & 7))) & 1;
+            }
+        }
+    } else {
+        const wide = maxValue > 255;
+        if (buffer.length < pos + samples * (wide ? 2 : 1)) throw new Error('Truncated Netpbm image');
+        for (let i = 0; i < samples; i++) {
+            values[i] = wide ? buffer.readUInt16BE(pos + i * 2) : buffer[pos + i];
+        }
+    }
+
+    const rgb = Buffer.alloc(width * height * 3);
+    for (let p = 0; p < width * height; p++) {
+        for (let c = 0; c < 3; c++) {
+            const value = values[p * channels + (channels === 3 ? c : 0)];
+            // In PBM files 1 is black
+            rgb[p * 3 + c] = bitmap ? (value ? 0 : 255) : Math.round((Math.min(value, maxValue) / maxValue) * 255);
+        }
+    }
+    return encodePng(width, height, rgb);
+}
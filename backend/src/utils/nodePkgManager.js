@@ -0,0 +1,91 @@
+/**
+ * npm packages for JavaScript runs, installed into the project's own
+ * node_modules: Node finds them there for require() and import alike, and
+ * they stay for later runs.
+ *
+ * With a package.json in the project root its dependencies are installed
+ * (`npm install`, honouring package-lock.json) and again whenever either
+ * file changes; only without one are the detected packages installed.
+ * npm's output is streamed to the run's terminal. Install scripts are never
+ * run, so packages that build native code on install do not work.
+ */
+
+import { createHash } from 'crypto';
+import path from 'path';
+import { promises as fs } from 'fs';
+import { runExclusive, runStreamed } from './installProcess.js';
+
+// Inside node_modules, so it goes away with the packages it describes
+const MANIFEST_FILE = '.teachgrid-packages.json';
+// npm package names, optionally scoped; anything else never reaches npm
+const PACKAGE_NAME = /^(@[a-z0-9-~][a-z0-9-._~]*\/)?[a-z0-9-~][a-z0-9-._~]*$/;
+
+async function readManifest(manifestPath) {
+    try {
+        return JSON.parse(await fs.readFile(manifestPath, 'utf-8'));
+    } catch (err) {
+        return { packageJson: null, packages: [] };
+    }
+}
+
+async function installPackages(projectDir, { detectedPackages, onOutput, signal }) {
+    const manifestPath = path.join(projectDir, 'node_modules', MANIFEST_FILE);
+    const manifest = await readManifest(manifestPath);
+
+    // npm runs on the host even for sandboxed runs, so the packages' install
+    // scripts (and the project's own) never run. npm.cmd can only be started through a shell
+    const npm = (args) => runStreamed('npm install', process.platform === 'win32' ? 'npm.cmd' : 'npm', [
+        'install', '--prefix', projectDir, '--ignore-scripts', '--no-audit', '--no-fund', ...args
+    ], { onOutput, signal, cwd: projectDir, shell: process.platform === 'win32' });
+
+    const readProjectFile = (name) => fs.readFile(path.join(projectDir, name), 'utf-8').catch(() => null);
+    const hashProjectFiles = async () => createHash('sha256')
+        .update(`${await readProjectFile('package.json')}\0${await readProjectFile('package-lock.json')}`)
+        .digest('hex');
+
+    if (await readProjectFile('package.json') !== null) {
+        if (manifest.packageJson === await hashProjectFiles()) return;
+        onOutput('📦 Installing the dependencies of package.json...\n');
+        // An existing lockfile is honoured; none is created in the user's project
+        const hasLock = await readProjectFile('package-lock.json') !== null;
+        await npm(hasLock ? [] : ['--no-package-lock']);
+        // Hashed after the install, which may have updated the lockfile
+        manifest.packageJson = await hashProjectFiles();
+        manifest.packages = [];
+    } else {
+        const newPackages = [...new Set(detectedPackages)]
+            .filter(p => PACKAGE_NAME.test(p) && !manifest.packages.includes(p));
+        if (newPackages.length === 0) return;
+        onOutput(`📦 Installing ${newPackages.join(', ')}...\n`);
+        // Without a package.json npm removes whatever the command line does
+        // not name, so the packages of earlier runs are named again
+        manifest.packages = [...manifest.packages, ...newPackages];
+        await npm(['--no-save', '--no-package-lock', '--legacy-peer-deps', ...manifest.packages]);
+        manifest.packageJson = null;
+    }
+    // A package.json without dependencies leaves no node_modules behind
+    await fs.mkdir(path.dirname(manifestPath), { recursive: true });
+    await fs.writeFile(manifestPath, JSON.stringify(manifest, null, 2));
+}
+
+/**
+ * Whether the project's package.json has "type": "module", so Node loads
+ * its .js files as ES modules.
+ */
+export async function isModuleProject(projectDir) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(projectDir, 'package.json'), 'utf-8')).type === 'module';
+    } catch (err) {
+        return false;
+    }
+}
+
+/**
+ * Makes sure the packages the project needs are in `projectDir`/node_modules.
+ * `detectedPackages` are installed only when there is no package.json.
+ * `onOutput(text)` receives progress and npm's output; `signal` aborts npm.
+ * Throws when an install fails.
+ */
+export function ensureNodePackages({ projectDir, detectedPackages = [], onOutput = () => {}, signal }) {
+    return runExclusive(path.resolve(projectDir), () => installPackages(projectDir, { detectedPackages, onOutput, signal }));
+}
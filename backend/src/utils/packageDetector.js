@@ -3,12 +3,10 @@
  * Filters out built-in Node.js modules
  */
 
-const BUILTIN_MODULES = new Set([
-    'assert', 'buffer', 'child_process', 'cluster', 'crypto', 'dgram', 'dns',
-    'domain', 'events', 'fs', 'http', 'https', 'net', 'os', 'path', 'punycode',
-    'querystring', 'readline', 'stream', 'string_decoder', 'timers', 'tls',
-    'tty', 'url', 'util', 'v8', 'vm', 'zlib', 'process', 'console'
-]);
+import path from 'path';
+import { promises as fs } from 'fs';
+import { isBuiltin } from 'module';
+import { distributionForModule } from '../config/pythonPackages.js';
 
 // python built-ins
 const PYTHON_BUILTINS = new Set([
@@ -39,7 +37,8 @@ const PYTHON_BUILTINS = new Set([
     'tokenize', 'trace', 'traceback', 'tracemalloc', 'tty', 'turtle', 'turtledemo',
     'types', 'typing', 'unicodedata', 'unittest', 'urllib', 'uu', 'uuid', 'venv',
     'warnings', 'wave', 'weakref', 'webbrowser', 'winreg', 'winsound', 'wsgiref',
-    'xdrlib', 'xml', 'xmlrpc', 'zipapp', 'zipfile', 'zipimport', 'zlib', 'zoneinfo'
+    'xdrlib', 'xml', 'xmlrpc', 'zipapp', 'zipfile', 'zipimport', 'zlib', 'zoneinfo',
+    '__future__', 'this', 'tomllib'
 ]);
 
 // Java built-ins
@@ -47,13 +46,17 @@ const JAVA_BUILTINS = new Set([
     'java', 'javax', 'sun', 'jdk', 'org.w3c', 'org.xml'
 ]);
 
-export function detectPackages(code, language = 'javascript') {
+/**
+ * Packages to install for `code`. For Python these are PyPI distribution
+ * names; `localModules` (see findLocalPythonModules) are left out.
+ */
+export function detectPackages(code, language = 'javascript', { localModules = new Set() } = {}) {
     const packages = new Set();
 
     if (language === 'javascript') {
         detectNodePackages(code, packages);
     } else if (language === 'python') {
-        detectPythonPackages(code, packages);
+        detectPythonPackages(code, packages, localModules);
     } else if (language === 'java') {
         detectJavaPackages(code, packages);
     }
@@ -62,30 +65,37 @@ export function detectPackages(code, language = 'javascript') {
 }
 
 function detectNodePackages(code, packages) {
-    // ... existing javascript detection ...
-    // Match require('package') and require("package")
-    const requireRegex = /require\s*\(\s*['"]([^'"]+)['"]\s*\)/g;
-    let match;
-
-    while ((match = requireRegex.exec(code)) !== null) {
-        const moduleName = match[1];
-
-        // Skip relative/absolute paths
-        if (moduleName.startsWith('.') || moduleName.startsWith('/')) {
-            continue;
-        }
-
-        // Skip built-in modules
-        if (BUILTIN_MODULES.has(moduleName)) {
-            continue;
+    // require('package'), dynamic import('package'), and ES module
+    // import ... from 'package' / import 'package' / export ... from 'package',
+    // whose bindings may span several lines
+    const patterns = [
+        /\brequire\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+        /\bimport\s*\(\s*['"]([^'"]+)['"]\s*\)/g,
+        /(?:^|[\s;])(?:import|export)\s+(?:[\w$*{}\s,]+?\s+from\s+)?['"]([^'"]+)['"]/g
+    ];
+
+    for (const regex of patterns) {
+        let match;
+        while ((match = regex.exec(code)) !== null) {
+            const moduleName = match[1];
+
+            // Skip relative/absolute paths and URLs
+            if (moduleName.startsWith('.') || moduleName.startsWith('/') || (/^[a-z]+:/.test(moduleName) && !moduleName.startsWith('node:'))) {
+                continue;
+            }
+
+            // Skip built-in modules (fs, node:fs, fs/promises, ...)
+            if (isBuiltin(moduleName)) {
+                continue;
+            }
+
+            // Handle scoped packages (@org/package) and sub-paths (package/subpath)
+            const packageName = moduleName.startsWith('@')
+                ? moduleName.split('/').slice(0, 2).join('/')
+                : moduleName.split('/')[0];
+
+            packages.add(packageName);
         }
-
-        // Handle scoped packages (@org/package) and sub-paths (package/subpath)
-        const packageName = moduleName.startsWith('@')
-            ? moduleName.split('/').slice(0, 2).join('/')
-            : moduleName.split('/')[0];
-
-        packages.add(packageName);
     }
 }
 
@@ -112,28 +122,66 @@ function detectJavaPackages(code, packages) {
     }
 }
 
-function detectPythonPackages(code, packages) {
-    // 1. import x
-    // 2. from x import y
-    // 3. import x.y
+function detectPythonPackages(code, packages, localModules) {
+    // 1. import x, y as z
+    // 2. from x.y import (a,
+    //        b)
+    // 3. either of them indented (inside functions, try blocks, ...)
 
-    // Regular expressions for Python imports
-    const importRegex = /^import\s+([a-zA-Z0-9_]+)/gm;
-    const fromImportRegex = /^from\s+([a-zA-Z0-9_]+)/gm;
+    // Docstrings may contain example code; backslash continuations join lines
+    const source = code
+        .replace(/("""|''')[\s\S]*?\1/g, '')
+        .replace(/\\\r?\n/g, ' ');
 
+    const importRegex = /^[ \t]*import[ \t]+([^#;\n]+)/gm;
+    const fromImportRegex = /^[ \t]*from[ \t]+([\w.]+)[ \t]+import\b/gm;
+
+    const modules = [];
     let match;
 
-    while ((match = importRegex.exec(code)) !== null) {
-        const pkg = match[1];
-        if (!PYTHON_BUILTINS.has(pkg)) {
-            packages.add(pkg);
+    while ((match = importRegex.exec(source)) !== null) {
+        for (const name of match[1].split(',')) {
+            modules.push(name.trim().split(/\s+as\s+/)[0]);
+        }
+    }
+
+    while ((match = fromImportRegex.exec(source)) !== null) {
+        // Relative imports (from . import x) are always the project's own
+        if (!match[1].startsWith('.')) modules.push(match[1]);
+    }
+
+    for (const modulePath of modules) {
+        const topLevel = modulePath.split('.')[0];
+        if (!/^[A-Za-z_]\w*$/.test(topLevel) || PYTHON_BUILTINS.has(topLevel) || localModules.has(topLevel)) {
+            continue;
         }
+        const distribution = distributionForModule(modulePath);
+        if (distribution) packages.add(distribution);
     }
+}
 
-    while ((match = fromImportRegex.exec(code)) !== null) {
-        const pkg = match[1];
-        if (!PYTHON_BUILTINS.has(pkg)) {
-            packages.add(pkg);
+const PYTHON_MODULE_FILE = /\.(py|pyc|so|pyd)$/;
+
+/**
+ * Names a Python program can import from the workspace rather than PyPI:
+ * modules and packages directly inside `dirs` (the folders on sys.path, i.e.
+ * the entry file's). A folder counts when it holds Python files, with or
+ * without __init__.py (namespace packages), so a data folder named like a
+ * package does not stop its installation.
+ */
+export async function findLocalPythonModules(dirs) {
+    const modules = new Set();
+    for (const dir of dirs) {
+        const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+        for (const entry of entries) {
+            if (entry.isDirectory()) {
+                const children = await fs.readdir(path.join(dir, entry.name)).catch(() => []);
+                if (children.some(name => PYTHON_MODULE_FILE.test(name))) modules.add(entry.name);
+            } else if (PYTHON_MODULE_FILE.test(entry.name)) {
+                // Extension modules are named like mod.cpython-311-x86_64-linux-gnu.so
+                modules.add(entry.name.split('.')[0]);
+            }
         }
     }
+    return modules;
 }
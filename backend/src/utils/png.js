@@ -0,0 +1,54 @@
+/**
+ * Minimal PNG encoder (RGB, no scanline filters, one IDAT chunk) for images the
+ * backend generates: converted Netpbm files and virtual display frames.
+ */
+
+import zlib from 'zlib';
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+});
+
+function crc32(buffer) {
+    let crc = 0xffffffff;
+    for (const byte of buffer) crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+function pngChunk(type, data) {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    const body = Buffer.concat([Buffer.from(type, 'ascii'), data]);
+    const crc = Buffer.alloc(4);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+}
+
+/**
+ * 8-bit RGB pixels, row by row, as a PNG file. `level` is the zlib
+ * compression level: virtual display frames trade size for speed.
+ */
+export function encodePng(width, height, rgb, { level = zlib.constants.Z_DEFAULT_COMPRESSION } = {}) {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8; // bit depth
+    header[9] = 2; // colour type: RGB
+
+    // Every scanline starts with its filter type (0 = none)
+    const raw = Buffer.alloc(height * (width * 3 + 1));
+    for (let y = 0; y < height; y++) {
+        rgb.copy(raw, y * (width * 3 + 1) + 1, y * width * 3, (y + 1) * width * 3);
+    }
+
+    return Buffer.concat([
+        PNG_SIGNATURE,
+        pngChunk('IHDR', header),
+        pngChunk('IDAT', zlib.deflateSync(raw, { level })),
+        pngChunk('IEND', Buffer.alloc(0))
+    ]);
+}
@@ -1,115 +1,105 @@
 /**
- * Manages Python package installations for user code execution.
- * Installs packages to a persistent 'user_libs' directory.
+ * Per-workspace Python virtual environments for user code execution.
+ *
+ * Every workspace gets its own venv under .teachgrid/venvs/<interpreter>
+ * (one per Python version), so users never share or overwrite each other's
+ * packages. A requirements.txt in the project root is installed as written,
+ * pinned versions included; only without one are the detected imports
+ * installed. pip's output is streamed to the run's terminal.
+ *
+ * A manifest inside the venv records what has been installed, so unchanged
+ * requirements and known packages cost nothing on later runs.
  */
 
-import { spawn } from 'child_process';
+import { createHash } from 'crypto';
 import path from 'path';
 import { promises as fs } from 'fs';
-import os from 'os';
+import { runExclusive, runStreamed } from './installProcess.js';
 
-// Persistent directory for user python libraries
-// In production, this should probably be configurable or outside the source tree
-const USER_LIB_DIR = path.join(process.cwd(), 'user_libs', 'python');
-const MANIFEST_FILE = path.join(USER_LIB_DIR, 'installed_packages.json');
+const VENVS_DIR = path.join('.teachgrid', 'venvs');
+// Written once the venv is complete; a venv without one is recreated
+const MANIFEST_FILE = 'teachgrid-manifest.json';
+const REQUIREMENTS_FILE = 'requirements.txt';
+const BIN_DIR = process.platform === 'win32' ? 'Scripts' : 'bin';
 
-export async function ensurePythonPackages(packages) {
-    if (!packages || packages.length === 0) {
-        return { libPath: USER_LIB_DIR, newlyInstalled: false };
-    }
-
-    // Ensure lib directory exists
-    await fs.mkdir(USER_LIB_DIR, { recursive: true });
-
-    // Filter out packages that definitely shouldn't be installed via pip
-    const validPackages = packages.filter(p => !p.startsWith('_'));
-
-    if (validPackages.length === 0) {
-        return { libPath: USER_LIB_DIR, newlyInstalled: false };
-    }
-
-    // --- MANIFEST CHECK ---
-    let installedPackages = [];
+async function readManifest(venvDir) {
     try {
-        const manifestContent = await fs.readFile(MANIFEST_FILE, 'utf-8');
-        installedPackages = JSON.parse(manifestContent);
+        return JSON.parse(await fs.readFile(path.join(venvDir, MANIFEST_FILE), 'utf-8'));
     } catch (err) {
-        // Manifest doesn't exist or is invalid, assume empty
-        installedPackages = [];
+        return null;
     }
+}
+
+function writeManifest(venvDir, manifest) {
+    return fs.writeFile(path.join(venvDir, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+}
 
-    // Find packages that are NOT in the manifest
-    const newPackages = validPackages.filter(p => !installedPackages.includes(p));
+async function createEnvironment(venvDir, interpreter, { onOutput, signal }) {
+    const manifest = await readManifest(venvDir);
+    if (manifest) return manifest;
+
+    // Left over from a creation that was interrupted
+    await fs.rm(venvDir, { recursive: true, force: true });
+    onOutput(`📦 Creating a Python environment for this workspace (${interpreter} -m venv)...\n`);
+    await runStreamed(`${interpreter} -m venv`, interpreter, ['-m', 'venv', venvDir], { onOutput, signal });
+    const created = { requirements: null, packages: [] };
+    await writeManifest(venvDir, created);
+    return created;
+}
 
-    if (newPackages.length === 0) {
-        // All good, skip installation
-        return { libPath: USER_LIB_DIR, newlyInstalled: false };
+async function installPackages(venvDir, manifest, { projectDir, detectedPackages, toolPackages, onOutput, signal }) {
+    const venvPython = path.join(venvDir, BIN_DIR, process.platform === 'win32' ? 'python.exe' : 'python');
+    const pip = (args) => runStreamed('pip install', venvPython, [
+        '-m', 'pip', 'install', '--disable-pip-version-check', '--no-input', '--progress-bar', 'off', ...args
+    ], { onOutput, signal });
+
+    const requirementsPath = path.join(projectDir, REQUIREMENTS_FILE);
+    const requirements = await fs.readFile(requirementsPath, 'utf-8').catch(() => null);
+    if (requirements !== null) {
+        const hash = createHash('sha256').update(requirements).digest('hex');
+        if (manifest.requirements !== hash) {
+            onOutput(`📦 Installing ${REQUIREMENTS_FILE}...\n`);
+            await pip(['-r', requirementsPath]);
+            manifest.requirements = hash;
+            await writeManifest(venvDir, manifest);
+        }
     }
 
-    console.log(`[PythonPkgManager] Installing new packages: ${newPackages.join(', ')}`);
+    // With a requirements.txt the imports are the user's business; tools
+    // such as debugpy are needed either way
+    const wanted = [...(requirements === null ? detectedPackages : []), ...toolPackages]
+        .filter(p => !p.startsWith('_'));
+    const newPackages = [...new Set(wanted)].filter(p => !manifest.packages.includes(p));
+    if (newPackages.length > 0) {
+        onOutput(`📦 Installing ${newPackages.join(', ')}...\n`);
+        await pip(newPackages);
+        manifest.packages = [...manifest.packages, ...newPackages];
+        await writeManifest(venvDir, manifest);
+    }
+}
 
+async function setupEnvironment(venvDir, { interpreter, ...options }) {
+    const manifest = await createEnvironment(venvDir, interpreter, options);
+    let error = null;
     try {
-        // Install ONLY the new packages
-        await installPackagesRefined(newPackages);
-
-        // Update Manifest
-        const updatedList = [...new Set([...installedPackages, ...newPackages])];
-        await fs.writeFile(MANIFEST_FILE, JSON.stringify(updatedList, null, 2));
-
-        return { libPath: USER_LIB_DIR, newlyInstalled: true };
-    } catch (error) {
-        console.error(`[PythonPkgManager] Installation failed: ${error.message}`);
-        throw error; // Let executor handle the error
+        await installPackages(venvDir, manifest, options);
+    } catch (err) {
+        error = err;
     }
+    return { venvDir, binDir: path.join(venvDir, BIN_DIR), error };
 }
 
-function installPackagesRefined(packages) {
-    return new Promise((resolve, reject) => {
-        // Construct pip command
-        // pip install --target <USER_LIB_DIR> package1 package2 ...
-        const pythonCmd = process.platform === 'win32' ? 'python' : 'python3';
-
-        // Use --target to install to our custom directory
-        // Use --upgrade to ensure we satisfy requirements (optional, maybe remove for speed)
-        // Use --no-user to avoid user-scheme warnings
-        const args = [
-            '-m', 'pip', 'install',
-            '--target', USER_LIB_DIR,
-            ...packages
-        ];
-
-        console.log(`[PythonPkgManager] Running: ${pythonCmd} ${args.join(' ')}`);
-
-        const proc = spawn(pythonCmd, args, {
-            stdio: ['ignore', 'pipe', 'pipe'], // Capture output
-            shell: true
-        });
-
-        let output = '';
-        let errorOutput = '';
-
-        proc.stdout.on('data', (data) => {
-            output += data.toString();
-        });
-
-        proc.stderr.on('data', (data) => {
-            errorOutput += data.toString();
-        });
-
-        proc.on('close', (code) => {
-            if (code === 0) {
-                console.log(`[PythonPkgManager] Installed successfully.`);
-                resolve(output);
-            } else {
-                // Pip often writes to stderr even for warnings, so check code strictly
-                console.error(`[PythonPkgManager] pip failed with code ${code}`);
-                console.error(`stderr: ${errorOutput}`);
-                reject(new Error(`pip install failed: ${errorOutput || output}`));
-            }
-        });
+/**
+ * Creates or updates the workspace's venv for `interpreter` (e.g. python3.8)
+ * and returns { venvDir, binDir, error }; putting `binDir` first on PATH
+ * makes the language's commands use it. `detectedPackages` are installed
+ * only when `projectDir` has no requirements.txt, `toolPackages` always.
+ * `onOutput(text)` receives progress and pip's output; `signal` aborts pip.
+ * Throws when the venv cannot be created; a failed install is returned as
+ * `error` instead, the venv is still usable.
+ */
+export async function ensurePythonEnvironment({ workspaceDir, projectDir, interpreter, detectedPackages = [], toolPackages = [], onOutput = () => {}, signal }) {
+    const venvDir = path.join(workspaceDir, VENVS_DIR, path.basename(interpreter).replace(/[^\w.-]/g, '_'));
 
-        proc.on('error', (err) => {
-            reject(new Error(`Failed to spawn pip: ${err.message}`));
-        });
-    });
+    return runExclusive(venvDir, () => setupEnvironment(venvDir, { interpreter, projectDir, detectedPackages, toolPackages, onOutput, signal }));
 }
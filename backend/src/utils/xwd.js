@@ -0,0 +1,81 @@
+/**
+ * Decoder for the X Window Dump images Xvfb keeps its framebuffer in when
+ * started with -fbdir (see execution/guiDisplay.js). Only TrueColor ZPixmap
+ * images are supported, which is what Xvfb writes for depth 16, 24 and 32.
+ */
+
+const XWD_FILE_VERSION = 7;
+const Z_PIXMAP = 2;
+const COLOR_ENTRY_SIZE = 12;
+// The header is 25 CARD32 fields followed by the window name
+const HEADER_FIELDS = 25;
+
+// Shift and width of a channel's bits within a pixel
+function maskInfo(mask) {
+    let shift = 0;
+    while (shift < 32 && !((mask >>> shift) & 1)) shift++;
+    let bits = 0;
+    while (shift + bits < 32 && (mask >>> (shift + bits)) & 1) bits++;
+    return { shift, max: 2 ** bits - 1 };
+}
+
+/**
+ * Returns { width, height, rgb } with 8-bit RGB pixels row by row. The
+ * header is always most significant byte first; the pixels are in the byte
+ * order the header names.
+ */
+export function xwdToRgb(buffer) {
+    if (buffer.length < HEADER_FIELDS * 4) throw new Error('Truncated XWD image');
+    const field = (i) => buffer.readUInt32BE(i * 4);
+
+    const headerSize = field(0);
+    if (field(1) !== XWD_FILE_VERSION || field(2) !== Z_PIXMAP) throw new Error('Unsupported XWD image');
+    const width = field(4);
+    const height = field(5);
+    const littleEndian = field(7) === 0;
+    const bitsPerPixel = field(11);
+    const bytesPerLine = field(12);
+    // Xvfb fills in the masks once the default colormap is installed
+    const masks = [field(14) || 0xff0000, field(15) || 0x00ff00, field(16) || 0x0000ff];
+    const colorCount = field(19);
+
+    const bytesPerPixel = bitsPerPixel / 8;
+    if (![2, 3, 4].includes(bytesPerPixel)) throw new Error(`Unsupported XWD pixel size ${bitsPerPixel}`);
+    const offset = headerSize + colorCount * COLOR_ENTRY_SIZE;
+    if (buffer.length < offset + bytesPerLine * height) throw new Error('Truncated XWD image');
+
+    const rgb = Buffer.alloc(width * height * 3);
+
+    // Depth 24 on a little-endian machine: BGRX bytes, no bit arithmetic needed
+    if (bytesPerPixel === 4 && littleEndian && masks[0] === 0xff0000 && masks[1] === 0x00ff00 && masks[2] === 0x0000ff) {
+        for (let y = 0; y < height; y++) {
+            let at = offset + y * bytesPerLine;
+            let out = y * width * 3;
+            for (let x = 0; x < width; x++, at += 4, out += 3) {
+                rgb[out] = buffer[at + 2];
+                rgb[out + 1] = buffer[at + 1];
+                rgb[out + 2] = buffer[at];
+            }
+        }
+        return { width, height, rgb };
+    }
+
+    const channels = masks.map(maskInfo);
+    for (let y = 0; y < height; y++) {
+        const row = offset + y * bytesPerLine;
+        for (let x = 0; x < width; x++) {
+            const at = row + x * bytesPerPixel;
+            let pixel = 0;
+            for (let b = 0; b < bytesPerPixel; b++) {
+                const byte = buffer[littleEndian ? at + b : at + bytesPerPixel - 1 - b];
+                pixel += byte * 2 ** (8 * b);
+            }
+            const out = (y * width + x) * 3;
+            channels.forEach(({ shift, max }, c) => {
+                const value = Math.floor(pixel / 2 ** shift) & max;
+                rgb[out + c] = max === 255 ? value : Math.round((value / max) * 255);
+            });
+        }
+    }
+    return { width, height, rgb };
+}
@@ -1,5 +1,5 @@
 import React from 'react';
-import { Files, Search, GitBranch, Bug, LayoutGrid, Settings, UserCircle, Database } from 'lucide-react';
+import { Settings, UserCircle } from 'lucide-react';
 import './activityBar.css';
 
 export default function ActivityBar({ activeView, onViewChange, modules = [] }) {
@@ -16,7 +16,6 @@ export default function ActivityBar({ activeView, onViewChange, modules = [] })
                         title={mod.title}
                     />
                 ))}
-                <ActivityItem icon={Bug} title="Run and Debug" />
             </div>
 
             {/* Bottom Actions */}
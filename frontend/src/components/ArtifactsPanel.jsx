@@ -0,0 +1,119 @@
+import React, { useState, useEffect } from "react";
+import { Image, FileText, Table, File } from "lucide-react";
+import "./artifactsPanel.css";
+
+const KIND_ICONS = { image: Image, csv: Table, text: FileText, binary: File };
+
+const STATUS_LABELS = { created: "new", modified: "changed", figure: "plt.show()" };
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024
+    ? `${(bytes / 1024 / 1024).toFixed(1)} MB`
+    : bytes >= 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${bytes} B`);
+
+// Images a few pixels wide (a generated PPM) are scaled up without blurring
+function ImagePreview({ artifact }) {
+    const [tiny, setTiny] = useState(false);
+    if (!artifact.url) return <div className="artifacts-empty">Image is too large to preview.</div>;
+    return (
+        <div className="artifact-image">
+            <img
+                src={artifact.url}
+                alt={artifact.name}
+                className={tiny ? "tiny" : ""}
+                onLoad={(e) => setTiny(e.target.naturalWidth < 128)}
+            />
+        </div>
+    );
+}
+
+function ArtifactPreview({ artifact }) {
+    if (artifact.kind === "image") {
+        return <ImagePreview key={artifact.url} artifact={artifact} />;
+    }
+    if (artifact.kind === "csv") {
+        const [header, ...rows] = artifact.rows;
+        return (
+            <div className="artifact-csv">
+                <table>
+                    {header && (
+                        <thead>
+                            <tr>{header.map((cell, i) => <th key={i}>{cell}</th>)}</tr>
+                        </thead>
+                    )}
+                    <tbody>
+                        {rows.map((row, r) => (
+                            <tr key={r}>{row.map((cell, i) => <td key={i}>{cell}</td>)}</tr>
+                        ))}
+                    </tbody>
+                </table>
+                {artifact.previewTruncated && <div className="artifact-more">Only the first rows are shown.</div>}
+            </div>
+        );
+    }
+    if (artifact.kind === "text") {
+        return (
+            <div className="artifact-text">
+                <pre>{artifact.text || "(empty)"}</pre>
+                {artifact.previewTruncated && <div className="artifact-more">Only the beginning of the file is shown.</div>}
+            </div>
+        );
+    }
+    return <div className="artifacts-empty">Binary file, no preview.</div>;
+}
+
+/**
+ * Files the last run created or changed in the workspace, and the figures
+ * plt.show() produced, with a preview of the selected one (see backend
+ * execution/artifacts.js). `result` is null before the first local run,
+ * else { artifacts, truncated }.
+ */
+export default function ArtifactsPanel({ result }) {
+    const [selected, setSelected] = useState(0);
+    const artifacts = result?.artifacts || [];
+
+    // A new run starts at its first artifact
+    useEffect(() => {
+        setSelected(0);
+    }, [result]);
+
+    if (artifacts.length === 0) {
+        return (
+            <div className="artifacts-panel">
+                <div className="artifacts-empty">
+                    {result
+                        ? "The last run did not create or change any files."
+                        : "Files your program writes (plots, CSV files, images) and figures from plt.show() appear here after a run."}
+                </div>
+            </div>
+        );
+    }
+
+    const current = artifacts[Math.min(selected, artifacts.length - 1)];
+
+    return (
+        <div className="artifacts-panel">
+            <div className="artifacts-list">
+                {artifacts.map((artifact, i) => {
+                    const Icon = KIND_ICONS[artifact.kind] || File;
+                    return (
+                        <div
+                            key={`${artifact.path || ""}:${artifact.name}`}
+                            className={`artifact-row ${artifact === current ? "selected" : ""}`}
+                            onClick={() => setSelected(i)}
+                            title={artifact.path || artifact.name}
+                        >
+                            <Icon size={14} className="artifact-icon" />
+                            <span className="artifact-name">{artifact.path || artifact.name}</span>
+                            <span className={`artifact-status ${artifact.status}`}>{STATUS_LABELS[artifact.status]}</span>
+                            <span className="artifact-size">{formatSize(artifact.size)}</span>
+                        </div>
+                    );
+                })}
+                {result.truncated && <div className="artifact-more">More files changed than are listed here.</div>}
+            </div>
+            <div className="artifact-preview">
+                <ArtifactPreview artifact={current} />
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,154 @@
+import React from "react";
+import { Play, Square } from "lucide-react";
+import { formatDuration } from "../utils/helpers";
+import "./benchmarkPanel.css";
+
+const WIDTH = 560;
+const HEIGHT = 240;
+const MARGIN = { top: 12, right: 16, bottom: 32, left: 56 };
+const TICKS = 5;
+
+const formatSize = (n) => (n >= 1e6 ? `${+(n / 1e6).toFixed(1)}M` : n >= 1e3 ? `${+(n / 1e3).toFixed(1)}k` : String(Math.round(n)));
+const formatBytes = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`);
+
+/**
+ * Time vs. n: the measured points and the fitted complexity curve, both
+ * scaled from zero so the shape of the growth is not exaggerated.
+ */
+function ComplexityChart({ points, curve }) {
+    const measured = points.filter(p => p.time !== null);
+    const maxN = Math.max(...measured.map(p => p.n), ...curve.map(([n]) => n), 1);
+    const maxT = Math.max(...measured.map(p => p.time), ...curve.map(([, t]) => t), 1) * 1.1;
+    const plotW = WIDTH - MARGIN.left - MARGIN.right;
+    const plotH = HEIGHT - MARGIN.top - MARGIN.bottom;
+    const x = n => MARGIN.left + (n / maxN) * plotW;
+    const y = t => MARGIN.top + plotH - (t / maxT) * plotH;
+    const ticks = Array.from({ length: TICKS + 1 }, (_, i) => i / TICKS);
+
+    return (
+        <svg className="bench-chart" viewBox={`0 0 ${WIDTH} ${HEIGHT}`} preserveAspectRatio="xMidYMid meet">
+            {ticks.map(f => (
+                <g key={f}>
+                    <line className="bench-grid" x1={MARGIN.left} x2={WIDTH - MARGIN.right} y1={y(f * maxT)} y2={y(f * maxT)} />
+                    <text className="bench-tick" x={MARGIN.left - 6} y={y(f * maxT) + 3} textAnchor="end">{formatDuration(f * maxT)}</text>
+                    <text className="bench-tick" x={x(f * maxN)} y={HEIGHT - MARGIN.bottom + 14} textAnchor="middle">{formatSize(f * maxN)}</text>
+                </g>
+            ))}
+            <text className="bench-axis-label" x={MARGIN.left + plotW / 2} y={HEIGHT - 4} textAnchor="middle">input size n</text>
+            {curve.length > 0 && (
+                <polyline className="bench-curve" points={curve.map(([n, t]) => `${x(n)},${y(Math.max(0, t))}`).join(" ")} />
+            )}
+            {measured.map(p => (
+                <circle key={p.n} className="bench-point" cx={x(p.n)} cy={y(p.time)} r={4}>
+                    <title>{`n = ${p.n}: ${formatDuration(p.time)}`}</title>
+                </circle>
+            ))}
+        </svg>
+    );
+}
+
+/**
+ * Benchmark mode: runs the program on inputs of growing size printed by a
+ * generator script, plots time against n and names the complexity class
+ * that fits best. `report` is null before the first run, else
+ * { points, fit, error, stopped, running, total }.
+ */
+export default function BenchmarkPanel({ options, onOptionsChange, report, onRun, onStop, isExecuting }) {
+    const points = report?.points || [];
+    const setOption = (key, value) => onOptionsChange({ ...options, [key]: value });
+    const best = report?.fit?.best;
+
+    return (
+        <div className="bench-panel">
+            <div className="bench-toolbar">
+                {isExecuting ? (
+                    <button className="bench-btn stop" onClick={onStop} title="Stop (Shift+F5)">
+                        <Square size={12} /> Stop
+                    </button>
+                ) : (
+                    <button className="bench-btn" onClick={onRun} title="Run Benchmark">
+                        <Play size={12} /> Run Benchmark
+                    </button>
+                )}
+                <label title="Script that prints the program's input for the size n given as its argument, relative to the run root">
+                    Generator
+                    <input
+                        className="bench-input"
+                        value={options.generator}
+                        onChange={(e) => setOption("generator", e.target.value)}
+                    />
+                </label>
+                <label title="Input sizes, separated by commas">
+                    Sizes
+                    <input
+                        className="bench-input wide"
+                        value={options.sizes}
+                        onChange={(e) => setOption("sizes", e.target.value)}
+                    />
+                </label>
+                <label title="Runs per size; the fastest one counts">
+                    Repeats
+                    <input
+                        className="bench-input small"
+                        type="number"
+                        min={1}
+                        max={10}
+                        value={options.repeats}
+                        onChange={(e) => setOption("repeats", e.target.value)}
+                    />
+                </label>
+                {report && (
+                    <span className="bench-summary">
+                        {report.running
+                            ? `Running… ${points.length}${report.total ? `/${report.total}` : ""}`
+                            : best
+                                ? <>Best fit <strong>{best.label}</strong> (R² {best.r2.toFixed(3)})</>
+                                : report.error || (report.stopped ? "Stopped" : "At least 3 sizes are needed for a fit")}
+                    </span>
+                )}
+            </div>
+
+            {points.length === 0 ? (
+                <div className="bench-empty">
+                    {report?.running
+                        ? "Generating inputs and timing the first size…"
+                        : report?.error || `Add a generator script at ${options.generator || "bench/gen.py"} that prints the input for the size given as its first argument, then run the benchmark.`}
+                </div>
+            ) : (
+                <div className="bench-body">
+                    <ComplexityChart points={points} curve={report.fit?.curve || []} />
+                    <div className="bench-side">
+                        <table className="bench-table">
+                            <thead>
+                                <tr>
+                                    <th>n</th>
+                                    <th>Time</th>
+                                    <th>Input</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {points.map(p => (
+                                    <tr key={p.n} className={p.error ? "failed" : ""} title={p.times.length ? `Runs: ${p.times.map(formatDuration).join(", ")}` : p.error}>
+                                        <td>{p.n}</td>
+                                        <td>{p.time !== null ? formatDuration(p.time) : p.error}</td>
+                                        <td>{formatBytes(p.inputBytes)}</td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                        {report.fit && (
+                            <div className="bench-fits">
+                                {report.fit.fits.map(fit => (
+                                    <div key={fit.id} className={`bench-fit ${fit.id === best?.id ? "best" : ""}`}>
+                                        <span>{fit.label}</span>
+                                        <span>R² {fit.r2.toFixed(3)}</span>
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,9 +1,33 @@
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import Editor from "@monaco-editor/react";
+import { getEditorLanguage } from "../utils/helpers";
 import "./codeEditor.css";
 
-export default function CodeEditor({ activeFile, onCodeChange }) {
+const NO_LINES = [];
+
+/**
+ * Monaco editor for the active tab. Clicking the glyph margin toggles a
+ * breakpoint through `onToggleBreakpoint(line)`; `breakpoints`, `pausedLine`
+ * (where the debugger stopped) and `traceLine` (the visualizer's current step)
+ * are drawn as decorations. Each new `revealLine` ({ line }) moves the cursor
+ * to that line.
+ */
+export default function CodeEditor({
+    activeFile,
+    languages,
+    onCodeChange,
+    breakpoints = NO_LINES,
+    pausedLine = null,
+    traceLine = null,
+    revealLine = null,
+    onToggleBreakpoint
+}) {
     const [code, setCode] = useState("");
+    const [editor, setEditor] = useState(null);
+    const monacoRef = useRef(null);
+    const decorationsRef = useRef([]);
+    const onToggleBreakpointRef = useRef(onToggleBreakpoint);
+    onToggleBreakpointRef.current = onToggleBreakpoint;
 
     useEffect(() => {
         if (activeFile) {
@@ -11,23 +35,51 @@ export default function CodeEditor({ activeFile, onCodeChange }) {
         }
     }, [activeFile]);
 
-    const getLanguage = (fileName) => {
-        if (!fileName) return "javascript";
-        const ext = fileName.split(".").pop().toLowerCase();
-        const map = {
-            js: "javascript",
-            jsx: "javascript",
-            ts: "typescript",
-            tsx: "typescript",
-            css: "css",
-            html: "html",
-            json: "json",
-            py: "python",
-            md: "markdown",
-        };
-        return map[ext] || "javascript";
+    const handleMount = (mountedEditor, monaco) => {
+        monacoRef.current = monaco;
+        mountedEditor.onMouseDown(e => {
+            if (e.target.type === monaco.editor.MouseTargetType.GUTTER_GLYPH_MARGIN) {
+                onToggleBreakpointRef.current?.(e.target.position.lineNumber);
+            }
+        });
+        setEditor(mountedEditor);
     };
 
+    // Re-applied after value changes too: replacing the text drops decorations
+    useEffect(() => {
+        if (!editor) return;
+        const { Range } = monacoRef.current;
+        const decorations = breakpoints.map(line => ({
+            range: new Range(line, 1, line, 1),
+            options: { glyphMarginClassName: "breakpoint-glyph", glyphMarginHoverMessage: { value: "Breakpoint" } }
+        }));
+        if (pausedLine) {
+            decorations.push({
+                range: new Range(pausedLine, 1, pausedLine, 1),
+                options: { isWholeLine: true, className: "paused-line", glyphMarginClassName: "paused-line-glyph" }
+            });
+        }
+        if (traceLine) {
+            decorations.push({
+                range: new Range(traceLine, 1, traceLine, 1),
+                options: { isWholeLine: true, className: "trace-line", glyphMarginClassName: "trace-line-glyph" }
+            });
+        }
+        decorationsRef.current = editor.deltaDecorations(decorationsRef.current, decorations);
+    }, [editor, breakpoints, pausedLine, traceLine, code]);
+
+    useEffect(() => {
+        const line = pausedLine || traceLine;
+        if (editor && line) editor.revealLineInCenterIfOutsideViewport(line);
+    }, [editor, pausedLine, traceLine, activeFile?.id]);
+
+    useEffect(() => {
+        if (!editor || !revealLine?.line) return;
+        editor.revealLineInCenter(revealLine.line);
+        editor.setPosition({ lineNumber: revealLine.line, column: 1 });
+        editor.focus();
+    }, [editor, revealLine]);
+
     return (
         <div className="editor-container">
             {/* Header */}
@@ -41,9 +93,10 @@ export default function CodeEditor({ activeFile, onCodeChange }) {
             <div className="editor-body">
                 <Editor
                     height="100%"
-                    language={getLanguage(activeFile?.name)}
+                    language={getEditorLanguage(activeFile?.name, languages)}
                     value={code}
                     theme="vs-dark"
+                    onMount={handleMount}
                     onChange={(value) => {
                         setCode(value);
                         onCodeChange?.(value);
@@ -56,6 +109,7 @@ export default function CodeEditor({ activeFile, onCodeChange }) {
                         automaticLayout: true,
                         tabSize: 4,
                         wordWrap: "on",
+                        glyphMargin: true,
                     }}
                 />
             </div>
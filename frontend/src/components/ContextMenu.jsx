@@ -1,8 +1,8 @@
 import React, { useEffect, useRef } from 'react';
-import { Pencil, Trash2, FilePlus, FolderPlus, Copy, X } from 'lucide-react';
+import { Pencil, Trash2, FilePlus, FolderPlus, Copy, X, Play } from 'lucide-react';
 import './contextMenu.css';
 
-export default function ContextMenu({ position, onClose, onAction, item }) {
+export default function ContextMenu({ position, onClose, onAction, item, isRunRoot = false }) {
     const menuRef = useRef(null);
 
     useEffect(() => {
@@ -27,6 +27,9 @@ export default function ContextMenu({ position, onClose, onAction, item }) {
         ? [
             { id: 'new-file', label: 'New File', icon: <FilePlus size={14} /> },
             { id: 'new-folder', label: 'New Folder', icon: <FolderPlus size={14} /> },
+            isRunRoot
+                ? { id: 'clear-run-root', label: 'Clear Run Root', icon: <Play size={14} /> }
+                : { id: 'set-run-root', label: 'Set as Run Root', icon: <Play size={14} /> },
             { id: 'rename', label: 'Rename', icon: <Pencil size={14} /> },
             { id: 'delete', label: 'Delete', icon: <Trash2 size={14} />, danger: true },
         ]
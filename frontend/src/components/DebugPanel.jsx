@@ -0,0 +1,206 @@
+import React, { useState } from "react";
+import {
+    Play,
+    Square,
+    ArrowRight,
+    ArrowDownToLine,
+    ArrowUpFromLine,
+    ChevronRight,
+    ChevronDown,
+    Circle,
+    Plus,
+    X
+} from "lucide-react";
+import "./debugPanel.css";
+
+const PAUSE_REASONS = {
+    breakpoint: "Paused on breakpoint",
+    step: "Paused after step",
+    other: "Paused",
+    exception: "Paused on exception",
+    pause: "Paused"
+};
+
+/**
+ * One variable row; objects expand lazily. `variables` caches the children
+ * loaded so far by variablesReference, `onExpand(ref)` asks the backend for more.
+ */
+function VariableNode({ variable, variables, onExpand, depth = 0 }) {
+    const [open, setOpen] = useState(false);
+    const expandable = variable.variablesReference > 0;
+    const children = variables[variable.variablesReference];
+
+    const toggle = () => {
+        if (!expandable) return;
+        if (!open && children === undefined) onExpand(variable.variablesReference);
+        setOpen(!open);
+    };
+
+    return (
+        <>
+            <div className="debug-row variable" style={{ paddingLeft: 12 + depth * 12 }} onClick={toggle}>
+                <span className="debug-twisty">
+                    {expandable && (open ? <ChevronDown size={12} /> : <ChevronRight size={12} />)}
+                </span>
+                <span className="debug-var-name">{variable.name}</span>
+                <span className="debug-var-value" title={variable.type}>{variable.value}</span>
+            </div>
+            {open && (children === undefined
+                ? <div className="debug-row muted" style={{ paddingLeft: 24 + depth * 12 }}>Loading…</div>
+                : children.map(child => (
+                    <VariableNode key={child.name} variable={child} variables={variables} onExpand={onExpand} depth={depth + 1} />
+                )))}
+        </>
+    );
+}
+
+function Section({ title, children, defaultOpen = true }) {
+    const [open, setOpen] = useState(defaultOpen);
+    return (
+        <div className="debug-section">
+            <div className="debug-section-header" onClick={() => setOpen(!open)}>
+                {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                <span>{title}</span>
+            </div>
+            {open && <div className="debug-section-body">{children}</div>}
+        </div>
+    );
+}
+
+/**
+ * Run and Debug sidebar: debug controls, variables of the selected frame,
+ * watch expressions, the call stack and the breakpoint list.
+ * `session` is null when not debugging, else { status: 'starting' | 'running'
+ * | 'paused', reason, frames, frameId, scopes, watches }.
+ */
+export default function DebugPanel({
+    session,
+    canDebug,
+    languageName,
+    variables,
+    watches,
+    breakpoints,
+    onStart,
+    onStop,
+    onCommand,
+    onSelectFrame,
+    onExpand,
+    onWatchesChange,
+    onRemoveBreakpoint,
+    onOpenLocation
+}) {
+    const [newWatch, setNewWatch] = useState("");
+    const paused = session?.status === "paused";
+    const scopes = paused ? session.scopes : [];
+    const watchValues = paused ? session.watches : [];
+
+    const addWatch = () => {
+        const expression = newWatch.trim();
+        if (expression && !watches.includes(expression)) onWatchesChange([...watches, expression]);
+        setNewWatch("");
+    };
+
+    const breakpointList = Object.entries(breakpoints)
+        .flatMap(([path, lines]) => lines.map(line => ({ path, line })));
+
+    return (
+        <div className="debug-panel">
+            <div className="debug-toolbar">
+                {!session ? (
+                    <button
+                        className="debug-btn start"
+                        onClick={onStart}
+                        disabled={!canDebug}
+                        title={canDebug ? "Start Debugging (F5)" : `Debugging is not available for ${languageName || "this file"}`}
+                    >
+                        <Play size={12} /> Start Debugging
+                    </button>
+                ) : (
+                    <>
+                        <button className="debug-icon-btn" onClick={() => onCommand("continue")} disabled={!paused} title="Continue (F5)">
+                            <Play size={14} />
+                        </button>
+                        <button className="debug-icon-btn" onClick={() => onCommand("stepOver")} disabled={!paused} title="Step Over (F10)">
+                            <ArrowRight size={14} />
+                        </button>
+                        <button className="debug-icon-btn" onClick={() => onCommand("stepInto")} disabled={!paused} title="Step Into (F11)">
+                            <ArrowDownToLine size={14} />
+                        </button>
+                        <button className="debug-icon-btn" onClick={() => onCommand("stepOut")} disabled={!paused} title="Step Out (Shift+F11)">
+                            <ArrowUpFromLine size={14} />
+                        </button>
+                        <button className="debug-icon-btn stop" onClick={onStop} title="Stop (Shift+F5)">
+                            <Square size={14} />
+                        </button>
+                        <span className="debug-status">
+                            {paused ? PAUSE_REASONS[session.reason] || "Paused" : session.status === "starting" ? "Starting…" : "Running"}
+                        </span>
+                    </>
+                )}
+            </div>
+
+            <Section title="VARIABLES">
+                {!paused && <div className="debug-row muted">{session ? "Available while paused" : "Not debugging"}</div>}
+                {scopes.map(scope => (
+                    <VariableNode
+                        key={`${scope.name}-${scope.variablesReference}`}
+                        variable={{ name: scope.name, value: "", variablesReference: scope.variablesReference }}
+                        variables={scope.variables ? { ...variables, [scope.variablesReference]: scope.variables } : variables}
+                        onExpand={onExpand}
+                    />
+                ))}
+            </Section>
+
+            <Section title="WATCH">
+                {watches.map(expression => {
+                    const result = watchValues.find(w => w.expression === expression);
+                    return (
+                        <div key={expression} className="debug-row watch">
+                            <span className="debug-var-name">{expression}</span>
+                            <span className={`debug-var-value ${result?.error ? "error" : ""}`}>
+                                {result ? result.error || result.value : ""}
+                            </span>
+                            <X size={12} className="debug-remove" onClick={() => onWatchesChange(watches.filter(w => w !== expression))} />
+                        </div>
+                    );
+                })}
+                <div className="debug-row watch-input">
+                    <Plus size={12} />
+                    <input
+                        value={newWatch}
+                        placeholder="Add expression"
+                        onChange={e => setNewWatch(e.target.value)}
+                        onKeyDown={e => { if (e.key === "Enter") addWatch(); }}
+                        onBlur={addWatch}
+                    />
+                </div>
+            </Section>
+
+            <Section title="CALL STACK">
+                {!paused && <div className="debug-row muted">{session ? "Available while paused" : "Not debugging"}</div>}
+                {paused && session.frames.map(frame => (
+                    <div
+                        key={frame.id}
+                        className={`debug-row frame ${frame.id === session.frameId ? "active" : ""} ${frame.path ? "" : "external"}`}
+                        onClick={() => onSelectFrame(frame)}
+                    >
+                        <span className="debug-frame-name">{frame.name}</span>
+                        <span className="debug-frame-location">{frame.file}:{frame.line}</span>
+                    </div>
+                ))}
+            </Section>
+
+            <Section title="BREAKPOINTS">
+                {breakpointList.length === 0 && <div className="debug-row muted">Click the editor gutter to add one</div>}
+                {breakpointList.map(({ path, line }) => (
+                    <div key={`${path}:${line}`} className="debug-row breakpoint" onClick={() => onOpenLocation(path, line)}>
+                        <Circle size={10} className="debug-breakpoint-dot" />
+                        <span className="debug-frame-name">{path.split("/").pop()}</span>
+                        <span className="debug-frame-location">{line}</span>
+                        <X size={12} className="debug-remove" onClick={e => { e.stopPropagation(); onRemoveBreakpoint(path, line); }} />
+                    </div>
+                ))}
+            </Section>
+        </div>
+    );
+}
@@ -0,0 +1,92 @@
+import React, { useRef } from "react";
+import { Monitor, Square } from "lucide-react";
+import "./guiPanel.css";
+
+// Pointer moves are sent at most this often; clicks and keys always go out
+const MOUSE_MOVE_INTERVAL = 50;
+
+/**
+ * The virtual display of a GUI run (see backend execution/guiDisplay.js):
+ * the latest frame, with mouse and keyboard input sent back to the program.
+ * `display` is null before the first GUI run, else
+ * { status: "starting" | "running" | "closed", width, height, frame }.
+ */
+export default function GuiPanel({ display, isExecuting, onRun, onStop, onInput }) {
+    const lastMoveRef = useRef(0);
+    const running = display?.status === "running";
+
+    // Browser pixels to display pixels; the frame may be scaled down to fit the panel
+    const toDisplay = (e) => {
+        const rect = e.currentTarget.getBoundingClientRect();
+        return {
+            x: Math.round(((e.clientX - rect.left) / rect.width) * display.width),
+            y: Math.round(((e.clientY - rect.top) / rect.height) * display.height)
+        };
+    };
+
+    const handleMouse = (type) => (e) => {
+        if (!running) return;
+        if (type === "mousemove") {
+            const now = Date.now();
+            if (now - lastMoveRef.current < MOUSE_MOVE_INTERVAL) return;
+            lastMoveRef.current = now;
+        }
+        if (type === "mousedown") e.currentTarget.parentElement.focus();
+        // X numbers the buttons left 1, middle 2, right 3
+        onInput({ type, ...toDisplay(e), button: e.button + 1 });
+    };
+
+    const handleKey = (type) => (e) => {
+        // Held keys repeat on the X server itself
+        if (!running || e.repeat) return;
+        e.preventDefault();
+        onInput({ type, code: e.code });
+    };
+
+    return (
+        <div className="gui-panel">
+            <div className="gui-toolbar">
+                {isExecuting && (running || display?.status === "starting") ? (
+                    <button className="gui-btn stop" onClick={onStop} title="Stop (Shift+F5)">
+                        <Square size={12} /> Stop
+                    </button>
+                ) : (
+                    <button className="gui-btn" onClick={onRun} disabled={isExecuting} title="Run with Display">
+                        <Monitor size={12} /> Run with Display
+                    </button>
+                )}
+                <span className="gui-status">
+                    {display?.status === "starting" && "Starting the virtual display…"}
+                    {running && `${display.width}×${display.height} · click into the display to type`}
+                    {display?.status === "closed" && "The program has ended"}
+                </span>
+            </div>
+
+            {display?.frame ? (
+                <div
+                    className={`gui-screen ${running ? "" : "ended"}`}
+                    tabIndex={0}
+                    onKeyDown={handleKey("keydown")}
+                    onKeyUp={handleKey("keyup")}
+                >
+                    <img
+                        src={display.frame}
+                        alt="Program display"
+                        draggable={false}
+                        onMouseMove={handleMouse("mousemove")}
+                        onMouseDown={handleMouse("mousedown")}
+                        onMouseUp={handleMouse("mouseup")}
+                        onWheel={(e) => running && onInput({ type: "wheel", ...toDisplay(e), deltaY: e.deltaY })}
+                        onContextMenu={(e) => e.preventDefault()}
+                    />
+                </div>
+            ) : (
+                <div className="gui-empty">
+                    {display?.status === "starting"
+                        ? "Waiting for the first frame…"
+                        : "Programs with windows (Swing, JavaFX, tkinter, turtle, pygame) run on a virtual display shown here. Start one with Run with Display."}
+                </div>
+            )}
+        </div>
+    );
+}
@@ -6,6 +6,15 @@ import ActivityBar from "./ActivityBar";
 import StatusBar from "./StatusBar";
 import MenuBar from "./MenuBar";
 import SearchView from "./SearchView";
+import InputPanel from "./InputPanel";
+import JudgePanel from "./JudgePanel";
+import DebugPanel from "./DebugPanel";
+import VisualizerPanel from "./VisualizerPanel";
+import ProfilerPanel from "./ProfilerPanel";
+import BenchmarkPanel from "./BenchmarkPanel";
+import ArtifactsPanel from "./ArtifactsPanel";
+import GuiPanel from "./GuiPanel";
+import ProblemsPanel from "./ProblemsPanel";
 import FileIcon from "./FileIcon";
 import {
     FilePlus,
@@ -23,12 +32,31 @@ import {
     Eye,
     EyeOff,
     Settings,
-    Package
+    Package,
+    Square,
+    SlidersHorizontal,
+    Keyboard,
+    FlaskConical,
+    Bug,
+    StepForward,
+    Gauge,
+    TrendingUp,
+    Monitor
 } from "lucide-react";
 import io from "socket.io-client";
 import WebPreview from "./WebPreview";
-import { getFileLanguage, stripAnsi } from "../utils/helpers";
-import { LANGUAGES } from "../config/languages";
+import {
+    getFileLanguage,
+    stripAnsi,
+    describeRunResult,
+    formatDuration,
+    isRunSuccessful,
+    parseLaunchConfig,
+    LAUNCH_CONFIG_DIR,
+    LAUNCH_CONFIG_FILE,
+    LAUNCH_CONFIG_TEMPLATE
+} from "../utils/helpers";
+import { FALLBACK_LANGUAGES } from "../config/languages";
 import "./ideLayout.css";
 import "./activityBar.css";
 import "./menuBar.css";
@@ -45,6 +73,53 @@ const BACKEND_URL =
 
 const generateId = () => Math.random().toString(36).substr(2, 9);
 
+// Files above this size are left out of the run payload (data dumps, binaries)
+const MAX_PROJECT_FILE_SIZE = 512 * 1024;
+
+// Input panel text remembered per file: { [fileId]: stdin }
+const STDIN_STORAGE_KEY = 'teachgrid_stdin';
+
+const loadRememberedInputs = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STDIN_STORAGE_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+};
+
+const JUDGE_OPTIONS_KEY = 'teachgrid_judge_options';
+const DEFAULT_JUDGE_OPTIONS = { casesDir: 'tests', trim: true, ignoreWhitespace: false, floatTolerance: '' };
+
+const loadJudgeOptions = () => {
+    try {
+        return { ...DEFAULT_JUDGE_OPTIONS, ...JSON.parse(localStorage.getItem(JUDGE_OPTIONS_KEY)) };
+    } catch (err) {
+        return DEFAULT_JUDGE_OPTIONS;
+    }
+};
+
+const BENCHMARK_OPTIONS_KEY = 'teachgrid_benchmark_options';
+const DEFAULT_BENCHMARK_OPTIONS = { generator: 'bench/gen.py', sizes: '1000, 2000, 4000, 8000, 16000', repeats: 3 };
+
+const loadBenchmarkOptions = () => {
+    try {
+        return { ...DEFAULT_BENCHMARK_OPTIONS, ...JSON.parse(localStorage.getItem(BENCHMARK_OPTIONS_KEY)) };
+    } catch (err) {
+        return DEFAULT_BENCHMARK_OPTIONS;
+    }
+};
+
+// Breakpoint lines per workspace path: { [path]: [line] }
+const BREAKPOINTS_STORAGE_KEY = 'teachgrid_breakpoints';
+
+const loadBreakpoints = () => {
+    try {
+        return JSON.parse(localStorage.getItem(BREAKPOINTS_STORAGE_KEY)) || {};
+    } catch (err) {
+        return {};
+    }
+};
+
 export default function IDELayout() {
     /* ================= STATE ================= */
     const [files, setFiles] = useState([]);
@@ -70,6 +145,32 @@ export default function IDELayout() {
     const [executionMode, setExecutionMode] = useState("auto");
     const [previewOutput, setPreviewOutput] = useState(null);
     const [isCapturingPreview, setIsCapturingPreview] = useState(false);
+    const [lastRunResult, setLastRunResult] = useState(null); // execution_complete payload
+    const [remoteRuntimes, setRemoteRuntimes] = useState(null); // GET /api/runtimes
+    const [languages, setLanguages] = useState(FALLBACK_LANGUAGES); // GET /api/languages
+    const [languagesError, setLanguagesError] = useState(null);
+    const languagesLoaded = languages !== FALLBACK_LANGUAGES;
+    const [runRootId, setRunRootId] = useState(null); // Folder runs start from (null = workspace root)
+    const [selectedRunConfig, setSelectedRunConfig] = useState(""); // Name from .teachgrid/launch.json
+    const [showInputPanel, setShowInputPanel] = useState(false); // Open = its text is sent as stdin
+    const [stdinText, setStdinText] = useState("");
+    const [rememberedInputs, setRememberedInputs] = useState(loadRememberedInputs);
+    const [judgeOptions, setJudgeOptions] = useState(loadJudgeOptions);
+    const [judgeReport, setJudgeReport] = useState(null); // { cases, passed, total, error, running }
+    const [benchmarkOptions, setBenchmarkOptions] = useState(loadBenchmarkOptions);
+    const [benchmarkReport, setBenchmarkReport] = useState(null); // { points, fit, total, error, stopped, running }
+    const [runArtifacts, setRunArtifacts] = useState(null); // { artifacts, truncated } of the last local run
+    const [guiDisplay, setGuiDisplay] = useState(null); // { status, width, height, frame } of the last GUI run
+    const [problems, setProblems] = useState(null); // { source, status, diagnostics, message } of the last type check
+    const [queuedAhead, setQueuedAhead] = useState(null); // Jobs ahead in the backend queue, null = not queued
+    const [breakpoints, setBreakpoints] = useState(loadBreakpoints);
+    const [watches, setWatches] = useState([]); // Watch expressions, evaluated on every pause
+    const [debugSession, setDebugSession] = useState(null); // { status, reason, frames, frameId, scopes, watches }
+    const [debugVariables, setDebugVariables] = useState({}); // Expanded variables by variablesReference
+    const [visualizerTrace, setVisualizerTrace] = useState(null); // { steps, truncated, error, running }
+    const [visualizerStep, setVisualizerStep] = useState(0);
+    const [profileResult, setProfileResult] = useState(null); // { total, root, functions, error, running }
+    const [editorReveal, setEditorReveal] = useState(null); // { path, line } to move the cursor to
 
     const socketRef = useRef(null);
     const activeTerminalIdRef = useRef(activeTerminalId);
@@ -79,11 +180,48 @@ export default function IDELayout() {
         [openFiles, activeFileId]
     );
 
+    const problemCounts = useMemo(() => {
+        const errors = problems?.diagnostics.filter(d => d.severity === "error").length || 0;
+        return { errors, warnings: (problems?.diagnostics.length || 0) - errors };
+    }, [problems]);
+
     useEffect(() => {
         setPreviewOutput(null);
         setIsCapturingPreview(false);
     }, [activeFileId]);
 
+    // Switching files restores the input remembered for the new one, if any
+    useEffect(() => {
+        if (activeFileId && rememberedInputs[activeFileId] !== undefined) {
+            setStdinText(rememberedInputs[activeFileId]);
+        }
+    }, [activeFileId, rememberedInputs]);
+
+    useEffect(() => {
+        localStorage.setItem(STDIN_STORAGE_KEY, JSON.stringify(rememberedInputs));
+    }, [rememberedInputs]);
+
+    useEffect(() => {
+        localStorage.setItem(JUDGE_OPTIONS_KEY, JSON.stringify(judgeOptions));
+    }, [judgeOptions]);
+
+    useEffect(() => {
+        localStorage.setItem(BENCHMARK_OPTIONS_KEY, JSON.stringify(benchmarkOptions));
+    }, [benchmarkOptions]);
+
+    useEffect(() => {
+        localStorage.setItem(BREAKPOINTS_STORAGE_KEY, JSON.stringify(breakpoints));
+    }, [breakpoints]);
+
+    const activeLanguage = activeFile ? getFileLanguage(activeFile.name, languages) : null;
+    // Until the backend answers, assume the remote engine can run everything
+    const isRemoteAvailable = !remoteRuntimes || !activeLanguage
+        || Boolean(remoteRuntimes.languages?.[activeLanguage]?.available);
+    // Local toolchain found by the backend's startup probe (null = not known)
+    const activeToolchain = activeLanguage ? languages[activeLanguage]?.toolchain : null;
+    const isLocalAvailable = !activeToolchain || activeToolchain.available;
+    const autoModeLabel = { local: "Local", piston: "Cloud" }[languages[activeLanguage]?.autoMode];
+
     /* ================= HELPERS ================= */
 
     const getPathFromId = useCallback((items, id) => {
@@ -127,6 +265,100 @@ export default function IDELayout() {
         return traverseNew(newItems);
     }, []);
 
+    const findItem = useCallback((items, id) => {
+        for (const item of items) {
+            if (item.id === id) return item;
+            if (item.children) {
+                const found = findItem(item.children, id);
+                if (found) return found;
+            }
+        }
+        return null;
+    }, []);
+
+    const findItemByPath = useCallback((items, pathStr) => {
+        const [head, ...rest] = pathStr.split('/').filter(Boolean);
+        const item = items.find(i => i.name === head);
+        if (!item || rest.length === 0) return item || null;
+        return item.children ? findItemByPath(item.children, rest.join('/')) : null;
+    }, []);
+
+    // Tree items only get content on load; edits live in the open tabs
+    const getLatestContent = useCallback(
+        item => openFiles.find(f => f.id === item.id)?.content ?? item.content,
+        [openFiles]
+    );
+
+    // Flattens a subtree into [{ path, content }] with paths relative to it
+    const collectProjectFiles = useCallback((items, prefix = "") => {
+        return items.flatMap(item => {
+            const itemPath = prefix ? `${prefix}/${item.name}` : item.name;
+            if (item.isDir) return collectProjectFiles(item.children || [], itemPath);
+            const content = getLatestContent(item);
+            if (typeof content !== "string" || content.length > MAX_PROJECT_FILE_SIZE) return [];
+            return [{ path: itemPath, content }];
+        });
+    }, [getLatestContent]);
+
+    const launchConfig = useMemo(() => {
+        const item = findItemByPath(files, `${LAUNCH_CONFIG_DIR}/${LAUNCH_CONFIG_FILE}`);
+        return parseLaunchConfig(item ? getLatestContent(item) : "");
+    }, [files, findItemByPath, getLatestContent]);
+
+    const activeRunConfig = launchConfig.configurations.find(c => c.name === selectedRunConfig) || null;
+
+    // Runtime version for a run: the configuration's (if it runs that language;
+    // without a program, if the language has that version), else the workspace
+    // pin (undefined = the language's default). Same rule as resolveRunVersion
+    const getPinnedVersion = useCallback((language) => {
+        const configVersion = activeRunConfig?.version ? String(activeRunConfig.version) : null;
+        const configApplies = activeRunConfig?.program
+            ? getFileLanguage(activeRunConfig.program, languages) === language
+            : Boolean(languages[language]?.versions?.includes(configVersion));
+        return (configApplies && configVersion) || launchConfig.runtimes[language] || undefined;
+    }, [activeRunConfig, launchConfig, languages]);
+
+    const activeFilePath = useMemo(
+        () => (activeFileId ? (getPathFromId(files, activeFileId) || []).join('/') : null),
+        [files, activeFileId, getPathFromId]
+    );
+
+    // Language a debug, visualize or profile run would start: the run configuration's program or the active file
+    const debugLanguage = activeRunConfig?.program ? getFileLanguage(activeRunConfig.program, languages) : activeLanguage;
+
+    // The visualizer step shown while its panel is open
+    const traceStep = activePanel === "visualizer" ? visualizerTrace?.steps[visualizerStep] || null : null;
+
+    // The frame selected in the call stack while paused
+    const pausedFrame = useMemo(
+        () => (debugSession?.status === "paused" ? debugSession.frames.find(f => f.id === debugSession.frameId) || null : null),
+        [debugSession]
+    );
+
+    /**
+     * Builds the project part of the execute payload: the run root folder, the
+     * entrypoint and every file under the root.
+     * The entrypoint is the run configuration's `program` (relative to the run
+     * root) or the active file. Falls back to the workspace root when the
+     * entrypoint is outside the run root.
+     */
+    const buildRunProject = useCallback((program) => {
+        const rootFolder = runRootId ? findItem(files, runRootId) : null;
+        const rootPath = rootFolder ? getPathFromId(files, runRootId).join('/') : "";
+        const entryPath = program
+            ? [rootPath, program].filter(Boolean).join('/')
+            : (getPathFromId(files, activeFileId) || [activeFile.name]).join('/');
+
+        if (rootPath && entryPath.startsWith(`${rootPath}/`)) {
+            return {
+                root: rootPath,
+                entrypoint: entryPath.slice(rootPath.length + 1),
+                files: collectProjectFiles(rootFolder.children || [])
+            };
+        }
+        return { root: "", entrypoint: entryPath, files: collectProjectFiles(files) };
+    }, [files, activeFileId, activeFile, runRootId, findItem, getPathFromId, collectProjectFiles]);
+
     const addItem = (items, parentId, newItem) => {
         if (!parentId) return [...items, newItem];
         return items.map(item => {
@@ -167,59 +399,104 @@ export default function IDELayout() {
 
     /* ================= HANDLERS ================= */
 
+    // The file a run starts from: the run configuration's program or the active tab
+    const resolveRunFile = useCallback(() => {
+        // Without the registry every file would be sent as plain text
+        if (!languagesLoaded) {
+            setActivePanel("terminal");
+            setTerminals(prev => prev.map(t =>
+                t.id === activeTerminalId ? {
+                    ...t,
+                    output: [...t.output, languagesError
+                        ? `\n❌ The language list could not be loaded from the backend (${languagesError}); reload the page to try again.\n`
+                        : `\n⏳ The language list is still loading, try again in a moment.\n`]
+                } : t
+            ));
+            return null;
+        }
+
+        const program = activeRunConfig?.program;
+        if (!program) return activeFile;
+
+        const rootPath = runRootId ? (getPathFromId(files, runRootId) || []).join('/') : "";
+        const item = findItemByPath(files, [rootPath, program].filter(Boolean).join('/'));
+        if (!item || item.isDir) {
+            alert(`Run configuration "${activeRunConfig.name}": program not found: ${program}`);
+            return null;
+        }
+        return { ...item, content: getLatestContent(item) };
+    }, [activeFile, activeRunConfig, runRootId, files, getPathFromId, findItemByPath, getLatestContent, languagesLoaded, languagesError, activeTerminalId]);
+
     const handleRunCode = useCallback(() => {
-        if (!activeFile) return;
+        const runFile = resolveRunFile();
+        if (!runFile) return;
+
+        const language = getFileLanguage(runFile.name, languages);
+        const definition = languages[language];
 
         // --- WEB INTERCEPTOR ---
-<<<<<<< HEAD
-        const ext = activeFile.name.split('.').pop().toLowerCase();
-        if (['html', 'htm', 'jsx', 'tsx', 'vue', 'svelte'].includes(ext)) {
-            setShowPreview(true);
-            setPreviewOutput(null);
-=======
         // If it's a web file, open preview instead of running on backend
-        const ext = activeFile.name.split('.').pop().toLowerCase();
-        if (['html', 'htm', 'jsx', 'tsx', 'vue', 'svelte'].includes(ext)) {
+        if (definition?.preview) {
             setShowPreview(true);
->>>>>>> f56aa7769833d7fe590f81c8942a0290a924f91c
+            setPreviewOutput(null);
+            setActivePanel("terminal");
+            setTerminals(prev => prev.map(t =>
+                t.id === activeTerminalId ? {
+                    ...t,
+                    output: [...t.output, `▶ Starting Web Preview for ${runFile.name}...`]
+                } : t
+            ));
+            return;
+        }
+
+        // Nothing to run it with
+        const engines = definition?.engines;
+        if (!engines?.local && !engines?.sandbox && !engines?.piston) {
             setActivePanel("terminal");
             setTerminals(prev => prev.map(t =>
                 t.id === activeTerminalId ? {
                     ...t,
-                    output: [...t.output, `▶ Starting Web Preview for ${activeFile.name}...`]
+                    output: [...t.output, `\n❌ ${definition?.name || language} files cannot be run.\n`]
                 } : t
             ));
             return;
         }
 
-<<<<<<< HEAD
         // --- PHP / SERVER-SIDE PREVIEW ---
-        if (ext === 'php') {
+        if (language === 'php') {
             setShowPreview(true);
             setIsCapturingPreview(true);
             setPreviewOutput(""); // Clear previous output
         }
 
-=======
->>>>>>> f56aa7769833d7fe590f81c8942a0290a924f91c
         if (isExecuting) {
             alert("Code is already running. Please wait.");
             return;
         }
 
+        const mode = activeRunConfig?.executionMode || executionMode;
+        const stdin = showInputPanel && stdinText ? stdinText : undefined;
+        let label = activeRunConfig ? `${runFile.name} (${activeRunConfig.name})` : runFile.name;
+        if (stdin !== undefined) label += " with input";
+
         setIsExecuting(true);
+        setLastRunResult(null);
         setActivePanel("terminal");
         setTerminals(prev => prev.map(t =>
-            t.id === activeTerminalId ? { ...t, output: [...t.output, `▶ Executing ${activeFile.name}...`], busy: true } : t
+            t.id === activeTerminalId ? { ...t, output: [...t.output, `▶ Executing ${label}...`], busy: true } : t
         ));
 
         if (socketRef.current?.connected) {
-            console.log(`[Frontend] 🚀 Sending execution request with mode: "${executionMode}"`);
+            console.log(`[Frontend] 🚀 Sending execution request with mode: "${mode}"`);
             socketRef.current.emit("execute", {
-                language: getFileLanguage(activeFile.name),
-                code: activeFile.content,
-                fileName: activeFile.name,
-                executionMode: executionMode
+                language,
+                version: getPinnedVersion(language),
+                code: runFile.content,
+                fileName: runFile.name,
+                executionMode: mode,
+                runConfig: activeRunConfig,
+                stdin,
+                ...buildRunProject(activeRunConfig?.program)
             });
         } else {
             setTerminals(prev => prev.map(t =>
@@ -227,7 +504,329 @@ export default function IDELayout() {
             ));
             setIsExecuting(false);
         }
-    }, [activeFile, activeTerminalId, isExecuting, executionMode]);
+    }, [activeTerminalId, isExecuting, executionMode, buildRunProject, activeRunConfig, resolveRunFile, showInputPanel, stdinText, languages, getPinnedVersion]);
+
+    // Judge mode: runs the program against the .in/.out cases in the cases folder
+    const handleRunTests = useCallback(() => {
+        const runFile = resolveRunFile();
+        if (!runFile) return;
+
+        if (isExecuting) {
+            alert("Code is already running. Please wait.");
+            return;
+        }
+
+        setIsExecuting(true);
+        setLastRunResult(null);
+        setJudgeReport({ cases: [], passed: 0, total: null, error: null, running: true });
+        setActivePanel("tests");
+        setTerminals(prev => prev.map(t =>
+            t.id === activeTerminalId ? { ...t, output: [...t.output, `▶ Judging ${runFile.name}...`] } : t
+        ));
+
+        if (socketRef.current?.connected) {
+            const language = getFileLanguage(runFile.name, languages);
+            socketRef.current.emit("judge:run", {
+                language,
+                version: getPinnedVersion(language),
+                code: runFile.content,
+                fileName: runFile.name,
+                executionMode: activeRunConfig?.executionMode || executionMode,
+                runConfig: activeRunConfig,
+                judge: judgeOptions,
+                ...buildRunProject(activeRunConfig?.program)
+            });
+        } else {
+            setJudgeReport(prev => ({ ...prev, running: false, error: "Socket not connected." }));
+            setIsExecuting(false);
+        }
+    }, [activeTerminalId, isExecuting, executionMode, buildRunProject, activeRunConfig, resolveRunFile, judgeOptions, languages, getPinnedVersion]);
+
+    // Benchmark mode: times the program on inputs of growing size from the generator script
+    const handleRunBenchmark = useCallback(() => {
+        const runFile = resolveRunFile();
+        if (!runFile) return;
+
+        if (isExecuting) {
+            alert("Code is already running. Please wait.");
+            return;
+        }
+
+        setIsExecuting(true);
+        setLastRunResult(null);
+        setBenchmarkReport({ points: [], fit: null, total: null, error: null, stopped: false, running: true });
+        setActivePanel("benchmark");
+        setTerminals(prev => prev.map(t =>
+            t.id === activeTerminalId ? { ...t, output: [...t.output, `▶ Benchmarking ${runFile.name}...`] } : t
+        ));
+
+        if (socketRef.current?.connected) {
+            const language = getFileLanguage(runFile.name, languages);
+            socketRef.current.emit("benchmark:run", {
+                language,
+                version: getPinnedVersion(language),
+                code: runFile.content,
+                fileName: runFile.name,
+                executionMode: activeRunConfig?.executionMode || executionMode,
+                runConfig: activeRunConfig,
+                benchmark: benchmarkOptions,
+                ...buildRunProject(activeRunConfig?.program)
+            });
+        } else {
+            setBenchmarkReport(prev => ({ ...prev, running: false, error: "Socket not connected." }));
+            setIsExecuting(false);
+        }
+    }, [activeTerminalId, isExecuting, executionMode, buildRunProject, activeRunConfig, resolveRunFile, benchmarkOptions, languages, getPinnedVersion]);
+
+    const handleStdinChange = useCallback((text) => {
+        setStdinText(text);
+        if (activeFileId && rememberedInputs[activeFileId] !== undefined) {
+            setRememberedInputs(prev => ({ ...prev, [activeFileId]: text }));
+        }
+    }, [activeFileId, rememberedInputs]);
+
+    const handleRememberInput = useCallback((remember) => {
+        if (!activeFileId) return;
+        setRememberedInputs(prev => {
+            const { [activeFileId]: _, ...rest } = prev;
+            return remember ? { ...rest, [activeFileId]: stdinText } : rest;
+        });
+    }, [activeFileId, stdinText]);
+
+    const handleStopCode = useCallback(() => {
+        if (!isExecuting || !socketRef.current?.connected) return;
+        socketRef.current.emit("execute:stop");
+    }, [isExecuting]);
+
+    // Runs the program under the debugger with the current breakpoints and watches
+    const handleStartDebug = useCallback(() => {
+        const runFile = resolveRunFile();
+        if (!runFile) return;
+
+        const language = getFileLanguage(runFile.name, languages);
+        if (!languages[language]?.debuggable) {
+            setActivePanel("terminal");
+            setTerminals(prev => prev.map(t =>
+                t.id === activeTerminalId ? {
+                    ...t,
+                    output: [...t.output, `\n❌ Debugging is not supported for ${languages[language]?.name || language} files.\n`]
+                } : t
+            ));
+            return;
+        }
+
+        if (isExecuting) {
+            alert("Code is already running. Please wait.");
+            return;
+        }
+
+        const stdin = showInputPanel && stdinText ? stdinText : undefined;
+        const label = activeRunConfig ? `${runFile.name} (${activeRunConfig.name})` : runFile.name;
+
+        setIsExecuting(true);
+        setLastRunResult(null);
+        setDebugSession({ status: "starting" });
+        setDebugVariables({});
+        setActiveSidebarView("debug");
+        setIsSidebarVisible(true);
+        setActivePanel("terminal");
+        setTerminals(prev => prev.map(t =>
+            t.id === activeTerminalId ? { ...t, output: [...t.output, `▶ Debugging ${label}...`], busy: true } : t
+        ));
+
+        if (socketRef.current?.connected) {
+            socketRef.current.emit("debug:start", {
+                language,
+                version: getPinnedVersion(language),
+                code: runFile.content,
+                fileName: runFile.name,
+                runConfig: activeRunConfig,
+                stdin,
+                breakpoints,
+                watches,
+                ...buildRunProject(activeRunConfig?.program)
+            });
+        } else {
+            setTerminals(prev => prev.map(t =>
+                t.id === activeTerminalId ? { ...t, output: [...t.output, "\n❌ Error: Socket not connected.\n"] } : t
+            ));
+            setDebugSession(null);
+            setIsExecuting(false);
+        }
+    }, [activeTerminalId, isExecuting, buildRunProject, activeRunConfig, resolveRunFile, showInputPanel, stdinText, languages, getPinnedVersion, breakpoints, watches]);
+
+    // Runs the program under its language's tracer and opens the recorded steps in the visualizer
+    const handleVisualize = useCallback(() => {
+        const runFile = resolveRunFile();
+        if (!runFile) return;
+
+        const language = getFileLanguage(runFile.name, languages);
+        if (!languages[language]?.visualizable) {
+            setActivePanel("terminal");
+            setTerminals(prev => prev.map(t =>
+                t.id === activeTerminalId ? {
+                    ...t,
+                    output: [...t.output, `\n❌ Visualization is not supported for ${languages[language]?.name || language} files.\n`]
+                } : t
+            ));
+            return;
+        }
+
+        if (isExecuting) {
+            alert("Code is already running. Please wait.");
+            return;
+        }
+
+        const stdin = showInputPanel && stdinText ? stdinText : undefined;
+        const label = activeRunConfig ? `${runFile.name} (${activeRunConfig.name})` : runFile.name;
+
+        setIsExecuting(true);
+        setLastRunResult(null);
+        setVisualizerTrace({ steps: [], truncated: false, error: null, running: true });
+        setVisualizerStep(0);
+        setActivePanel("visualizer");
+        setTerminals(prev => prev.map(t =>
+            t.id === activeTerminalId ? { ...t, output: [...t.output, `▶ Visualizing ${label}...`], busy: true } : t
+        ));
+
+        if (socketRef.current?.connected) {
+            socketRef.current.emit("visualize:run", {
+                language,
+                version: getPinnedVersion(language),
+                code: runFile.content,
+                fileName: runFile.name,
+                runConfig: activeRunConfig,
+                stdin,
+                ...buildRunProject(activeRunConfig?.program)
+            });
+        } else {
+            setVisualizerTrace({ steps: [], truncated: false, error: "Socket not connected.", running: false });
+            setIsExecuting(false);
+        }
+    }, [activeTerminalId, isExecuting, buildRunProject, activeRunConfig, resolveRunFile, showInputPanel, stdinText, languages, getPinnedVersion]);
+
+    // Runs the program on a virtual display streamed into the display panel
+    const handleRunGui = useCallback(() => {
+        const runFile = resolveRunFile();
+        if (!runFile) return;
+
+        if (isExecuting) {
+            alert("Code is already running. Please wait.");
+            return;
+        }
+
+        const language = getFileLanguage(runFile.name, languages);
+        const stdin = showInputPanel && stdinText ? stdinText : undefined;
+        const label = activeRunConfig ? `${runFile.name} (${activeRunConfig.name})` : runFile.name;
+
+        setIsExecuting(true);
+        setLastRunResult(null);
+        setGuiDisplay({ status: "starting", width: 0, height: 0, frame: null });
+        setActivePanel("display");
+        setTerminals(prev => prev.map(t =>
+            t.id === activeTerminalId ? { ...t, output: [...t.output, `▶ Running ${label} with a display...`], busy: true } : t
+        ));
+
+        if (socketRef.current?.connected) {
+            socketRef.current.emit("gui:run", {
+                language,
+                version: getPinnedVersion(language),
+                code: runFile.content,
+                fileName: runFile.name,
+                runConfig: activeRunConfig,
+                stdin,
+                ...buildRunProject(activeRunConfig?.program)
+            });
+        } else {
+            setGuiDisplay(null);
+            setIsExecuting(false);
+        }
+    }, [activeTerminalId, isExecuting, buildRunProject, activeRunConfig, resolveRunFile, showInputPanel, stdinText, languages, getPinnedVersion]);
+
+    const handleGuiInput = useCallback((event) => {
+        socketRef.current?.emit("gui:input", event);
+    }, []);
+
+    // Runs the program under its language's CPU profiler and shows the result in the profiler panel
+    const handleProfile = useCallback(() => {
+        const runFile = resolveRunFile();
+        if (!runFile) return;
+
+        const language = getFileLanguage(runFile.name, languages);
+        if (!languages[language]?.profilable) {
+            setActivePanel("terminal");
+            setTerminals(prev => prev.map(t =>
+                t.id === activeTerminalId ? {
+                    ...t,
+                    output: [...t.output, `\n❌ Profiling is not supported for ${languages[language]?.name || language} files.\n`]
+                } : t
+            ));
+            return;
+        }
+
+        if (isExecuting) {
+            alert("Code is already running. Please wait.");
+            return;
+        }
+
+        const stdin = showInputPanel && stdinText ? stdinText : undefined;
+        const label = activeRunConfig ? `${runFile.name} (${activeRunConfig.name})` : runFile.name;
+
+        setIsExecuting(true);
+        setLastRunResult(null);
+        setProfileResult({ total: 0, root: null, functions: [], error: null, running: true });
+        setActivePanel("profiler");
+        setTerminals(prev => prev.map(t =>
+            t.id === activeTerminalId ? { ...t, output: [...t.output, `▶ Profiling ${label}...`], busy: true } : t
+        ));
+
+        if (socketRef.current?.connected) {
+            socketRef.current.emit("profile:run", {
+                language,
+                version: getPinnedVersion(language),
+                code: runFile.content,
+                fileName: runFile.name,
+                runConfig: activeRunConfig,
+                stdin,
+                ...buildRunProject(activeRunConfig?.program)
+            });
+        } else {
+            setProfileResult({ total: 0, root: null, functions: [], error: "Socket not connected.", running: false });
+            setIsExecuting(false);
+        }
+    }, [activeTerminalId, isExecuting, buildRunProject, activeRunConfig, resolveRunFile, showInputPanel, stdinText, languages, getPinnedVersion]);
+
+    // continue, stepOver, stepInto, stepOut and pause; the rest need arguments
+    const handleDebugCommand = useCallback((command) => {
+        if (!debugSession || !socketRef.current?.connected) return;
+        socketRef.current.emit(`debug:${command}`);
+    }, [debugSession]);
+
+    const updateBreakpoints = useCallback((path, lines) => {
+        setBreakpoints(prev => {
+            const { [path]: _, ...rest } = prev;
+            return lines.length ? { ...rest, [path]: lines } : rest;
+        });
+        // A running session picks up the change immediately
+        if (debugSession && socketRef.current?.connected) {
+            socketRef.current.emit("debug:setBreakpoints", { path, lines });
+        }
+    }, [debugSession]);
+
+    const handleToggleBreakpoint = useCallback((line) => {
+        if (!activeFilePath) return;
+        const lines = breakpoints[activeFilePath] || [];
+        updateBreakpoints(activeFilePath, lines.includes(line)
+            ? lines.filter(l => l !== line)
+            : [...lines, line].sort((a, b) => a - b));
+    }, [activeFilePath, breakpoints, updateBreakpoints]);
+
+    const handleWatchesChange = useCallback((list) => {
+        setWatches(list);
+        if (debugSession && socketRef.current?.connected) {
+            socketRef.current.emit("debug:watches", { watches: list, frameId: debugSession.frameId });
+        }
+    }, [debugSession]);
 
     const handleSave = useCallback(() => {
         if (!activeFileId || !activeFile) return;
@@ -295,6 +894,41 @@ export default function IDELayout() {
         }
     }, [openFiles]);
 
+    // Opens a workspace file and moves the cursor to the line (profiler and breakpoint lists)
+    const handleOpenLocation = useCallback((path, line) => {
+        const item = findItemByPath(files, path);
+        if (!item || item.isDir) return;
+        openFile(item);
+        if (line) setEditorReveal({ path, line });
+    }, [files, findItemByPath, openFile]);
+
+    // Opens .teachgrid/launch.json, creating it from a template the first time
+    const handleOpenLaunchConfig = useCallback(() => {
+        const configPath = `${LAUNCH_CONFIG_DIR}/${LAUNCH_CONFIG_FILE}`;
+        const existing = findItemByPath(files, configPath);
+        if (existing) {
+            openFile(existing);
+            return;
+        }
+
+        const configFile = { id: configPath, name: LAUNCH_CONFIG_FILE, isDir: false, content: LAUNCH_CONFIG_TEMPLATE };
+        const configDir = findItemByPath(files, LAUNCH_CONFIG_DIR);
+        if (configDir) {
+            setFiles(prev => prev.map(item => item.id === configDir.id
+                ? { ...item, isOpen: true, children: [...(item.children || []), configFile] }
+                : item));
+        } else {
+            const newDir = { id: LAUNCH_CONFIG_DIR, name: LAUNCH_CONFIG_DIR, isDir: true, isOpen: true, children: [configFile] };
+            setFiles(prev => [...prev, newDir]);
+        }
+
+        if (socketRef.current?.connected) {
+            if (!configDir) socketRef.current.emit("file:save", { path: LAUNCH_CONFIG_DIR, content: "", isDir: true });
+            socketRef.current.emit("file:save", { path: configPath, content: LAUNCH_CONFIG_TEMPLATE });
+        }
+        openFile(configFile);
+    }, [files, findItemByPath, openFile]);
+
     const closeFile = useCallback((e, id) => {
         e.stopPropagation();
         const rest = openFiles.filter(f => f.id !== id);
@@ -334,6 +968,8 @@ export default function IDELayout() {
         if (actionId === 'copy-path') {
             navigator.clipboard.writeText(item.name);
         }
+        if (actionId === 'set-run-root') setRunRootId(item.id);
+        if (actionId === 'clear-run-root') setRunRootId(null);
     }, [files, getPathFromId, handleCreateItem]);
 
     /* ================= EFFECTS ================= */
@@ -343,6 +979,7 @@ export default function IDELayout() {
     }, [activeTerminalId]);
 
     const isCapturingRef = useRef(false);
+    const isQueuedRef = useRef(false);
     useEffect(() => { isCapturingRef.current = isCapturingPreview; }, [isCapturingPreview]);
 
     useEffect(() => {
@@ -388,9 +1025,120 @@ export default function IDELayout() {
             setOpenFiles(prev => prev.map(f => f.id === path ? { ...f, content } : f));
         });
 
-        socketRef.current.on("execution_complete", () => {
+        socketRef.current.on("execution:queued", ({ ahead }) => {
+            // Announce once per job; later position updates only go to the status bar
+            if (!isQueuedRef.current) {
+                isQueuedRef.current = true;
+                setTerminals(prev => prev.map(t =>
+                    t.id === activeTerminalIdRef.current ? { ...t, output: [...t.output, `⏳ Queued, ${ahead} ahead`] } : t
+                ));
+            }
+            setQueuedAhead(ahead);
+        });
+
+        socketRef.current.on("execution:started", () => {
+            isQueuedRef.current = false;
+            setQueuedAhead(null);
+        });
+
+        socketRef.current.on("execution_complete", (result) => {
             setIsExecuting(false);
+            setDebugSession(null);
+            // Failed before a trace could be sent
+            setVisualizerTrace(prev => (prev?.running ? { ...prev, running: false } : prev));
+            setProfileResult(prev => (prev?.running ? { ...prev, running: false } : prev));
+            // The display could not be started
+            setGuiDisplay(prev => (prev?.status === "starting" ? { ...prev, status: "closed" } : prev));
+            isQueuedRef.current = false;
+            setQueuedAhead(null);
             setIsCapturingPreview(false);
+            if (!result) return;
+
+            setLastRunResult(result);
+            const footer = `── ${isRunSuccessful(result) ? '✔' : '✖'} ${describeRunResult(result)} · ${formatDuration(result.wallTime)} ──`;
+            setTerminals(prev => prev.map(t =>
+                t.id === activeTerminalIdRef.current ? { ...t, output: [...t.output, footer] } : t
+            ));
+        });
+
+        socketRef.current.on("judge:case", ({ total, result }) => {
+            setJudgeReport(prev => ({ ...prev, total, cases: [...(prev?.cases || []), result] }));
+        });
+
+        socketRef.current.on("judge:complete", (report) => {
+            setIsExecuting(false);
+            isQueuedRef.current = false;
+            setQueuedAhead(null);
+            setJudgeReport({ ...report, running: false });
+        });
+
+        // Sent by local runs right before execution_complete
+        socketRef.current.on("artifacts:result", (result) => {
+            setRunArtifacts(result);
+        });
+
+        // tsc type-checks TypeScript runs in the background; every update has the full list
+        socketRef.current.on("diagnostics", (result) => {
+            setProblems(result);
+        });
+
+        socketRef.current.on("benchmark:point", ({ total, point }) => {
+            setBenchmarkReport(prev => ({ ...prev, total, points: [...(prev?.points || []), point] }));
+        });
+
+        socketRef.current.on("benchmark:complete", (report) => {
+            setIsExecuting(false);
+            isQueuedRef.current = false;
+            setQueuedAhead(null);
+            setBenchmarkReport({ ...report, running: false });
+        });
+
+        socketRef.current.on("debug:started", () => {
+            // A breakpoint on the first lines can already have paused it
+            setDebugSession(prev => (prev?.status === "starting" ? { status: "running" } : prev));
+        });
+
+        socketRef.current.on("debug:paused", (state) => {
+            setDebugVariables({});
+            setDebugSession({ status: "paused", ...state });
+        });
+
+        socketRef.current.on("debug:continued", () => {
+            setDebugSession(prev => prev && { status: "running" });
+        });
+
+        // Another frame selected, or the watch list changed while paused
+        socketRef.current.on("debug:scopes", ({ frameId, scopes, watches }) => {
+            setDebugSession(prev => (prev?.status === "paused" ? { ...prev, frameId, scopes, watches } : prev));
+        });
+
+        socketRef.current.on("debug:variables", ({ reference, variables }) => {
+            setDebugVariables(prev => ({ ...prev, [reference]: variables }));
+        });
+
+        socketRef.current.on("debug:terminated", () => {
+            setDebugSession(null);
+        });
+
+        socketRef.current.on("visualize:trace", (trace) => {
+            setVisualizerTrace({ ...trace, running: false });
+            setVisualizerStep(0);
+        });
+
+        socketRef.current.on("gui:started", ({ width, height }) => {
+            setGuiDisplay({ status: "running", width, height, frame: null });
+        });
+
+        socketRef.current.on("gui:frame", ({ url }) => {
+            setGuiDisplay(prev => prev && { ...prev, frame: url });
+        });
+
+        socketRef.current.on("gui:closed", () => {
+            setGuiDisplay(prev => prev && { ...prev, status: "closed" });
+        });
+
+        socketRef.current.on("profile:result", (result) => {
+            setProfileResult({ ...result, running: false });
         });
 
         socketRef.current.on("terminal:status", ({ busy }) => {
@@ -414,6 +1162,22 @@ export default function IDELayout() {
     }, [mergeFolderStates]);
 
     useEffect(() => {
+        fetch(`${BACKEND_URL}/api/runtimes`)
+            .then(res => res.json())
+            .then(setRemoteRuntimes)
+            .catch(err => console.warn("[Frontend] Could not load remote runtimes:", err.message));
+
+        fetch(`${BACKEND_URL}/api/languages`)
+            .then(res => res.json())
+            .then(data => setLanguages({ ...FALLBACK_LANGUAGES, ...data.languages }))
+            .catch(err => {
+                console.warn("[Frontend] Could not load languages:", err.message);
+                setLanguagesError(err.message);
+            });
+    }, []);
+
+    useEffect(() => {
+        const isPaused = debugSession?.status === "paused";
         const handleGlobalKeyDown = (e) => {
             if (e.ctrlKey && e.shiftKey && e.key === 'P') { e.preventDefault(); setIsCommandPaletteOpen(true); }
             else if (e.ctrlKey && e.key === 'p') { e.preventDefault(); setIsCommandPaletteOpen(true); }
@@ -421,11 +1185,35 @@ export default function IDELayout() {
             else if (e.ctrlKey && e.key === 'b') { e.preventDefault(); setIsSidebarVisible(prev => !prev); }
             else if (e.altKey && e.key === 'n') { e.preventDefault(); handleCreateItem(false); }
             else if (e.altKey && e.shiftKey && e.key === 'N') { e.preventDefault(); handleCreateItem(true); }
+            else if (e.altKey && e.key === 't') { e.preventDefault(); handleRunTests(); }
+            else if (e.shiftKey && e.key === 'F5') { e.preventDefault(); handleStopCode(); }
+            else if (isPaused && e.key === 'F5') { e.preventDefault(); handleDebugCommand('continue'); }
+            else if (isPaused && e.key === 'F10') { e.preventDefault(); handleDebugCommand('stepOver'); }
+            else if (isPaused && e.shiftKey && e.key === 'F11') { e.preventDefault(); handleDebugCommand('stepOut'); }
+            else if (isPaused && e.key === 'F11') { e.preventDefault(); handleDebugCommand('stepInto'); }
             else if (e.key === 'F5' || (e.ctrlKey && e.key === 'Enter')) { e.preventDefault(); handleRunCode(); }
         };
         window.addEventListener('keydown', handleGlobalKeyDown);
         return () => window.removeEventListener('keydown', handleGlobalKeyDown);
-    }, [handleRunCode, handleSave, handleCreateItem]);
+    }, [handleRunCode, handleRunTests, handleStopCode, handleSave, handleCreateItem, handleDebugCommand, debugSession]);
+
+    // Opens the file of the selected frame once per pause or frame switch
+    const revealedFrameRef = useRef(null);
+    useEffect(() => {
+        if (!pausedFrame || revealedFrameRef.current === pausedFrame) return;
+        revealedFrameRef.current = pausedFrame;
+        const item = pausedFrame.path ? findItemByPath(files, pausedFrame.path) : null;
+        if (item && !item.isDir) openFile(item);
+    }, [pausedFrame, files, findItemByPath, openFile]);
+
+    // Follows the visualizer into the file of the current step, once per step
+    const revealedStepRef = useRef(null);
+    useEffect(() => {
+        if (!traceStep || revealedStepRef.current === traceStep) return;
+        revealedStepRef.current = traceStep;
+        const item = traceStep.path ? findItemByPath(files, traceStep.path) : null;
+        if (item && !item.isDir) openFile(item);
+    }, [traceStep, files, findItemByPath, openFile]);
 
     useEffect(() => {
         if (!activeFileId || files.length === 0) return;
@@ -447,7 +1235,8 @@ export default function IDELayout() {
             <div key={item.id}>
                 <div
                     className={`file-tree-row ${activeFileId === item.id ? "active" : ""
-                        } ${selectedFolderId === item.id ? "selected" : ""}`}
+                        } ${selectedFolderId === item.id ? "selected" : ""} ${runRootId === item.id ? "run-root" : ""}`}
+                    title={runRootId === item.id ? "Run root: programs run from this folder" : undefined}
                     style={{ paddingLeft: `${level * 14 + 12}px` }}
                     onContextMenu={(e) => handleContextMenu(e, item)}
                     onClick={(e) => {
@@ -533,7 +1322,16 @@ export default function IDELayout() {
 
     const commands = [
         { id: 'run', label: 'Run Code', icon: <Play size={14} />, shortcut: 'F5', action: handleRunCode },
+        { id: 'run-tests', label: 'Run Test Cases', icon: <FlaskConical size={14} />, shortcut: 'Alt+T', action: handleRunTests },
+        { id: 'debug', label: 'Start Debugging', icon: <Bug size={14} />, action: handleStartDebug },
+        { id: 'visualize', label: 'Visualize Execution', icon: <StepForward size={14} />, action: handleVisualize },
+        { id: 'profile', label: 'Profile Execution', icon: <Gauge size={14} />, action: handleProfile },
+        { id: 'gui', label: 'Run with Display', icon: <Monitor size={14} />, action: handleRunGui },
+        { id: 'benchmark', label: 'Run Benchmark', icon: <TrendingUp size={14} />, action: handleRunBenchmark },
+        { id: 'stop', label: 'Stop Execution', icon: <Square size={14} />, shortcut: 'Shift+F5', action: handleStopCode },
+        { id: 'input', label: 'Toggle Input Panel', icon: <Keyboard size={14} />, action: () => setShowInputPanel(!showInputPanel) },
         { id: 'preview', label: 'Toggle Web Preview', icon: <Eye size={14} />, shortcut: 'Ctrl+Shift+P', action: () => setShowPreview(!showPreview) },
+        { id: 'run-config', label: 'Add Run Configuration', icon: <SlidersHorizontal size={14} />, action: handleOpenLaunchConfig },
         { id: 'new-file', label: 'New File', icon: <FilePlus size={14} />, shortcut: 'Alt+N', action: () => handleCreateItem(false) },
         { id: 'new-folder', label: 'New Folder', icon: <FolderPlus size={14} />, shortcut: 'Alt+Shift+N', action: () => handleCreateItem(true) },
         { id: 'sidebar', label: 'Toggle Sidebar', icon: <ChevronRight size={14} />, shortcut: 'Ctrl+B', action: () => setIsSidebarVisible(!isSidebarVisible) },
@@ -542,7 +1340,7 @@ export default function IDELayout() {
 
     return (
         <div className="ide-root">
-            <MenuBar onRun={handleRunCode} />
+            <MenuBar onRun={handleRunCode} onRunTests={handleRunTests} onVisualize={handleVisualize} onProfile={handleProfile} onRunBenchmark={handleRunBenchmark} onRunGui={handleRunGui} onStop={handleStopCode} />
             <main className="ide-workspace">
                 <ActivityBar activeView={activeSidebarView} onViewChange={setActiveSidebarView} modules={modules} />
 
@@ -565,7 +1363,25 @@ export default function IDELayout() {
                             {activeSidebarView === "explorer" && renderTree(files)}
                             {activeSidebarView === "search" && <SearchView files={files} onFileOpen={openFile} />}
                             {activeSidebarView === "database" && <DBExplorer onSelectTable={(id, db, table) => setActiveDB({ id, db, table })} />}
-                            {!['explorer', 'search', 'database'].includes(activeSidebarView) && (
+                            {activeSidebarView === "debug" && (
+                                <DebugPanel
+                                    session={debugSession}
+                                    canDebug={Boolean(languages[debugLanguage]?.debuggable) && !isExecuting}
+                                    languageName={languages[debugLanguage]?.name}
+                                    variables={debugVariables}
+                                    watches={watches}
+                                    breakpoints={breakpoints}
+                                    onStart={handleStartDebug}
+                                    onStop={handleStopCode}
+                                    onCommand={handleDebugCommand}
+                                    onSelectFrame={frame => socketRef.current?.emit("debug:frame", { frameId: frame.id })}
+                                    onExpand={reference => socketRef.current?.emit("debug:variables", { reference })}
+                                    onWatchesChange={handleWatchesChange}
+                                    onRemoveBreakpoint={(path, line) => updateBreakpoints(path, (breakpoints[path] || []).filter(l => l !== line))}
+                                    onOpenLocation={handleOpenLocation}
+                                />
+                            )}
+                            {!['explorer', 'search', 'database', 'debug'].includes(activeSidebarView) && (
                                 <div className="dynamic-module-placeholder">
                                     <Package size={40} opacity={0.2} />
                                     <span>{activeSidebarView.toUpperCase()} Module</span>
@@ -609,9 +1425,47 @@ export default function IDELayout() {
                                 value={executionMode}
                                 onChange={(e) => setExecutionMode(e.target.value)}
                             >
-                                <option value="auto">Auto-route</option>
-                                <option value="local">Local Engine</option>
-                                <option value="piston">Cloud API</option>
+                                <option value="auto">Auto-route{autoModeLabel ? ` (${autoModeLabel})` : ""}</option>
+                                <option
+                                    value="local"
+                                    disabled={!isLocalAvailable}
+                                    title={activeToolchain
+                                        ? (activeToolchain.available
+                                            ? activeToolchain.version || undefined
+                                            : `Not installed on the server: ${activeToolchain.missing.join(", ")}`)
+                                        : undefined}
+                                >
+                                    Local Engine{isLocalAvailable ? "" : " (unavailable)"}
+                                </option>
+                                <option value="sandbox">Local Sandbox</option>
+                                <option
+                                    value="piston"
+                                    disabled={!isRemoteAvailable}
+                                    title={isRemoteAvailable ? undefined : `The remote engine has no ${activeLanguage} runtime`}
+                                >
+                                    Cloud API{isRemoteAvailable ? "" : " (unavailable)"}
+                                </option>
+                                <option value="piston-stream" disabled={!isRemoteAvailable}>
+                                    Cloud API (interactive){isRemoteAvailable ? "" : " (unavailable)"}
+                                </option>
+                            </select>
+
+                            <select
+                                className={`mode-select launch-select ${launchConfig.error ? 'invalid' : ''}`}
+                                value={activeRunConfig ? selectedRunConfig : ""}
+                                onChange={(e) => {
+                                    if (e.target.value === "__edit__") handleOpenLaunchConfig();
+                                    else setSelectedRunConfig(e.target.value);
+                                }}
+                                title={launchConfig.error || "Run configuration (.teachgrid/launch.json)"}
+                            >
+                                <option value="">No configuration</option>
+                                {launchConfig.configurations.map(config => (
+                                    <option key={config.name} value={config.name}>{config.name}</option>
+                                ))}
+                                <option value="__edit__">
+                                    {launchConfig.configurations.length ? "Edit configurations..." : "Add configuration..."}
+                                </option>
                             </select>
 
                             <div className="action-divider" />
@@ -625,9 +1479,15 @@ export default function IDELayout() {
                             </div>
 
                             {isExecuting ? (
-                                <div className="spinner-small" />
+                                <div className="action-btn stop-btn" onClick={handleStopCode} title="Stop (Shift+F5)">
+                                    <Square size={14} />
+                                </div>
                             ) : (
-                                <div className="action-btn" onClick={handleRunCode} title="Run (F5)">
+                                <div
+                                    className={`action-btn ${languagesLoaded ? '' : 'disabled'}`}
+                                    onClick={handleRunCode}
+                                    title={languagesLoaded ? "Run (F5)" : "Run (F5) - waiting for the language list"}
+                                >
                                     <Play size={14} />
                                 </div>
                             )}
@@ -652,6 +1512,12 @@ export default function IDELayout() {
                             {activeFile ? (
                                 <CodeEditor
                                     activeFile={activeFile}
+                                    languages={languages}
+                                    breakpoints={breakpoints[activeFilePath]}
+                                    pausedLine={pausedFrame?.path === activeFilePath ? pausedFrame.line : null}
+                                    traceLine={traceStep?.path === activeFilePath ? traceStep.line : null}
+                                    revealLine={editorReveal?.path === activeFilePath ? editorReveal : null}
+                                    onToggleBreakpoint={handleToggleBreakpoint}
                                     onCodeChange={code => {
                                         setOpenFiles(prev => prev.map(f => f.id === activeFileId ? { ...f, content: code } : f));
                                         setFiles(prev => {
@@ -723,13 +1589,19 @@ export default function IDELayout() {
                     <footer className="ide-panel">
                         <div className="panel-tabs">
                             <div className="panel-tabs-main">
-                                {["PROBLEMS", "OUTPUT", "TERMINAL"].map(t => (
+                                {["PROBLEMS", "OUTPUT", "TERMINAL", "TESTS", "VISUALIZER", "PROFILER", "BENCHMARK", "ARTIFACTS", "DISPLAY"].map(t => (
                                     <div
                                         key={t}
                                         className={`panel-tab ${activePanel === t.toLowerCase() ? "active" : ""}`}
                                         onClick={() => setActivePanel(t.toLowerCase())}
                                     >
                                         {t}
+                                        {t === "ARTIFACTS" && runArtifacts?.artifacts.length > 0 && (
+                                            <span className="panel-tab-count">{runArtifacts.artifacts.length}</span>
+                                        )}
+                                        {t === "PROBLEMS" && problems?.diagnostics.length > 0 && (
+                                            <span className="panel-tab-count">{problems.diagnostics.length}</span>
+                                        )}
                                     </div>
                                 ))}
                             </div>
@@ -747,19 +1619,96 @@ export default function IDELayout() {
                                         </div>
                                     ))}
                                     <div className="add-terminal-btn" onClick={addTerminal}>+</div>
+                                    <div
+                                        className={`add-terminal-btn ${showInputPanel ? 'active' : ''}`}
+                                        onClick={() => setShowInputPanel(!showInputPanel)}
+                                        title="Toggle Input Panel (stdin)"
+                                    >
+                                        <Keyboard size={14} />
+                                    </div>
                                 </div>
                             )}
                         </div>
 
                         <div className="panel-content">
+                            {activePanel === "problems" && (
+                                <ProblemsPanel problems={problems} onOpenLocation={handleOpenLocation} />
+                            )}
                             {activePanel === "terminal" && (
-                                <Terminal
-                                    output={terminals.find(t => t.id === activeTerminalId)?.output || []}
-                                    onCommand={handleTerminalCommand}
-                                    onClear={() => setTerminals(prev => prev.map(t => t.id === activeTerminalId ? { ...t, output: [] } : t))}
-                                    onClose={(e) => closeTerminal(e, activeTerminalId)}
-                                    path={currentPath}
-                                    busy={terminals.find(t => t.id === activeTerminalId)?.busy || false}
+                                <div className="panel-split">
+                                    <div className="panel-split-main">
+                                        <Terminal
+                                            output={terminals.find(t => t.id === activeTerminalId)?.output || []}
+                                            onCommand={handleTerminalCommand}
+                                            onClear={() => setTerminals(prev => prev.map(t => t.id === activeTerminalId ? { ...t, output: [] } : t))}
+                                            onClose={(e) => closeTerminal(e, activeTerminalId)}
+                                            path={currentPath}
+                                            busy={terminals.find(t => t.id === activeTerminalId)?.busy || false}
+                                        />
+                                    </div>
+                                    {showInputPanel && (
+                                        <InputPanel
+                                            value={stdinText}
+                                            onChange={handleStdinChange}
+                                            remember={Boolean(activeFileId) && rememberedInputs[activeFileId] !== undefined}
+                                            onRememberChange={handleRememberInput}
+                                            fileName={activeFile?.name}
+                                            onClose={() => setShowInputPanel(false)}
+                                        />
+                                    )}
+                                </div>
+                            )}
+                            {activePanel === "tests" && (
+                                <JudgePanel
+                                    options={judgeOptions}
+                                    onOptionsChange={setJudgeOptions}
+                                    report={judgeReport}
+                                    onRun={handleRunTests}
+                                    onStop={handleStopCode}
+                                    isExecuting={isExecuting}
+                                />
+                            )}
+                            {activePanel === "visualizer" && (
+                                <VisualizerPanel
+                                    trace={visualizerTrace}
+                                    step={visualizerStep}
+                                    onStepChange={setVisualizerStep}
+                                    canVisualize={Boolean(languages[debugLanguage]?.visualizable)}
+                                    languageName={languages[debugLanguage]?.name}
+                                    isExecuting={isExecuting}
+                                    onRun={handleVisualize}
+                                />
+                            )}
+                            {activePanel === "profiler" && (
+                                <ProfilerPanel
+                                    profile={profileResult}
+                                    canProfile={Boolean(languages[debugLanguage]?.profilable)}
+                                    languageName={languages[debugLanguage]?.name}
+                                    isExecuting={isExecuting}
+                                    onRun={handleProfile}
+                                    onOpenLocation={handleOpenLocation}
+                                />
+                            )}
+                            {activePanel === "benchmark" && (
+                                <BenchmarkPanel
+                                    options={benchmarkOptions}
+                                    onOptionsChange={setBenchmarkOptions}
+                                    report={benchmarkReport}
+                                    onRun={handleRunBenchmark}
+                                    onStop={handleStopCode}
+                                    isExecuting={isExecuting}
+                                />
+                            )}
+                            {activePanel === "artifacts" && (
+                                <ArtifactsPanel result={runArtifacts} />
+                            )}
+                            {activePanel === "display" && (
+                                <GuiPanel
+                                    display={guiDisplay}
+                                    isExecuting={isExecuting}
+                                    onRun={handleRunGui}
+                                    onStop={handleStopCode}
+                                    onInput={handleGuiInput}
                                 />
                             )}
                         </div>
@@ -768,9 +1717,16 @@ export default function IDELayout() {
             </main>
 
             <StatusBar
-                language={activeFile ? getFileLanguage(activeFile.name) : "Plain Text"}
+                language={activeFile ? languages[activeLanguage]?.name || activeLanguage : "Plain Text"}
+                languageVersion={activeLanguage
+                    ? getPinnedVersion(activeLanguage) || languages[activeLanguage]?.defaultVersion
+                    : null}
                 isExecuting={isExecuting}
+                queuedAhead={queuedAhead}
                 isSaving={isSaving}
+                runResult={lastRunResult}
+                problemCounts={problemCounts}
+                onShowProblems={() => setActivePanel("problems")}
             />
 
             {isCommandPaletteOpen && (
@@ -788,6 +1744,7 @@ export default function IDELayout() {
                 <ContextMenu
                     position={{ x: contextMenu.x, y: contextMenu.y }}
                     item={contextMenu.item}
+                    isRunRoot={contextMenu.item.id === runRootId}
                     onAction={handleContextAction}
                     onClose={() => setContextMenu(null)}
                 />
@@ -0,0 +1,52 @@
+import React, { useRef } from "react";
+import { Upload, Trash2, X } from "lucide-react";
+import "./inputPanel.css";
+
+/**
+ * Stdin supplied up front, shown beside the terminal. While the panel is open
+ * its text is sent with every run as the program's standard input.
+ */
+export default function InputPanel({ value, onChange, remember, onRememberChange, fileName, onClose }) {
+    const fileInputRef = useRef(null);
+
+    const handleLoadFile = (e) => {
+        const file = e.target.files?.[0];
+        if (!file) return;
+        const reader = new FileReader();
+        reader.onload = () => onChange(String(reader.result));
+        reader.readAsText(file);
+        e.target.value = ""; // Allow loading the same file again
+    };
+
+    return (
+        <div className="input-panel">
+            <div className="input-panel-header">
+                <span>INPUT (STDIN)</span>
+                <div className="input-panel-actions">
+                    <Upload size={14} className="input-panel-icon" title="Load from file" onClick={() => fileInputRef.current?.click()} />
+                    <Trash2 size={14} className="input-panel-icon" title="Clear input" onClick={() => onChange("")} />
+                    <X size={14} className="input-panel-icon" title="Close (stop sending stdin)" onClick={onClose} />
+                </div>
+                <input ref={fileInputRef} type="file" hidden onChange={handleLoadFile} />
+            </div>
+
+            <textarea
+                className="input-panel-text"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                placeholder="Paste the program's input here. It is sent as stdin on the next run."
+                spellCheck={false}
+            />
+
+            <label className="input-panel-footer" title={fileName ? undefined : "Open a file first"}>
+                <input
+                    type="checkbox"
+                    checked={remember}
+                    disabled={!fileName}
+                    onChange={(e) => onRememberChange(e.target.checked)}
+                />
+                Remember for {fileName || "this file"}
+            </label>
+        </div>
+    );
+}
@@ -0,0 +1,155 @@
+import React, { useState, useEffect } from "react";
+import { Play, Square, CheckCircle2, XCircle } from "lucide-react";
+import { formatDuration } from "../utils/helpers";
+import "./judgePanel.css";
+
+const VERDICT_LABELS = {
+    passed: "Passed",
+    wrong_answer: "Wrong answer",
+    time_limit: "Time limit exceeded",
+    memory_limit: "Memory limit exceeded",
+    runtime_error: "Runtime error",
+    compile_error: "Compilation failed",
+    stopped: "Stopped",
+    error: "Error"
+};
+
+function DiffView({ result }) {
+    const mismatches = new Set(result.mismatches);
+    const rows = Math.max(result.expectedLines.length, result.actualLines.length);
+
+    // Runtime problems are easier to read as the raw output than as a diff
+    if (!["passed", "wrong_answer"].includes(result.verdict)) {
+        return (
+            <div className="judge-detail">
+                <div className="judge-detail-title">
+                    {VERDICT_LABELS[result.verdict]}
+                    {result.exitCode !== null && ` · exit ${result.exitCode}`}
+                    {result.signal && ` · ${result.signal}`}
+                </div>
+                <pre className="judge-raw">{result.message || [result.actual, result.log].filter(Boolean).join("\n") || "(no output)"}</pre>
+            </div>
+        );
+    }
+
+    return (
+        <div className="judge-detail">
+            <div className="judge-diff">
+                <div className="judge-diff-header">
+                    <span />
+                    <span>Expected</span>
+                    <span>Actual</span>
+                </div>
+                <div className="judge-diff-body">
+                    {Array.from({ length: rows }, (_, i) => (
+                        <div key={i} className={`judge-diff-row ${mismatches.has(i) ? "mismatch" : ""}`}>
+                            <span className="judge-line-no">{i + 1}</span>
+                            <span className="judge-line expected">{result.expectedLines[i] ?? ""}</span>
+                            <span className="judge-line actual">{result.actualLines[i] ?? ""}</span>
+                        </div>
+                    ))}
+                </div>
+            </div>
+            <div className="judge-detail-title">Input</div>
+            <pre className="judge-raw">{result.input || "(empty)"}</pre>
+        </div>
+    );
+}
+
+/**
+ * Judge mode: runs the program against NAME.in / NAME.out pairs from the cases
+ * folder and lists a verdict per case, with a side-by-side diff for failures.
+ */
+export default function JudgePanel({ options, onOptionsChange, report, onRun, onStop, isExecuting }) {
+    const [selected, setSelected] = useState(null);
+    const cases = report?.cases || [];
+
+    // Jump to the first failure once a run finishes
+    useEffect(() => {
+        if (report && !report.running) {
+            const failed = report.cases.find(c => c.verdict !== "passed");
+            setSelected(failed ? failed.name : null);
+        }
+    }, [report]);
+
+    const selectedResult = cases.find(c => c.name === selected);
+    const setOption = (key, value) => onOptionsChange({ ...options, [key]: value });
+
+    return (
+        <div className="judge-panel">
+            <div className="judge-toolbar">
+                {isExecuting ? (
+                    <button className="judge-btn stop" onClick={onStop} title="Stop (Shift+F5)">
+                        <Square size={12} /> Stop
+                    </button>
+                ) : (
+                    <button className="judge-btn" onClick={onRun} title="Run Test Cases (Alt+T)">
+                        <Play size={12} /> Run Tests
+                    </button>
+                )}
+                <label title="Folder with NAME.in / NAME.out files, relative to the run root">
+                    Cases
+                    <input
+                        className="judge-input"
+                        value={options.casesDir}
+                        onChange={(e) => setOption("casesDir", e.target.value)}
+                    />
+                </label>
+                <label>
+                    <input type="checkbox" checked={options.trim} onChange={(e) => setOption("trim", e.target.checked)} />
+                    Trim
+                </label>
+                <label>
+                    <input
+                        type="checkbox"
+                        checked={options.ignoreWhitespace}
+                        onChange={(e) => setOption("ignoreWhitespace", e.target.checked)}
+                    />
+                    Ignore whitespace
+                </label>
+                <label title="Numbers match if they differ by at most this much (empty = exact)">
+                    Float tolerance
+                    <input
+                        className="judge-input small"
+                        value={options.floatTolerance}
+                        placeholder="1e-6"
+                        onChange={(e) => setOption("floatTolerance", e.target.value)}
+                    />
+                </label>
+                {report && (
+                    <span className={`judge-summary ${report.passed === report.total && !report.running ? "success" : ""}`}>
+                        {report.running
+                            ? `Running… ${cases.length}${report.total ? `/${report.total}` : ""}`
+                            : report.error || `${report.passed}/${report.total} passed`}
+                    </span>
+                )}
+            </div>
+
+            <div className="judge-body">
+                <div className="judge-table">
+                    {cases.length === 0 && (
+                        <div className="judge-empty">
+                            {report?.running ? "Running…" : `Add NAME.in and NAME.out files to ${options.casesDir || "the run root"}/ and run the tests.`}
+                        </div>
+                    )}
+                    {cases.map(result => (
+                        <div
+                            key={result.name}
+                            className={`judge-row ${result.name === selected ? "selected" : ""}`}
+                            onClick={() => setSelected(result.name)}
+                        >
+                            {result.verdict === "passed"
+                                ? <CheckCircle2 size={14} className="judge-icon passed" />
+                                : <XCircle size={14} className="judge-icon failed" />}
+                            <span className="judge-case-name">{result.name}</span>
+                            <span className="judge-verdict">{VERDICT_LABELS[result.verdict]}</span>
+                            <span className="judge-time">{formatDuration(result.wallTime)}</span>
+                        </div>
+                    ))}
+                </div>
+
+                {selectedResult && <DiffView result={selectedResult} />}
+            </div>
+        </div>
+    );
+}
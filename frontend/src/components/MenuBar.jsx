@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef } from 'react';
 import './menuBar.css';
 
-export default function MenuBar({ onNewFile, onNewFolder, onRun }) {
+export default function MenuBar({ onNewFile, onNewFolder, onRun, onRunTests, onVisualize, onProfile, onRunBenchmark, onRunGui, onStop }) {
     const [activeMenu, setActiveMenu] = useState(null);
     const menuRef = useRef(null);
 
@@ -41,6 +41,12 @@ export default function MenuBar({ onNewFile, onNewFolder, onRun }) {
         ],
         'Run': [
             { label: 'Run Without Debugging', action: onRun, shortcut: 'Ctrl+F5' },
+            { label: 'Run Test Cases', action: onRunTests, shortcut: 'Alt+T' },
+            { label: 'Run with Display', action: onRunGui },
+            { label: 'Visualize Execution', action: onVisualize },
+            { label: 'Profile Execution', action: onProfile },
+            { label: 'Run Benchmark', action: onRunBenchmark },
+            { label: 'Stop', action: onStop, shortcut: 'Shift+F5' },
             { label: 'New Terminal', shortcut: 'Ctrl+Shift+`' }
         ],
         'Help': [
@@ -0,0 +1,59 @@
+import React from "react";
+import { XCircle, AlertTriangle } from "lucide-react";
+import "./problemsPanel.css";
+
+const SOURCE_NAMES = { tsc: "TypeScript" };
+
+/**
+ * Diagnostics of the last run that produced any (see backend
+ * execution/typescript.js): tsc's type errors, streamed while the program
+ * runs. `problems` is null before the first such run, else
+ * { source, status: "running" | "done" | "unavailable", diagnostics, message }.
+ * Clicking a diagnostic opens its file at the line.
+ */
+export default function ProblemsPanel({ problems, onOpenLocation }) {
+    if (!problems) {
+        return <div className="problems-empty">Type errors found while a TypeScript program runs are listed here.</div>;
+    }
+
+    const { source, status, diagnostics, message } = problems;
+    const errors = diagnostics.filter(d => d.severity === "error").length;
+    const sourceName = SOURCE_NAMES[source] || source;
+
+    return (
+        <div className="problems-panel">
+            <div className="problems-status">
+                {status === "running" && `${sourceName}: checking types…`}
+                {status === "done" && (diagnostics.length === 0
+                    ? `${sourceName}: no problems found`
+                    : `${sourceName}: ${errors} error${errors === 1 ? "" : "s"}, ${diagnostics.length - errors} warning${diagnostics.length - errors === 1 ? "" : "s"}`)}
+                {status === "unavailable" && `${sourceName} type checking unavailable: ${message}`}
+            </div>
+
+            <div className="problems-list">
+                {diagnostics.map((d, i) => {
+                    const Icon = d.severity === "error" ? XCircle : AlertTriangle;
+                    const [summary, ...details] = d.message.split("\n");
+                    return (
+                        <div
+                            key={i}
+                            className={`problem-row ${d.path ? "clickable" : ""}`}
+                            onClick={() => d.path && onOpenLocation(d.path, d.line)}
+                            title={d.message}
+                        >
+                            <Icon size={14} className={`problem-icon ${d.severity}`} />
+                            <div className="problem-text">
+                                <span className="problem-message">{summary}</span>
+                                <span className="problem-code">{d.code}</span>
+                                {d.path && (
+                                    <span className="problem-location">{d.path}:{d.line}:{d.column}</span>
+                                )}
+                                {details.length > 0 && <div className="problem-details">{details.join("\n")}</div>}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
@@ -0,0 +1,134 @@
+import React, { useMemo, useState } from "react";
+import { Gauge } from "lucide-react";
+import "./profilerPanel.css";
+
+const formatMs = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(2)} s` : `${ms.toFixed(1)} ms`);
+const formatShare = (ms, total) => (total > 0 ? `${((ms / total) * 100).toFixed(1)}%` : "");
+
+// Workspace frames get warm colours, stable per function name; library and runtime frames stay grey
+function frameColor(node) {
+    if (!node.path) return "hsl(210, 12%, 32%)";
+    let hash = 0;
+    for (const ch of node.name) hash = (hash * 31 + ch.charCodeAt(0)) | 0;
+    return `hsl(${15 + Math.abs(hash) % 35}, 70%, ${38 + Math.abs(hash >> 8) % 10}%)`;
+}
+
+const location = (item) => (item.file ? `${item.file}${item.line ? `:${item.line}` : ""}` : "built-in");
+
+/**
+ * One box of the flame graph and, below it, the calls it made. Widths are
+ * relative to the caller, so a box spans its share of the caller's time.
+ */
+function FlameNode({ node, parentTotal, rootTotal, onOpenLocation }) {
+    return (
+        <div className="flame-node" style={{ width: `${(node.total / parentTotal) * 100}%` }}>
+            <div
+                className={`flame-bar ${node.path ? "clickable" : ""}`}
+                style={{ background: frameColor(node) }}
+                title={`${node.name} (${location(node)})\nTotal ${formatMs(node.total)} (${formatShare(node.total, rootTotal)}) · Self ${formatMs(node.self)}`}
+                onClick={() => node.path && onOpenLocation(node.path, node.line)}
+            >
+                {node.name}
+            </div>
+            {node.children.length > 0 && (
+                <div className="flame-children">
+                    {node.children.map((child, i) => (
+                        <FlameNode key={i} node={child} parentTotal={node.total} rootTotal={rootTotal} onOpenLocation={onOpenLocation} />
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+/**
+ * Profile mode: a flame graph of where the run spent its time and a table of
+ * the most expensive functions (see backend execution/profiler.js for the
+ * format). Clicking a workspace function opens its file at that line.
+ * `profile` is null before the first run, else { total, root, functions, error, running }.
+ */
+export default function ProfilerPanel({
+    profile,
+    canProfile,
+    languageName,
+    isExecuting,
+    onRun,
+    onOpenLocation
+}) {
+    const [view, setView] = useState("flame");
+    const [sortBy, setSortBy] = useState("self");
+
+    const functions = useMemo(
+        () => [...(profile?.functions || [])].sort((a, b) => b[sortBy] - a[sortBy]),
+        [profile, sortBy]
+    );
+
+    const hasResult = Boolean(profile?.root);
+
+    return (
+        <div className="profiler-panel">
+            <div className="profiler-toolbar">
+                <button
+                    className="profiler-btn"
+                    onClick={onRun}
+                    disabled={!canProfile || isExecuting}
+                    title={canProfile ? "Profile Execution" : `Profiling is not available for ${languageName || "this file"}`}
+                >
+                    <Gauge size={12} /> {profile?.running ? "Profiling…" : "Profile"}
+                </button>
+                {hasResult && (
+                    <>
+                        <div className="profiler-views">
+                            <span className={view === "flame" ? "active" : ""} onClick={() => setView("flame")}>Flame Graph</span>
+                            <span className={view === "table" ? "active" : ""} onClick={() => setView("table")}>Top Functions</span>
+                        </div>
+                        <span className="profiler-status">Total {formatMs(profile.total)}</span>
+                    </>
+                )}
+            </div>
+
+            {!hasResult ? (
+                <div className="profiler-empty">
+                    {profile?.running
+                        ? "Running the program under the profiler…"
+                        : profile?.error || "Profile the active file to see where its time goes."}
+                </div>
+            ) : view === "flame" ? (
+                <div className="flame-graph">
+                    {profile.root.total > 0
+                        ? <FlameNode node={profile.root} parentTotal={profile.root.total} rootTotal={profile.root.total} onOpenLocation={onOpenLocation} />
+                        : <div className="profiler-empty">The run was too short to sample.</div>}
+                </div>
+            ) : (
+                <div className="profiler-table-wrapper">
+                    <table className="profiler-table">
+                        <thead>
+                            <tr>
+                                <th>Function</th>
+                                <th>Location</th>
+                                <th className={`num sortable ${sortBy === "self" ? "sorted" : ""}`} onClick={() => setSortBy("self")}>Self</th>
+                                <th className={`num sortable ${sortBy === "total" ? "sorted" : ""}`} onClick={() => setSortBy("total")}>Total</th>
+                                <th className="num">Calls</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {functions.map((fn, i) => (
+                                <tr
+                                    key={i}
+                                    className={fn.path ? "clickable" : "external"}
+                                    onClick={() => fn.path && onOpenLocation(fn.path, fn.line)}
+                                >
+                                    <td className="profiler-fn">{fn.name}</td>
+                                    <td className="profiler-location">{location(fn)}</td>
+                                    <td className="num">{formatMs(fn.self)} <span className="share">{formatShare(fn.self, profile.total)}</span></td>
+                                    <td className="num">{formatMs(fn.total)} <span className="share">{formatShare(fn.total, profile.total)}</span></td>
+                                    <td className="num">{fn.calls ?? "–"}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            )}
+        </div>
+    );
+}
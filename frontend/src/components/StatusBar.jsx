@@ -5,15 +5,25 @@ import {
     Loader2,
     XCircle,
     AlertTriangle,
-    Save
+    Save,
+    CheckCircle2,
+    Hourglass
 } from "lucide-react";
+import { describeRunResult, formatDuration, isRunSuccessful } from "../utils/helpers";
 import "./statusBar.css";
 
 export default function StatusBar({
     language = "Plain Text",
+    languageVersion = null,
     isExecuting = false,
-    isSaving = false
+    queuedAhead = null,
+    isSaving = false,
+    runResult = null,
+    problemCounts = { errors: 0, warnings: 0 },
+    onShowProblems
 }) {
+    const runSucceeded = isRunSuccessful(runResult);
+
     return (
         <div className="status-bar">
             {/* Left */}
@@ -23,20 +33,42 @@ export default function StatusBar({
                     <span>main*</span>
                 </div>
 
-                <div className="status-item errors">
+                <div className="status-item errors" onClick={onShowProblems} title="Problems">
                     <XCircle size={14} />
-                    <span>0</span>
+                    <span>{problemCounts.errors}</span>
                     <AlertTriangle size={14} />
-                    <span>0</span>
+                    <span>{problemCounts.warnings}</span>
                 </div>
 
-                {isExecuting && (
+                {isExecuting && queuedAhead !== null && (
+                    <div className="status-item execution queued" title="Waiting for a free execution worker">
+                        <Hourglass size={14} />
+                        <span>Queued, {queuedAhead} ahead</span>
+                    </div>
+                )}
+
+                {isExecuting && queuedAhead === null && (
                     <div className="status-item execution">
                         <Loader2 size={14} className="spin" />
                         <span>Running...</span>
                     </div>
                 )}
 
+                {!isExecuting && runResult && (
+                    <div
+                        className={`status-item run-result ${runSucceeded ? "success" : "failure"}`}
+                        title={describeRunResult(runResult)}
+                    >
+                        {runSucceeded ? <CheckCircle2 size={14} /> : <XCircle size={14} />}
+                        <span>
+                            {runResult.error || runResult.limitExceeded || runResult.signal
+                                ? describeRunResult(runResult)
+                                : `${runResult.phase === "compile" ? "Compile" : "Exit"} ${runResult.exitCode}`}
+                            {" · "}{formatDuration(runResult.wallTime)}
+                        </span>
+                    </div>
+                )}
+
                 {isSaving && (
                     <div className="status-item saving">
                         <Save size={14} className="pulse" />
@@ -50,7 +82,9 @@ export default function StatusBar({
                 <div className="status-item">Ln 1, Col 1</div>
                 <div className="status-item">Spaces: 4</div>
                 <div className="status-item">UTF-8</div>
-                <div className="status-item">{language}</div>
+                <div className="status-item" title={languageVersion ? "Runtime version (pin it in .teachgrid/launch.json)" : undefined}>
+                    {language}{languageVersion ? ` ${languageVersion}` : ""}
+                </div>
                 <div className="status-item">
                     <Bell size={12} />
                 </div>
@@ -0,0 +1,231 @@
+import React, { useMemo, useState } from "react";
+import { Play, ChevronsLeft, ChevronLeft, ChevronRight, ChevronsRight } from "lucide-react";
+import "./visualizerPanel.css";
+
+const EVENT_LABELS = {
+    line: "Executing",
+    call: "Called",
+    return: "Returning",
+    exception: "Exception raised"
+};
+
+// Braces around each heap object type's contents
+const BRACKETS = {
+    list: ["[", "]"],
+    array: ["[", "]"],
+    tuple: ["(", ")"],
+    set: ["{", "}"],
+    frozenset: ["frozenset({", "})"],
+    dict: ["{", "}"],
+    object: ["{", "}"]
+};
+
+/**
+ * A primitive inline, or an arrow to a heap object. Hovering an arrow
+ * highlights the object it points to.
+ */
+function Value({ value, labels, onHover }) {
+    if (!value.ref) {
+        return <span className={`viz-primitive ${value.type}`} title={value.type}>{value.value}</span>;
+    }
+    return (
+        <span
+            className="viz-ref"
+            onMouseEnter={() => onHover(value.ref)}
+            onMouseLeave={() => onHover(null)}
+        >
+            ↗ #{labels[value.ref]}
+        </span>
+    );
+}
+
+function HeapObject({ id, object, labels, highlighted, onHover }) {
+    const show = value => <Value value={value} labels={labels} onHover={onHover} />;
+    let title = object.type;
+    let body;
+
+    if (object.items) {
+        const [open, close] = BRACKETS[object.type] || ["[", "]"];
+        body = (
+            <div className="viz-items">
+                <span className="viz-bracket">{open}</span>
+                {object.items.map((item, i) => (
+                    <span key={i} className="viz-item">
+                        <span className="viz-index">{i}</span>
+                        {show(item)}
+                    </span>
+                ))}
+                {object.truncated && <span className="viz-item muted">…</span>}
+                <span className="viz-bracket">{close}</span>
+            </div>
+        );
+    } else if (object.entries || object.fields) {
+        if (object.type === "instance") title = `${object.name} instance`;
+        const rows = object.entries || object.fields.map(([name, value]) => [{ value: name }, value]);
+        body = (
+            <table className="viz-table">
+                <tbody>
+                    {rows.map(([key, value], i) => (
+                        <tr key={i}>
+                            <td className="viz-name">{key.ref || key.type ? show(key) : key.value}</td>
+                            <td>{show(value)}</td>
+                        </tr>
+                    ))}
+                    {object.truncated && <tr><td className="muted" colSpan={2}>…</td></tr>}
+                </tbody>
+            </table>
+        );
+    } else if (object.name) {
+        body = <span className="viz-primitive">{object.name}</span>;
+    } else {
+        body = <span className="viz-primitive">{object.value}</span>;
+    }
+
+    return (
+        <div className={`viz-object ${highlighted ? "highlighted" : ""}`}>
+            <div className="viz-object-title">
+                <span className="viz-object-id">#{labels[id]}</span> {title}
+            </div>
+            {body}
+        </div>
+    );
+}
+
+/**
+ * Visualize mode: steps through a recorded trace (see backend
+ * execution/visualizer.js for its format) with a slider. Shows the call
+ * stack with each frame's variables, the objects they reference and the
+ * output so far; the current line is highlighted in the editor by the parent.
+ * `trace` is null before the first run, else { steps, truncated, error, running }.
+ */
+export default function VisualizerPanel({
+    trace,
+    step,
+    onStepChange,
+    canVisualize,
+    languageName,
+    isExecuting,
+    onRun
+}) {
+    const [hoveredRef, setHoveredRef] = useState(null);
+    const steps = trace?.steps || [];
+    const current = steps[step];
+
+    // Short labels in order of first appearance, stable across steps
+    const labels = useMemo(() => {
+        const result = {};
+        for (const s of steps) {
+            for (const id of Object.keys(s.heap)) {
+                if (!(id in result)) result[id] = Object.keys(result).length + 1;
+            }
+        }
+        return result;
+    }, [steps]);
+
+    const last = steps.length - 1;
+    const go = (index) => onStepChange(Math.max(0, Math.min(last, index)));
+
+    return (
+        <div className="visualizer-panel">
+            <div className="viz-toolbar">
+                <button
+                    className="viz-btn"
+                    onClick={onRun}
+                    disabled={!canVisualize || isExecuting}
+                    title={canVisualize ? "Visualize Execution" : `Visualization is not available for ${languageName || "this file"}`}
+                >
+                    <Play size={12} /> {trace?.running ? "Tracing…" : "Visualize"}
+                </button>
+                {steps.length > 0 && (
+                    <>
+                        <button className="viz-icon-btn" onClick={() => go(0)} disabled={step === 0} title="First step">
+                            <ChevronsLeft size={14} />
+                        </button>
+                        <button className="viz-icon-btn" onClick={() => go(step - 1)} disabled={step === 0} title="Previous step">
+                            <ChevronLeft size={14} />
+                        </button>
+                        <input
+                            className="viz-slider"
+                            type="range"
+                            min={0}
+                            max={last}
+                            value={step}
+                            onChange={e => go(Number(e.target.value))}
+                        />
+                        <button className="viz-icon-btn" onClick={() => go(step + 1)} disabled={step === last} title="Next step">
+                            <ChevronRight size={14} />
+                        </button>
+                        <button className="viz-icon-btn" onClick={() => go(last)} disabled={step === last} title="Last step">
+                            <ChevronsRight size={14} />
+                        </button>
+                        <span className="viz-status">
+                            Step {step + 1} of {steps.length}
+                            {trace.truncated && " (limit reached)"}
+                            {" · "}{EVENT_LABELS[current.event] || current.event} {current.path}:{current.line}
+                        </span>
+                    </>
+                )}
+            </div>
+
+            {!current ? (
+                <div className="viz-empty">
+                    {trace?.running
+                        ? "Running the program under the tracer…"
+                        : trace?.error || "Visualize the active file to step through its execution: variables, call frames and objects at every line."}
+                </div>
+            ) : (
+                <div className="viz-body">
+                    <div className="viz-column">
+                        <div className="viz-heading">FRAMES</div>
+                        {current.frames.map((frame, i) => (
+                            <div key={i} className={`viz-frame ${i === current.frames.length - 1 ? "active" : ""}`}>
+                                <div className="viz-frame-title">
+                                    <span>{frame.name}</span>
+                                    <span className="viz-frame-location">{frame.path}:{frame.line}</span>
+                                </div>
+                                <table className="viz-table">
+                                    <tbody>
+                                        {Object.entries(frame.locals).map(([name, value]) => (
+                                            <tr key={name}>
+                                                <td className="viz-name">{name}</td>
+                                                <td><Value value={value} labels={labels} onHover={setHoveredRef} /></td>
+                                            </tr>
+                                        ))}
+                                        {frame.returnValue && (
+                                            <tr className="viz-return">
+                                                <td className="viz-name">Return value</td>
+                                                <td><Value value={frame.returnValue} labels={labels} onHover={setHoveredRef} /></td>
+                                            </tr>
+                                        )}
+                                    </tbody>
+                                </table>
+                            </div>
+                        ))}
+                        {current.exception && <div className="viz-exception">{current.exception}</div>}
+                    </div>
+
+                    <div className="viz-column">
+                        <div className="viz-heading">OBJECTS</div>
+                        {Object.keys(current.heap).length === 0 && <div className="muted">No objects yet</div>}
+                        {Object.entries(current.heap).map(([id, object]) => object && (
+                            <HeapObject
+                                key={id}
+                                id={id}
+                                object={object}
+                                labels={labels}
+                                highlighted={id === hoveredRef}
+                                onHover={setHoveredRef}
+                            />
+                        ))}
+                    </div>
+
+                    <div className="viz-column output">
+                        <div className="viz-heading">OUTPUT</div>
+                        <pre className="viz-stdout">{current.stdout}</pre>
+                        {step === last && trace.error && <div className="viz-exception">{trace.error}</div>}
+                    </div>
+                </div>
+            )}
+        </div>
+    );
+}
@@ -1,5 +1,5 @@
 import React from 'react';
-import { Files, Search, GitBranch, Database, LayoutGrid } from 'lucide-react';
+import { Files, Search, GitBranch, Bug, Database, LayoutGrid } from 'lucide-react';
 
 /**
  * Registry of all available sidebar modules in the IDE.
@@ -24,6 +24,12 @@ export const CORE_MODULES = [
         icon: GitBranch,
         component: 'Git'
     },
+    {
+        id: 'debug',
+        title: 'Run and Debug',
+        icon: Bug,
+        component: 'Debug'
+    },
     {
         id: 'database',
         title: 'Database Explorer',
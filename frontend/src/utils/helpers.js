@@ -1,17 +1,22 @@
-import { LANGUAGES } from '../config/languages';
+import { FALLBACK_LANGUAGES, PLAIN_TEXT } from '../config/languages';
 
-export const getFileLanguage = (filename) => {
-    if (!filename) return 'text';
+// `languages` is the registry from GET /api/languages (language id -> definition)
+export const getFileLanguage = (filename, languages = FALLBACK_LANGUAGES) => {
+    if (!filename) return PLAIN_TEXT;
     const ext = filename.split('.').pop()?.toLowerCase();
-    const lang = Object.keys(LANGUAGES).find(lang => LANGUAGES[lang].ext === ext);
-    return lang || 'text';
+    const lang = Object.keys(languages).find(lang => languages[lang].extensions?.includes(ext));
+    return lang || PLAIN_TEXT;
 };
 
-export const getFileIcon = (filename) => {
-    const lang = getFileLanguage(filename);
-    return LANGUAGES[lang]?.icon || '📄';
+export const getFileIcon = (filename, languages = FALLBACK_LANGUAGES) => {
+    const lang = getFileLanguage(filename, languages);
+    return languages[lang]?.icon || '📄';
 };
 
+// Monaco language id for the editor
+export const getEditorLanguage = (filename, languages = FALLBACK_LANGUAGES) =>
+    languages[getFileLanguage(filename, languages)]?.editor || 'plaintext';
+
 export const generateId = () => {
     return `${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 };
@@ -21,3 +26,61 @@ export const stripAnsi = (str) => {
     // Includes support for 'm', 'K', 'H', and other common terminators.
     return str.replace(/[\u001b\u009b][[()#;?]*(?:[0-9]{1,4}(?:;[0-9]{0,4})*)?[0-9A-ORZcf-nqry=><~]/g, '');
 };
+
+export const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return '';
+    return ms < 1000 ? `${Math.round(ms)}ms` : `${(ms / 1000).toFixed(2)}s`;
+};
+
+// Mirrors the backend `execution_complete` payload (backend/src/execution/runResult.js)
+export const isRunSuccessful = (result) =>
+    Boolean(result) && !result.error && !result.killed && !result.signal && result.exitCode === 0;
+
+export const describeRunResult = (result) => {
+    if (!result) return '';
+    if (result.error) return result.error;
+    if (result.stopped) return 'Stopped by user';
+    if (result.limitExceeded === 'time') return 'Time limit exceeded';
+    if (result.limitExceeded === 'cpu') return 'CPU time limit exceeded';
+    if (result.limitExceeded === 'memory') return 'Memory limit exceeded';
+    if (result.signal) return `Killed by ${result.signal}`;
+    if (result.phase === 'compile') return `Compilation failed (exit ${result.exitCode})`;
+    return `Exited with code ${result.exitCode}`;
+};
+
+// Run configurations (launch profiles), kept in the workspace like VS Code's launch.json
+export const LAUNCH_CONFIG_DIR = '.teachgrid';
+export const LAUNCH_CONFIG_FILE = 'launch.json';
+
+export const LAUNCH_CONFIG_TEMPLATE = JSON.stringify({
+    version: 1,
+    configurations: [
+        {
+            name: 'Run with input',
+            program: 'main.py',
+            args: ['--verbose'],
+            env: { DEBUG: '1' },
+            cwd: '',
+            stdin: 'input.txt',
+            executionMode: 'local'
+        }
+    ]
+}, null, 4) + '\n';
+
+// Returns { configurations, runtimes, error }; unnamed entries are skipped.
+// `runtimes` pins a runtime version per language for the workspace ({ python: '3.8' })
+export const parseLaunchConfig = (text) => {
+    if (!text || !text.trim()) return { configurations: [], runtimes: {}, error: null };
+    try {
+        const parsed = JSON.parse(text);
+        const list = Array.isArray(parsed?.configurations) ? parsed.configurations : [];
+        const runtimes = parsed?.runtimes && typeof parsed.runtimes === 'object' ? parsed.runtimes : {};
+        return {
+            configurations: list.filter(c => c && typeof c.name === 'string' && c.name.trim()),
+            runtimes,
+            error: null
+        };
+    } catch (err) {
+        return { configurations: [], runtimes: {}, error: `${LAUNCH_CONFIG_DIR}/${LAUNCH_CONFIG_FILE}: ${err.message}` };
+    }
+};